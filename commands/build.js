@@ -1,37 +1,65 @@
 const CONSTANTS = require("./requirements/Constants");
 const Config = require("./requirements/Config");
+const NodeWrapper = require("./requirements/NodeWrapper");
+const Prerenderer = require("./requirements/Prerenderer");
+const { Transpiler } = require("./requirements/Transpiler");
 const path = require("path");
+const fs = require("fs");
 
-function build() {
+async function build(options = {}) {
   /*Command to get a static build of your app after transpilation.
 
+    Every route is prerendered to its own HTML file in the build, like
+    build/about/index.html, which the app hydrates once loaded.
+
+    Parameters
+    ----------
+    verbose : bool, optional
+        Verbosity of the command
+
     Raises
     ------
     FileNotFoundError
         If config.json file doesn't exist.
   */
+  const verbose = Boolean(options.verbose);
+  try {
+    const config_file = CONSTANTS.CONFIG_FILE_NAME;
+    const config_settings = new Config(config_file, true);
+
+    const transpiler = new Transpiler(
+      config_settings.get_config(),
+      CONSTANTS.PROPS_MAP,
+      verbose
+    );
+    await transpiler.transpile_project();
+
+    const dest_dir = config_settings.get("dest_dir");
+    const npm = new NodeWrapper();
+    npm.build(dest_dir);
+
+    //Move build folder to project_dir instead of dest_dir
+    const npm_build = path.join(dest_dir, "build");
+    const project_build = path.join(".", "build");
+    fs.rmSync(project_build, { recursive: true, force: true });
+    fs.renameSync(npm_build, project_build);
 
-  config_file = CONSTANTS.CONFIG_FILE_NAME;
-  config_settings = new Config(config_file, (load = true));
-
-  // transpiler = Transpiler(
-  //   config_settings.get_config(),
-  //   (props_map = CONSTANTS.PROPS_MAP),
-  //   (verbose = True)
-  // );
-  // transpiler.transpile_project();
-
-  dest_dir = config_settings.get("dest_dir");
-  // npm.build(dest_dir);
-
-  //Move build folder to project_dir instead of dest_dir
-  npm_build = path.join(dest_dir, "build");
-  project_build = path.join(".", "build");
-  fs.rename(npm_build, project_build, (error) => {
-    if (error) {
-      console.log("There is an error", error);
+    // Next.js exports every route to HTML itself
+    if (transpiler.target != "next") {
+      const prerenderer = new Prerenderer(
+        dest_dir,
+        project_build,
+        verbose,
+        transpiler.target,
+        transpiler.typescript
+      );
+      const pages = await prerenderer.prerender(transpiler.list_route_paths());
+      console.log("Prerendered " + pages.length + " pages in " + project_build);
     }
-  });
+  } catch (err) {
+    console.error(String(err.message || err));
+    process.exitCode = 1;
+  }
 }
 
 module.exports = build;
@@ -81,7 +81,7 @@ function create_project(project_name) {
     (create_project = true)
   );
 
-  transpiler.transpile_project();
+  return transpiler.transpile_project();
 }
 
 module.exports = create_project;
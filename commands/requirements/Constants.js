@@ -4,16 +4,50 @@ class DEFAULTS {
    * Default variables used in code execution
    *
    * @param {string} INIT_FILES_DIR Directory for initial files for setup.
+   * @param {string} TEMPLATES_DIR Directory of the bundled templates the React codebase is created from, named by target.
+   * @param {string[]} TARGETS Toolchains the React codebase can be built with, the first one used if config doesn't set a target.
    * @param {string} SRC_DIR Source directory for reactonite codebase.
    * @param {string} DEST_DIR Destination directory for React codebase.
    * @param {string} CONFIG_FILE_NAME Config file name for config variables.
+   * @param {string} PARTIALS_DIR Directory in src for partials, which are not transpiled as pages.
+   * @param {string} COMPONENTS_DIR Directory in the React src where partials are compiled to components.
+   * @param {string} DATA_DIR Directory in src for JSON data files referenced by the templates of the pages.
+   * @param {string} LAYOUT_FILE_NAME File name of the layouts wrapping the pages of their directory.
+   * @param {string} LAYOUTS_DIR Directory in the React src where layouts are compiled to components.
+   * @param {string} NOT_FOUND_PAGE_NAME Name of the pages, without extension, rendered for paths no other page matches.
+   * @param {string} STATIC_PATHS_FILE_NAME File in the React codebase listing the paths of routes with parameters, for prerendering.
+   * @param {string} SCRIPT_LOADER_NAME Module in the React src, without extension, loading the scripts of the pages.
+   * @param {string} ROUTES_MODULE_NAME Module in the React src, without extension, rendering the routes of the pages, imported by index.js.
+   * @param {string} APP_DIR Directory in the React src of the Next.js App Router, where the next target writes the page.jsx and layout.jsx of every route.
+   * @param {string} TYPES_FILE_NAME Declaration file in the React src typing the files imported by the components, written with the typescript option.
+   * @param {string} CACHE_FILE_NAME Manifest in the React codebase of the transpiled files, to skip unchanged ones.
+   * @param {string[]} PAGE_EXTENSIONS Extensions of the files in src transpiled to pages, HTML and Markdown.
+   * @param {string} LOCALES_DIR Directory in src for the translation files of the locales, named like de.json.
+   * @param {string} I18N_MODULE_NAME Module in the React src, without extension, translating the pages to the locale of their route.
    * @param {object} PROPS_MAP Mapping for HTML to React props
    */
   constructor() {
     this.INIT_FILES_DIR = "init_src_dir";
+    this.TEMPLATES_DIR = "templates";
+    this.TARGETS = ["vite", "cra", "next"];
     this.SRC_DIR = "src";
     this.DEST_DIR = "dist";
     this.CONFIG_FILE_NAME = "config.json";
+    this.PARTIALS_DIR = "partials";
+    this.COMPONENTS_DIR = "components";
+    this.DATA_DIR = "data";
+    this.LAYOUT_FILE_NAME = "_layout.html";
+    this.LAYOUTS_DIR = "layouts";
+    this.NOT_FOUND_PAGE_NAME = "404";
+    this.STATIC_PATHS_FILE_NAME = "static-paths.json";
+    this.SCRIPT_LOADER_NAME = "scriptLoader";
+    this.ROUTES_MODULE_NAME = "appRoutes";
+    this.APP_DIR = "app";
+    this.TYPES_FILE_NAME = "reactonite-env.d.ts";
+    this.CACHE_FILE_NAME = ".reactonite-cache.json";
+    this.PAGE_EXTENSIONS = [".html", ".md"];
+    this.LOCALES_DIR = "locales";
+    this.I18N_MODULE_NAME = "i18n";
     this.PROPS_MAP = props_map;
   }
 }
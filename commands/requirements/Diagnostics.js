@@ -0,0 +1,88 @@
+/**
+ * Kinds of diagnostics reported while transpiling, with their stable code
+ * and severity. Codes never change meaning, so tools can filter on them.
+ * Errors fail the transpilation of the project, warnings only report markup
+ * that couldn't be fully converted to React.
+ */
+const DIAGNOSTICS = {
+  // Assets and links
+  MISSING_ASSET: { code: "RT101", severity: "error" },
+  UNRESOLVED_LINK: { code: "RT102", severity: "warning" },
+  // Partials and layouts
+  INVALID_INCLUDE: { code: "RT201", severity: "warning" },
+  MISSING_PARTIAL: { code: "RT202", severity: "warning" },
+  INCLUDE_CYCLE: { code: "RT203", severity: "warning" },
+  MISSING_SLOT: { code: "RT204", severity: "warning" },
+  // Data templates and routes
+  INVALID_EXPRESSION: { code: "RT301", severity: "warning" },
+  UNKNOWN_DATA: { code: "RT302", severity: "warning" },
+  INVALID_DATA_ATTRIBUTE: { code: "RT303", severity: "warning" },
+  IGNORED_DATA_SOURCE: { code: "RT304", severity: "warning" },
+  UNLISTED_STATIC_PATHS: { code: "RT305", severity: "warning" },
+  MISSING_TRANSLATION: { code: "RT306", severity: "warning" },
+  // Tags and attributes
+  DROPPED_ATTRIBUTE: { code: "RT401", severity: "warning" },
+  UNSUPPORTED_EVENT: { code: "RT402", severity: "warning" },
+  UNRESOLVED_HANDLER: { code: "RT403", severity: "warning" },
+  UNSUPPORTED_TAG: { code: "RT404", severity: "warning" },
+  UNKNOWN_ATTRIBUTE: { code: "RT405", severity: "warning" },
+  // Styles
+  INVALID_STYLE: { code: "RT501", severity: "warning" },
+  DROPPED_IMPORTANT: { code: "RT502", severity: "warning" },
+  UNSCOPED_SELECTOR: { code: "RT503", severity: "warning" },
+  // Scripts
+  MODULE_DECLARATIONS: { code: "RT601", severity: "warning" },
+  // Plugins
+  PLUGIN_WARNING: { code: "RT701", severity: "warning" },
+  PLUGIN_ERROR: { code: "RT702", severity: "error" },
+  // Markdown
+  INVALID_FRONT_MATTER: { code: "RT801", severity: "warning" },
+  UNKNOWN_LAYOUT: { code: "RT802", severity: "warning" },
+  IGNORED_LAYOUT: { code: "RT803", severity: "warning" },
+  // Next.js target
+  UNSUPPORTED_HEAD: { code: "RT901", severity: "warning" },
+};
+
+/**
+ * Creates a diagnostic of the given kind.
+ * @param {object} kind Kind of the diagnostic, one of DIAGNOSTICS.
+ * @param {string} message Description of the problem.
+ * @param {number} line Line in the source file, starting from 1, undefined if unknown.
+ * @param {number} column Column in the source file, starting from 1, undefined if unknown.
+ * @returns {object} Diagnostic as {severity, code, message, line, column}.
+ */
+function createDiagnostic(kind, message, line = undefined, column = undefined) {
+  return {
+    severity: kind.severity,
+    code: kind.code,
+    message: message,
+    line: line,
+    column: column,
+  };
+}
+
+/**
+ * Formats a diagnostic to be printed, like
+ * src/about.html:12:5: error RT101: Missing asset "team.png".
+ * @param {object} diagnostic Diagnostic with the file it was reported in.
+ * @returns {string} Readable line for the diagnostic.
+ */
+function formatDiagnostic(diagnostic) {
+  let location = diagnostic.file || "";
+  if (diagnostic.line != undefined) {
+    location += ":" + diagnostic.line;
+    if (diagnostic.column != undefined) {
+      location += ":" + diagnostic.column;
+    }
+  }
+  return (
+    (location ? location + ": " : "") +
+    diagnostic.severity +
+    " " +
+    diagnostic.code +
+    ": " +
+    diagnostic.message
+  );
+}
+
+module.exports = { DIAGNOSTICS, createDiagnostic, formatDiagnostic };
@@ -0,0 +1,87 @@
+events_map = {
+  onabort: "onAbort",
+  onanimationend: "onAnimationEnd",
+  onanimationiteration: "onAnimationIteration",
+  onanimationstart: "onAnimationStart",
+  onbeforeinput: "onBeforeInput",
+  onblur: "onBlur",
+  oncanplay: "onCanPlay",
+  oncanplaythrough: "onCanPlayThrough",
+  onchange: "onChange",
+  onclick: "onClick",
+  oncompositionend: "onCompositionEnd",
+  oncompositionstart: "onCompositionStart",
+  oncompositionupdate: "onCompositionUpdate",
+  oncontextmenu: "onContextMenu",
+  oncopy: "onCopy",
+  oncut: "onCut",
+  ondblclick: "onDoubleClick",
+  ondrag: "onDrag",
+  ondragend: "onDragEnd",
+  ondragenter: "onDragEnter",
+  ondragexit: "onDragExit",
+  ondragleave: "onDragLeave",
+  ondragover: "onDragOver",
+  ondragstart: "onDragStart",
+  ondrop: "onDrop",
+  ondurationchange: "onDurationChange",
+  onemptied: "onEmptied",
+  onencrypted: "onEncrypted",
+  onended: "onEnded",
+  onerror: "onError",
+  onfocus: "onFocus",
+  onfocusin: "onFocus",
+  onfocusout: "onBlur",
+  ongotpointercapture: "onGotPointerCapture",
+  oninput: "onInput",
+  oninvalid: "onInvalid",
+  onkeydown: "onKeyDown",
+  onkeypress: "onKeyPress",
+  onkeyup: "onKeyUp",
+  onload: "onLoad",
+  onloadeddata: "onLoadedData",
+  onloadedmetadata: "onLoadedMetadata",
+  onloadstart: "onLoadStart",
+  onlostpointercapture: "onLostPointerCapture",
+  onmousedown: "onMouseDown",
+  onmouseenter: "onMouseEnter",
+  onmouseleave: "onMouseLeave",
+  onmousemove: "onMouseMove",
+  onmouseout: "onMouseOut",
+  onmouseover: "onMouseOver",
+  onmouseup: "onMouseUp",
+  onpaste: "onPaste",
+  onpause: "onPause",
+  onplay: "onPlay",
+  onplaying: "onPlaying",
+  onpointercancel: "onPointerCancel",
+  onpointerdown: "onPointerDown",
+  onpointerenter: "onPointerEnter",
+  onpointerleave: "onPointerLeave",
+  onpointermove: "onPointerMove",
+  onpointerout: "onPointerOut",
+  onpointerover: "onPointerOver",
+  onpointerup: "onPointerUp",
+  onprogress: "onProgress",
+  onratechange: "onRateChange",
+  onreset: "onReset",
+  onscroll: "onScroll",
+  onseeked: "onSeeked",
+  onseeking: "onSeeking",
+  onselect: "onSelect",
+  onstalled: "onStalled",
+  onsubmit: "onSubmit",
+  onsuspend: "onSuspend",
+  ontimeupdate: "onTimeUpdate",
+  ontoggle: "onToggle",
+  ontouchcancel: "onTouchCancel",
+  ontouchend: "onTouchEnd",
+  ontouchmove: "onTouchMove",
+  ontouchstart: "onTouchStart",
+  ontransitionend: "onTransitionEnd",
+  onvolumechange: "onVolumeChange",
+  onwaiting: "onWaiting",
+  onwheel: "onWheel",
+};
+
+module.exports = events_map;
@@ -1,5 +1,6 @@
 const paths = require("path");
 const fs = require("fs");
+const prettier = require("prettier");
 
 /**
  *Returns location of the parent directory for a given path.
@@ -73,7 +74,50 @@ function write_to_json_file(path, content) {
   }
 }
 
+/**
+ * Lists all the files inside a directory and its subdirectories.
+ * @param {string} path Path to the directory to be listed.
+ * @returns {string[]} Paths to the files, sorted so that the order doesn't depend on the file system.
+ */
+function list_files(path) {
+  let files = [];
+  for (const entry of fs.readdirSync(path, { withFileTypes: true })) {
+    const entry_path = paths.join(path, entry.name);
+    if (entry.isDirectory()) {
+      files = files.concat(list_files(entry_path));
+    } else if (entry.isFile() || entry.isSymbolicLink()) {
+      files.push(entry_path);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Resolves the options Prettier formats a file with, from the Prettier
+ * config of the project the file is in, if it has one.
+ * @param {string} path Path of the file.
+ * @returns {object} Prettier options, empty for the defaults.
+ */
+function resolve_format_options(path) {
+  return prettier.resolveConfig.sync(path, { useCache: false }) || {};
+}
+
+/**
+ * Formats code with Prettier, using the Prettier config of the project the
+ * file is in, if it has one.
+ * @param {string} code Code to be formatted.
+ * @param {string} path Path of the file the code is written to, which picks the parser.
+ * @returns {string} Formatted code.
+ */
+function format_code(code, path) {
+  const options = resolve_format_options(path);
+  return prettier.format(code, Object.assign(options, { filepath: path }));
+}
+
 module.exports = {
+  list_files,
+  format_code,
+  resolve_format_options,
   create_file,
   write_to_json_file,
   create_dir,
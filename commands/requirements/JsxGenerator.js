@@ -0,0 +1,663 @@
+const { markLines } = require("./SourceMap");
+const { DIAGNOSTICS } = require("./Diagnostics");
+
+const VOID_ELEMENTS = [
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "param",
+  "source",
+  "track",
+  "wbr",
+];
+
+const BOOLEAN_ATTRIBUTES = [
+  "allowfullscreen",
+  "async",
+  "autofocus",
+  "autoplay",
+  "checked",
+  "controls",
+  "default",
+  "defaultchecked",
+  "defer",
+  "disabled",
+  "formnovalidate",
+  "hidden",
+  "itemscope",
+  "loop",
+  "multiple",
+  "muted",
+  "nomodule",
+  "novalidate",
+  "open",
+  "playsinline",
+  "readonly",
+  "required",
+  "reversed",
+  "selected",
+];
+
+const INLINE_ELEMENTS = [
+  "a",
+  "abbr",
+  "b",
+  "bdi",
+  "bdo",
+  "button",
+  "cite",
+  "code",
+  "data",
+  "dfn",
+  "em",
+  "i",
+  "img",
+  "input",
+  "kbd",
+  "label",
+  "mark",
+  "q",
+  "s",
+  "samp",
+  "select",
+  "small",
+  "span",
+  "strong",
+  "sub",
+  "sup",
+  "textarea",
+  "time",
+  "u",
+  "var",
+];
+
+const PRESERVE_WHITESPACE_ELEMENTS = [
+  "pre",
+  "textarea",
+  "listing",
+  "plaintext",
+];
+
+const DATA_ATTRIBUTES = ["data-each", "data-if", "data-key"];
+
+const INTERPOLATION_REGEX = /\{\{([\s\S]*?)\}\}/;
+
+/**
+ * Parses the value of data-each, like "product in products" or
+ * "(product, index) in products".
+ * @param {string} each Value to be parsed.
+ * @returns {object} Object with `item`, `index` and `collection`, where index
+ *    is undefined if not named, undefined if the value is malformed.
+ */
+function parseEachExpression(each) {
+  const match = each.match(
+    /^\s*(?:\(\s*([\w$]+)\s*(?:,\s*([\w$]+)\s*)?\)|([\w$]+))\s+in\s+([\s\S]+)$/
+  );
+  if (match == null) {
+    return undefined;
+  }
+  return { item: match[1] || match[3], index: match[2], collection: match[4] };
+}
+
+/**
+ * Generates the statement looking up the item of a data collection matching
+ * the route parameters, for pages setting data-source.
+ * @param {string} item Name of the item, like post in "post in posts".
+ * @param {string} collection JS code of the collection.
+ * @param {string[]} params Names of the route parameters of the page.
+ * @returns {string} Statement declaring the item, undefined if not found.
+ */
+function getSourceLookup(item, collection, params) {
+  const name = params.includes("item") ? "_item" : "item";
+  return (
+    "  const " +
+    item +
+    " = " +
+    collection +
+    ".find((" +
+    name +
+    ") => " +
+    params
+      .map((param) => "String(" + name + "." + param + ") === " + param)
+      .join(" && ") +
+    ");\n"
+  );
+}
+
+/**
+ * JS expression to be used as the value of a JSX attribute, as opposed to a
+ * plain string value.
+ * @property {string} code JS code of the expression, without the braces.
+ * @param {string} code JS code of the expression, without the braces.
+ */
+class JsxExpression {
+  constructor(code) {
+    this.code = code;
+  }
+
+  toString() {
+    return "{" + this.code + "}";
+  }
+}
+
+class JsxGenerator {
+  /**
+   * Generates JSX by walking a DOM tree parsed by cheerio node by node.
+   * Attributes of every element are converted through the ReactCodeMapper,
+   * which can also rename or drop the element.
+   * @property {ReactCodeMapper} reactCodeMapper Mapper used to convert tags and attributes.
+   * @property {string} filepath_from_src Path to file from src directory.
+   * @property {string} indent String used for one level of indentation.
+   * @property {string[]} scope Names bound by the data-each loops enclosing the node being generated.
+   * @property {string[]} module_classes Class names scoped by the CSS Module of the page, imported as styles, which has to be in scope.
+   * @property {string} slot JSX rendered in place of slot elements, like the Outlet of a layout or its children with Next.js. Slots are kept as elements if undefined.
+   * @property {boolean} source_map Marks the JSX of every node with its position in the HTML, to be turned into a source map.
+   * @param {ReactCodeMapper} reactCodeMapper Mapper used to convert tags and attributes.
+   * @param {string} filepath_from_src Path to file from src directory.
+   */
+  constructor(reactCodeMapper, filepath_from_src) {
+    this.reactCodeMapper = reactCodeMapper;
+    this.filepath_from_src = filepath_from_src;
+    this.indent = "  ";
+    this.slot = undefined;
+    this.scope = [];
+    this.module_classes = [];
+    this.source_map = false;
+  }
+
+  /**
+   * Generates JSX for a list of sibling nodes.
+   * @param {object[]} nodes DOM nodes to be converted.
+   * @param {number} depth Indentation level of the nodes.
+   * @param {boolean} preserve_ws Keep whitespace of text as it is, like inside pre.
+   * @returns {string[]} Lines of JSX, one per node.
+   */
+  generate(nodes, depth = 0, preserve_ws = false) {
+    const lines = [];
+    const siblings = nodes.filter(
+      (node) => node.type != "comment" && node.type != "directive"
+    );
+    for (let i = 0; i < siblings.length; i++) {
+      const node = siblings[i];
+      const start = lines.length;
+      if (node.type == "text") {
+        this.reactCodeMapper.setPosition(node.sourceCodeLocation);
+        const text = this.__textToJsx(
+          node.data,
+          siblings[i - 1],
+          siblings[i + 1],
+          preserve_ws
+        );
+        if (text) {
+          lines.push(this.indent.repeat(depth) + text);
+        }
+      } else if (node.name == "slot" && this.slot != undefined) {
+        lines.push(this.indent.repeat(depth) + this.slot);
+      } else if (node.name == "rt-include") {
+        // rt-include has no content, so anything parsed as its children
+        // (like after a self-closing <rt-include />) follows it instead
+        lines.push(
+          ...this.__elementToJsx(
+            Object.assign({}, node, { children: [] }),
+            depth,
+            preserve_ws
+          ),
+          ...this.generate(node.children || [], depth, preserve_ws)
+        );
+      } else if (
+        node.type == "tag" &&
+        DATA_ATTRIBUTES.some((name) => node.attribs[name] != undefined)
+      ) {
+        lines.push(...this.__dataElementToJsx(node, depth, preserve_ws));
+      } else if (
+        node.type == "tag" ||
+        node.type == "script" ||
+        node.type == "style"
+      ) {
+        lines.push(...this.__elementToJsx(node, depth, preserve_ws));
+      }
+      const location = node.sourceCodeLocation;
+      if (this.source_map && location) {
+        lines.push(
+          ...markLines(
+            lines.splice(start),
+            location.startLine,
+            location.startCol - 1
+          )
+        );
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Resolves the {{ expression }} interpolations of a value used outside of
+   * the JSX, like the title of a page in its Next.js metadata.
+   * @param {string} value Text with interpolations.
+   * @returns {JsxExpression|string} Expression for the value, the value as
+   *    it is if none of the interpolations can be resolved.
+   */
+  interpolate(value) {
+    return this.__interpolateAttribute(value);
+  }
+
+  /**
+   * Generates JSX for a single element and its children.
+   * @param {object} node DOM element to be converted.
+   * @param {number} depth Indentation level of the element.
+   * @param {boolean} preserve_ws Keep whitespace of text as it is, like inside pre.
+   * @param {object} extra_attrs React attrs added before the ones of the element, like key.
+   * @returns {string[]} Lines of JSX, empty if the element is dropped.
+   */
+  __elementToJsx(node, depth, preserve_ws, extra_attrs = {}) {
+    const location = node.sourceCodeLocation;
+    if (this.reactCodeMapper.i18n && node.attribs["data-i18n"] != undefined) {
+      node = this.__translatedElement(node);
+    }
+    this.reactCodeMapper.setPosition(location);
+    const react_element = this.reactCodeMapper.getReactElement(
+      node.name,
+      Object.assign({}, node.attribs),
+      this.filepath_from_src
+    );
+    if (react_element == undefined) {
+      return [];
+    }
+    const tag = react_element.tag;
+    const attrs = Object.assign({}, extra_attrs, react_element.attrs);
+    for (const [name, value] of Object.entries(attrs)) {
+      if (typeof value != "string") {
+        continue;
+      }
+      const scoped_value =
+        name == "className" ? this.__scopeClassNames(value) : value;
+      if (INTERPOLATION_REGEX.test(scoped_value)) {
+        attrs[name] = this.__interpolateAttribute(scoped_value);
+      }
+    }
+    const indent = this.indent.repeat(depth);
+    preserve_ws =
+      preserve_ws || PRESERVE_WHITESPACE_ELEMENTS.includes(node.name);
+
+    let children = node.children || [];
+    if (node.name == "title") {
+      // Helmet expects title to have a single string as child
+      const title = children.map((child) => child.data || "").join("");
+      children = [];
+      if (title.trim()) {
+        const text = title.replace(/[ \t\n\r\f]+/g, " ").trim();
+        const value = INTERPOLATION_REGEX.test(text)
+          ? this.__interpolateAttribute(text)
+          : text;
+        const child =
+          value instanceof JsxExpression
+            ? value.toString()
+            : "{" + JSON.stringify(value) + "}";
+        return [indent + "<" + tag + ">" + child + "</" + tag + ">"];
+      }
+    } else if (node.name == "textarea") {
+      const value = children.map((child) => child.data || "").join("");
+      if (value) {
+        attrs["defaultValue"] = new JsxExpression(JSON.stringify(value));
+      }
+      children = [];
+    }
+
+    const opening = "<" + tag + this.__attributesToJsx(attrs);
+    if (VOID_ELEMENTS.includes(node.name) || children.length == 0) {
+      return [indent + opening + " />"];
+    }
+    if (node.type == "script" || node.type == "style") {
+      const content = children.map((child) => child.data || "").join("");
+      const literal =
+        (node.type == "style" &&
+          this.reactCodeMapper.getStyleSheet(
+            content,
+            this.filepath_from_src,
+            location && location.startTag
+              ? location.startTag.endLine
+              : undefined
+          )) ||
+        this.__toTemplateLiteral(content);
+      return [indent + opening + ">{" + literal + "}</" + tag + ">"];
+    }
+    const child_lines = this.generate(children, depth + 1, preserve_ws);
+    if (child_lines.length == 0) {
+      return [indent + opening + " />"];
+    }
+    if (child_lines.length == 1 && !preserve_ws) {
+      const child = child_lines[0].trim();
+      if (opening.length + child.length + tag.length < 80) {
+        return [indent + opening + ">" + child + "</" + tag + ">"];
+      }
+    }
+    return [indent + opening + ">", ...child_lines, indent + "</" + tag + ">"];
+  }
+
+  /**
+   * Replaces the content of an element with data-i18n="key" by the
+   * translation of the key, as if it was written {{ t("key") }}.
+   * @param {object} node DOM element with data-i18n.
+   * @returns {object} Element without data-i18n, with the translation as text.
+   */
+  __translatedElement(node) {
+    const attribs = Object.assign({}, node.attribs);
+    const key = attribs["data-i18n"];
+    delete attribs["data-i18n"];
+    const text = {
+      type: "text",
+      data: "{{ t(" + JSON.stringify(key) + ") }}",
+      sourceCodeLocation: node.sourceCodeLocation,
+    };
+    return Object.assign({}, node, { attribs: attribs, children: [text] });
+  }
+
+  /**
+   * Generates JSX for an element rendered from data, repeated for every item
+   * of a collection through data-each="item in collection" and/or rendered
+   * only when the expression of data-if is truthy. When both are set, data-if
+   * is checked for every item.
+   * @param {object} node DOM element with data-each or data-if.
+   * @param {number} depth Indentation level of the element.
+   * @param {boolean} preserve_ws Keep whitespace of text as it is, like inside pre.
+   * @returns {string[]} Lines of JSX, empty if the element is dropped.
+   */
+  __dataElementToJsx(node, depth, preserve_ws) {
+    const attribs = Object.assign({}, node.attribs);
+    const each = attribs["data-each"];
+    const condition = attribs["data-if"];
+    const key = attribs["data-key"];
+    for (const name of DATA_ATTRIBUTES) {
+      delete attribs[name];
+    }
+    const element = Object.assign({}, node, { attribs: attribs });
+    const scope_length = this.scope.length;
+    this.reactCodeMapper.setPosition(node.sourceCodeLocation);
+
+    let loop = undefined;
+    if (each != undefined) {
+      const parsed = parseEachExpression(each);
+      if (parsed == undefined) {
+        this.reactCodeMapper.addDiagnostic(
+          DIAGNOSTICS.INVALID_DATA_ATTRIBUTE,
+          'Ignored data-each="' + each + '", expected "item in collection"',
+          "data-each"
+        );
+      } else {
+        const collection = this.reactCodeMapper.getDataExpression(
+          parsed.collection,
+          this.scope,
+          this.filepath_from_src
+        );
+        let index = parsed.index;
+        for (let i = 1; index == undefined; i++) {
+          const name = i == 1 ? "index" : "index" + i;
+          if (!this.scope.includes(name)) {
+            index = name;
+          }
+        }
+        if (collection != undefined) {
+          loop = { item: parsed.item, index, collection };
+          this.scope.push(loop.item, loop.index);
+        }
+      }
+    }
+
+    let condition_code = undefined;
+    if (condition != undefined) {
+      condition_code = this.reactCodeMapper.getDataExpression(
+        condition,
+        this.scope,
+        this.filepath_from_src
+      );
+    }
+    const extra_attrs = {};
+    if (loop) {
+      const key_code =
+        key != undefined
+          ? this.reactCodeMapper.getDataExpression(
+              key,
+              this.scope,
+              this.filepath_from_src
+            )
+          : undefined;
+      extra_attrs["key"] = new JsxExpression(key_code || loop.index);
+    }
+
+    let lines = this.__elementToJsx(
+      element,
+      depth + (loop ? 1 : 0) + (condition_code ? 1 : 0),
+      preserve_ws,
+      extra_attrs
+    );
+    this.scope.length = scope_length;
+    if (lines.length == 0) {
+      return [];
+    }
+    if (condition_code) {
+      const indent = this.indent.repeat(loop ? depth + 1 : depth);
+      lines = [
+        indent + (loop ? "" : "{") + condition_code + " ? (",
+        ...lines,
+        indent + ") : null" + (loop ? "" : "}"),
+      ];
+    }
+    if (loop) {
+      const indent = this.indent.repeat(depth);
+      lines = [
+        indent +
+          "{" +
+          loop.collection +
+          ".map((" +
+          loop.item +
+          ", " +
+          loop.index +
+          ") =>" +
+          (condition_code ? "" : " ("),
+        ...lines,
+        indent + (condition_code ? ")}" : "))}"),
+      ];
+    }
+    return lines;
+  }
+
+  /**
+   * Generates JSX for the attributes of an element.
+   * @param {object} attrs Attributes in React format, values are either strings or JsxExpression
+   * @returns {string} Attributes separated and prefixed by spaces.
+   */
+  __attributesToJsx(attrs) {
+    let jsx = "";
+    for (const [name, value] of Object.entries(attrs)) {
+      if (value instanceof JsxExpression) {
+        jsx += " " + name + "=" + value.toString();
+      } else if (
+        BOOLEAN_ATTRIBUTES.includes(name.toLowerCase()) &&
+        (value === "" || String(value).toLowerCase() == name.toLowerCase())
+      ) {
+        jsx += " " + name;
+      } else if (/["]|&[#a-zA-Z0-9]+;/.test(value)) {
+        jsx += " " + name + "={" + JSON.stringify(value) + "}";
+      } else {
+        jsx += " " + name + '="' + value + '"';
+      }
+    }
+    return jsx;
+  }
+
+  /**
+   * Generates JSX for a text node. Whitespace is collapsed like the browser
+   * does, except inside elements like pre where it is kept as it is.
+   * @param {string} text Text of the node.
+   * @param {object} previous Previous sibling node, if any.
+   * @param {object} next Next sibling node, if any.
+   * @param {boolean} preserve_ws Keep whitespace of text as it is.
+   * @returns {string} JSX for the text, empty if nothing is to be rendered.
+   */
+  __textToJsx(text, previous, next, preserve_ws) {
+    if (preserve_ws) {
+      return this.__interpolateText(text, (part) =>
+        part ? "{" + JSON.stringify(part) + "}" : ""
+      );
+    }
+    const collapsed = text.replace(/[ \t\n\r\f]+/g, " ");
+    if (collapsed == " ") {
+      const isInline = (node) =>
+        node != undefined &&
+        (node.type == "text" ||
+          (node.type == "tag" && INLINE_ELEMENTS.includes(node.name)));
+      return isInline(previous) && isInline(next) ? '{" "}' : "";
+    }
+    let jsx = this.__interpolateText(collapsed.replace(/^ | $/g, ""), (part) =>
+      this.__escapeText(part)
+    );
+    if (collapsed.startsWith(" ") && previous != undefined) {
+      jsx = '{" "}' + jsx;
+    }
+    if (collapsed.endsWith(" ") && next != undefined) {
+      jsx = jsx + '{" "}';
+    }
+    return jsx;
+  }
+
+  /**
+   * Generates JSX for text with {{ expression }} interpolations, which are
+   * resolved through the ReactCodeMapper. Interpolations that can't be
+   * resolved are kept as text.
+   * @param {string} text Text to be converted.
+   * @param {function} toJsx Converts the parts of text around interpolations to JSX.
+   * @returns {string} JSX for the text.
+   */
+  __interpolateText(text, toJsx) {
+    const parts = text.split(new RegExp(INTERPOLATION_REGEX, "g"));
+    let jsx = "";
+    let literal = parts[0];
+    for (let i = 1; i < parts.length; i += 2) {
+      const code = this.reactCodeMapper.getDataExpression(
+        parts[i],
+        this.scope,
+        this.filepath_from_src
+      );
+      if (code == undefined) {
+        literal += "{{" + parts[i] + "}}" + parts[i + 1];
+        continue;
+      }
+      jsx += toJsx(literal) + "{" + code + "}";
+      literal = parts[i + 1];
+    }
+    return jsx + toJsx(literal);
+  }
+
+  /**
+   * Generates the value of an attribute with {{ expression }}
+   * interpolations, as a template literal unless the value is a single
+   * expression.
+   * @param {string} value Value of the attribute.
+   * @returns {JsxExpression|string} Value for JSX, the value as it is if
+   *    none of the interpolations can be resolved.
+   */
+  __interpolateAttribute(value) {
+    const parts = value.split(new RegExp(INTERPOLATION_REGEX, "g"));
+    const codes = [];
+    let literal = "`" + this.__escapeTemplate(parts[0]);
+    for (let i = 1; i < parts.length; i += 2) {
+      const code = this.reactCodeMapper.getDataExpression(
+        parts[i],
+        this.scope,
+        this.filepath_from_src
+      );
+      if (code == undefined) {
+        literal += this.__escapeTemplate("{{" + parts[i] + "}}");
+      } else {
+        codes.push(code);
+        literal += "${" + code + "}";
+      }
+      literal += this.__escapeTemplate(parts[i + 1]);
+    }
+    if (codes.length == 0) {
+      return value;
+    }
+    if (parts.length == 3 && !parts[0] && !parts[2]) {
+      return new JsxExpression(codes[0]);
+    }
+    return new JsxExpression(literal + "`");
+  }
+
+  /**
+   * Replaces the class names scoped by the CSS Module of the page with
+   * interpolations of their generated names, e.g. "card active" becomes
+   * "{{ styles.card }} active" when only card is defined by the module.
+   * @param {string} value Value of the className attribute.
+   * @returns {string} Value with the scoped class names interpolated.
+   */
+  __scopeClassNames(value) {
+    if (this.module_classes.length == 0) {
+      return value;
+    }
+    return value
+      .split(/(\{\{[\s\S]*?\}\})/)
+      .map((part, index) =>
+        index % 2 == 0
+          ? part
+              .split(/(\s+)/)
+              .map((name) =>
+                this.module_classes.includes(name)
+                  ? "{{ styles" +
+                    (/^[a-zA-Z_$][\w$]*$/.test(name)
+                      ? "." + name
+                      : "[" + JSON.stringify(name) + "]") +
+                    " }}"
+                  : name
+              )
+              .join("")
+          : part
+      )
+      .join("");
+  }
+
+  /**
+   * Escapes characters which have special meaning in JSX text.
+   * @param {string} text Text to be escaped.
+   * @returns {string} Text safe to be used as JSX child.
+   */
+  __escapeText(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/\u00a0/g, "&nbsp;")
+      .replace(/[{}]/g, (ch) => '{"' + ch + '"}');
+  }
+
+  /**
+   * Wraps text in a JS template literal, escaping it as needed.
+   * @param {string} text Text to be wrapped.
+   * @returns {string} Template literal with the text.
+   */
+  __toTemplateLiteral(text) {
+    return "`" + this.__escapeTemplate(text) + "`";
+  }
+
+  /**
+   * Escapes text to be used inside a JS template literal.
+   * @param {string} text Text to be escaped.
+   * @returns {string} Text safe to be used between backticks.
+   */
+  __escapeTemplate(text) {
+    return text.replace(/[`\\]/g, "\\$&").replace(/\$\{/g, "\\${");
+  }
+}
+
+module.exports = {
+  JsxGenerator,
+  JsxExpression,
+  parseEachExpression,
+  getSourceLookup,
+};
@@ -0,0 +1,140 @@
+const MarkdownIt = require("markdown-it");
+
+// Front-matter is a block of `key: value` lines between two --- lines at the
+// top of the file, the subset of YAML needed for the settings of a page
+const FRONT_MATTER_REGEX =
+  /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+const FRONT_MATTER_LINE_REGEX = /^([a-zA-Z_][a-zA-Z0-9_-]*)[ \t]*:(.*)$/;
+
+// HTML in Markdown is kept, so pages can include partials and use any tag.
+// Fenced code blocks get a language-* class on their code element, the class
+// names highlighters like Prism and highlight.js look for.
+const markdown = new MarkdownIt({ html: true, langPrefix: "language-" });
+
+/**
+ * Splits the front-matter from the Markdown content of a page.
+ * @param {string} text Content of the Markdown file.
+ * @returns {object} Object with `data`, the values of the front-matter by
+ *    key, `lines`, the line of each key starting from 0, `length`, the
+ *    number of lines of the front-matter, `body`, the text with the
+ *    front-matter replaced by blank lines so the lines of the Markdown stay
+ *    where they are, and `errors`, an array of {message, line} for the
+ *    lines which couldn't be read.
+ */
+function parseFrontMatter(text) {
+  const front_matter = {
+    data: {},
+    lines: {},
+    length: 0,
+    body: text,
+    errors: [],
+  };
+  const match = text.match(FRONT_MATTER_REGEX);
+  if (match == null) {
+    return front_matter;
+  }
+  const lines = match[0].replace(/\r?\n$/, "").split(/\r?\n/);
+  front_matter.length = lines.length;
+  front_matter.body =
+    "\n".repeat(lines.length) + text.substring(match[0].length);
+  lines.slice(1, -1).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith("#")) {
+      return;
+    }
+    const entry = line.match(FRONT_MATTER_LINE_REGEX);
+    const value = entry ? parseValue(entry[2].trim()) : undefined;
+    if (value == undefined) {
+      front_matter.errors.push({
+        message: "Couldn't read " + line.trim() + ", expected key: value",
+        line: index + 1,
+      });
+      return;
+    }
+    front_matter.data[entry[1]] = value;
+    front_matter.lines[entry[1]] = index + 1;
+  });
+  return front_matter;
+}
+
+/**
+ * Reads a front-matter value, either plain text or a quoted string.
+ * @param {string} value Value as written after the key.
+ * @returns {string} Value, undefined if the quotes aren't valid.
+ */
+function parseValue(value) {
+  if (value.startsWith('"')) {
+    try {
+      const string = JSON.parse(value);
+      return typeof string == "string" ? string : undefined;
+    } catch {
+      return undefined;
+    }
+  }
+  if (value.startsWith("'")) {
+    const match = value.match(/^'((?:[^']|'')*)'$/);
+    return match ? match[1].replace(/''/g, "'") : undefined;
+  }
+  return value.replace(/\s+#.*$/, "");
+}
+
+/**
+ * Converts a Markdown page to an HTML document, with the title and
+ * description of its front-matter in the head. Every block of the Markdown
+ * starts on the same line in the HTML, and the head elements on the line of
+ * their key, so the positions of diagnostics and source maps point to the
+ * right line of the Markdown file.
+ * @param {string} text Content of the Markdown file.
+ * @returns {object} Object with `html`, the HTML document, along with the
+ *    `data`, `lines` and `errors` of the front-matter, see parseFrontMatter.
+ */
+function markdownToHtml(text) {
+  const front_matter = parseFrontMatter(text);
+  const { data, lines } = front_matter;
+  const head = new Array(Math.max(front_matter.length, 1)).fill("");
+  head[0] = "<html><head>";
+  if (data.title != undefined) {
+    head[lines.title] +=
+      "<title>" + markdown.utils.escapeHtml(data.title) + "</title>";
+  }
+  if (data.description != undefined) {
+    head[lines.description] +=
+      '<meta name="description" content="' +
+      markdown.utils.escapeHtml(data.description) +
+      '">';
+  }
+  head[head.length - 1] += "</head><body>";
+
+  let html = head.join("\n");
+  let line = head.length - 1;
+  const env = {};
+  const tokens = markdown.parse(front_matter.body, env);
+  // Top level blocks are rendered one by one, each padded to its line
+  const starts = tokens
+    .map((token, index) =>
+      token.level == 0 && token.nesting != -1 ? index : -1
+    )
+    .filter((index) => index != -1);
+  starts.forEach((start, index) => {
+    const block = markdown.renderer.render(
+      tokens.slice(start, starts[index + 1]),
+      markdown.options,
+      env
+    );
+    if (tokens[start].map && tokens[start].map[0] > line) {
+      html += "\n".repeat(tokens[start].map[0] - line);
+      line = tokens[start].map[0];
+    }
+    html += block;
+    line += block.split("\n").length - 1;
+  });
+  html += "</body></html>\n";
+
+  return {
+    html: html,
+    data: data,
+    lines: lines,
+    errors: front_matter.errors,
+  };
+}
+
+module.exports = { parseFrontMatter, markdownToHtml };
@@ -0,0 +1,442 @@
+const fs = require("fs");
+const path = require("path");
+const CONSTANTS = require("./Constants");
+const { DIAGNOSTICS } = require("./Diagnostics");
+const { list_files, format_code } = require("./Helpers");
+const { JsxExpression, getSourceLookup } = require("./JsxGenerator");
+
+// Fields of the Next.js metadata set by meta elements, by their name. Meta
+// elements with other names are kept through the other field
+const METADATA_NAMES = {
+  "application-name": "applicationName",
+  author: "authors",
+  category: "category",
+  creator: "creator",
+  description: "description",
+  generator: "generator",
+  keywords: "keywords",
+  publisher: "publisher",
+  referrer: "referrer",
+  robots: "robots",
+};
+
+// Fields of the Open Graph metadata of Next.js, by the property of their
+// meta element
+const OPEN_GRAPH_PROPERTIES = {
+  "og:description": "description",
+  "og:image": "images",
+  "og:locale": "locale",
+  "og:site_name": "siteName",
+  "og:title": "title",
+  "og:type": "type",
+  "og:url": "url",
+};
+
+/**
+ * Moves the title, meta and icon elements of the head of a page or layout to
+ * the metadata Next.js renders the head from, exported by the page.jsx or
+ * layout.jsx of its route. Values with {{ }} interpolations are looked up in
+ * generateMetadata if the page has route parameters. Styles and stylesheets
+ * are left in the head, other elements are dropped with a warning as the
+ * component can't render them in the head.
+ * @param {CheerioAPI} $ Document of the page, its head elements are removed.
+ * @param {JsxGenerator} jsxGenerator Generator of the component, with its route parameters in scope.
+ * @param {string[]} params Names of the route parameters of the page.
+ * @param {object} source The {item, collection} the route parameters are looked up in, if the page sets data-source.
+ * @param {string} route_dir_from_src Folder of the page.jsx or layout.jsx from src directory.
+ * @param {boolean} typescript Types the metadata and the params of generateMetadata, for a page.tsx or layout.tsx.
+ * @returns {object} Object with the `imports` statements and the `code`
+ *    exporting the metadata, undefined if the head has none.
+ */
+function extractMetadata(
+  $,
+  jsxGenerator,
+  params,
+  source,
+  route_dir_from_src,
+  typescript = false
+) {
+  const reactCodeMapper = jsxGenerator.reactCodeMapper;
+  // Data is imported by the route module rather than by the component
+  const saved = [
+    reactCodeMapper.add_to_import,
+    reactCodeMapper.add_variables,
+    reactCodeMapper.output_dir_from_src,
+  ];
+  reactCodeMapper.add_to_import = [];
+  reactCodeMapper.add_variables = [];
+  reactCodeMapper.output_dir_from_src = route_dir_from_src;
+  const filepath_from_src = jsxGenerator.filepath_from_src;
+  const fields = [];
+  const open_graph = [];
+  const other = [];
+  const icons = [];
+  let interpolated = false;
+  const toEntry = (key, code) =>
+    (/^[a-zA-Z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)) + ": " + code;
+  const toCode = (text) => {
+    const value = jsxGenerator.interpolate(text);
+    if (value instanceof JsxExpression) {
+      interpolated = true;
+      return value.code;
+    }
+    return JSON.stringify(value);
+  };
+  const drop = (el, description) => {
+    reactCodeMapper.setPosition(el.sourceCodeLocation);
+    reactCodeMapper.addDiagnostic(
+      DIAGNOSTICS.UNSUPPORTED_HEAD,
+      "Dropped " +
+        description +
+        " from the head, Next.js metadata has no field for it"
+    );
+    $(el).remove();
+  };
+
+  for (const el of $("head").children().toArray()) {
+    const attrs = el.attribs;
+    const rel = String(attrs["rel"] || "")
+      .toLowerCase()
+      .split(/\s+/);
+    if (
+      el.name == "style" ||
+      (el.name == "link" && rel.includes("stylesheet"))
+    ) {
+      continue;
+    }
+    reactCodeMapper.setPosition(el.sourceCodeLocation);
+    if (el.name == "title") {
+      const title = $(el)
+        .text()
+        .replace(/[ \t\n\r\f]+/g, " ")
+        .trim();
+      if (title) {
+        fields.push(toEntry("title", toCode(title)));
+      }
+    } else if (el.name == "meta" && attrs["content"] != undefined) {
+      const name = String(attrs["name"] || "").toLowerCase();
+      const property = String(attrs["property"] || "").toLowerCase();
+      const content = toCode(attrs["content"]);
+      if (name == "viewport") {
+        // Rendered by Next.js
+      } else if (name == "author") {
+        fields.push(toEntry("authors", "[{ name: " + content + " }]"));
+      } else if (name in METADATA_NAMES) {
+        fields.push(toEntry(METADATA_NAMES[name], content));
+      } else if (property in OPEN_GRAPH_PROPERTIES) {
+        open_graph.push(toEntry(OPEN_GRAPH_PROPERTIES[property], content));
+      } else if (attrs["name"]) {
+        other.push(toEntry(attrs["name"], content));
+      } else {
+        drop(
+          el,
+          property
+            ? '<meta property="' + property + '">'
+            : attrs["http-equiv"]
+            ? '<meta http-equiv="' + attrs["http-equiv"] + '">'
+            : "<meta>"
+        );
+        continue;
+      }
+    } else if (el.name == "meta" && attrs["charset"] != undefined) {
+      // Rendered by Next.js
+    } else if (
+      el.name == "link" &&
+      rel.some((type) => type.endsWith("icon")) &&
+      attrs["href"]
+    ) {
+      const url = reactCodeMapper.__getLinkInfo(
+        attrs["href"],
+        filepath_from_src
+      );
+      const icon = [
+        toEntry("rel", JSON.stringify(attrs["rel"])),
+        toEntry(
+          "url",
+          url instanceof JsxExpression ? url.code : JSON.stringify(url)
+        ),
+      ];
+      for (const name of ["type", "sizes", "media"]) {
+        if (attrs[name] != undefined) {
+          icon.push(toEntry(name, JSON.stringify(attrs[name])));
+        }
+      }
+      icons.push("{ " + icon.join(", ") + " }");
+    } else {
+      drop(el, "<" + el.name + ">");
+      continue;
+    }
+    $(el).remove();
+  }
+  reactCodeMapper.setPosition(undefined);
+
+  if (open_graph.length > 0) {
+    fields.push(toEntry("openGraph", "{\n" + open_graph.join(",\n") + "\n}"));
+  }
+  if (icons.length > 0) {
+    fields.push(toEntry("icons", "[" + icons.join(", ") + "]"));
+  }
+  if (other.length > 0) {
+    fields.push(toEntry("other", "{\n" + other.join(",\n") + "\n}"));
+  }
+  let code = undefined;
+  const object = "{\n" + fields.join(",\n") + "\n}";
+  if (interpolated && params.length > 0) {
+    // Looks the item of the page up like the component does
+    let lookup = "  const { " + params.join(", ") + " } = params;\n";
+    if (source != undefined) {
+      const collection = reactCodeMapper.getDataExpression(
+        source.collection,
+        params,
+        filepath_from_src
+      );
+      lookup +=
+        getSourceLookup(source.item, collection, params) +
+        "  if (" +
+        source.item +
+        " === undefined) {\n    return {};\n  }\n";
+    }
+    code =
+      "export function generateMetadata({ params }" +
+      (typescript
+        ? ": {\n  params: { " +
+          params.map((param) => param + ": string").join("; ") +
+          " };\n}): Metadata"
+        : ")") +
+      " {\n" +
+      lookup +
+      "  return " +
+      object +
+      ";\n}\n";
+  } else if (fields.length > 0) {
+    code =
+      "export const metadata" +
+      (typescript ? ": Metadata" : "") +
+      " = " +
+      object +
+      ";\n";
+  }
+  const imports = reactCodeMapper.add_to_import;
+  if (typescript && code != undefined) {
+    imports.unshift('import type { Metadata } from "next";');
+  }
+  [
+    reactCodeMapper.add_to_import,
+    reactCodeMapper.add_variables,
+    reactCodeMapper.output_dir_from_src,
+  ] = saved;
+  if (code == undefined) {
+    return undefined;
+  }
+  return { imports: imports, code: code };
+}
+
+/**
+ * Writes the app directory of the Next.js App Router in place of index.js,
+ * for the next target. Every page gets a page.jsx rendering its component
+ * and exporting the metadata of its head, or a not-found.jsx for 404 pages,
+ * and every directory with a layout a layout.jsx. The root layout renders
+ * the html and body elements, with the attributes of index.html or of the
+ * root layout of src. Files left from routes which no longer exist are
+ * removed. With the typescript option, the files are page.tsx, layout.tsx
+ * and not-found.tsx.
+ * @param {object} app The app to be written, with
+ * @param {string} app.src_dir Source directory of the React codebase, holding the app directory.
+ * @param {boolean} app.typescript Writes .tsx files with typed children.
+ * @param {object[]} app.pages Pages other than index.html as {page, component, head, route_path, static_paths}, page being the path of the component from src without extension, head its metadata, route_path its path like blog/:slug and static_paths the paths to be prerendered if it has parameters.
+ * @param {object} app.entry_head Metadata of the head and html and body attributes of index.html.
+ * @param {object} app.layouts Import paths of the layout components, keyed by the directory they wrap.
+ * @param {object} app.layout_heads Metadata of the head of the layouts, and html and body attributes of the root layout, keyed like layouts.
+ * @param {function} app.onRootLayout Takes the code of the root layout and returns it, possibly changed by plugins.
+ * @throws {RuntimeError} Error raised if a file of the app directory can't be written
+ */
+function writeAppDir(app) {
+  const src_dir = app.src_dir;
+  const extension = app.typescript ? ".tsx" : ".jsx";
+  const children = app.typescript
+    ? "{ children }: { children: ReactNode }"
+    : "{ children }";
+  const modules = {};
+  const addModule = (route_dir, filename, component, file, head, exports) => {
+    const route_dir_from_src = path.posix.join(CONSTANTS.APP_DIR, route_dir);
+    const metadata = head.metadata || { imports: [], code: "" };
+    const import_path = path.posix.relative(route_dir_from_src, file);
+    const layout = filename == "layout";
+    modules[path.posix.join(route_dir_from_src, filename + extension)] = [
+      (layout && app.typescript
+        ? 'import type { ReactNode } from "react";\n'
+        : "") +
+        "import " +
+        component +
+        ' from "' +
+        (import_path.startsWith(".") ? "" : "./") +
+        import_path +
+        '";\n' +
+        metadata.imports.map((statement) => statement + "\n").join(""),
+      metadata.code,
+      exports,
+      // A module only re-exporting a client component would be a client
+      // module too, which Next.js doesn't read metadata and params from
+      layout
+        ? "export default function " +
+          component +
+          "Route(" +
+          children +
+          ") {\n  return <" +
+          component +
+          ">{children}</" +
+          component +
+          ">;\n}\n"
+        : "export default function " +
+          component +
+          "Route() {\n  return <" +
+          component +
+          " />;\n}\n",
+    ]
+      .filter((part) => part)
+      .join("\n");
+  };
+
+  addModule("", "page", "App", "App", app.entry_head, "");
+  for (const { page, component, head, route_path, static_paths } of app.pages) {
+    const name = path.posix.basename(page);
+    const dir = path.posix.dirname(page).replace(/^\.$/, "");
+    if (name == CONSTANTS.NOT_FOUND_PAGE_NAME) {
+      // not-found.jsx can't export metadata
+      addModule(dir, "not-found", component, page, {}, "");
+      continue;
+    }
+    let exports = "";
+    if (static_paths != undefined) {
+      exports =
+        "export const dynamicParams = false;\n\n" +
+        "export function generateStaticParams() {\n  return " +
+        JSON.stringify(getStaticParams(route_path, static_paths)) +
+        ";\n}\n";
+    }
+    addModule(
+      name == "index" ? dir : page,
+      "page",
+      component,
+      page,
+      head,
+      exports
+    );
+  }
+  for (const [dir, value] of Object.entries(app.layouts)) {
+    if (dir != "") {
+      addModule(
+        dir,
+        "layout",
+        path.posix.basename(value),
+        value.replace(/^\.\//, ""),
+        app.layout_heads[dir],
+        ""
+      );
+    }
+  }
+
+  // The root layout wraps every page in the html and body elements, and
+  // in the layout of src if there's one
+  const root_layout = app.layouts[""];
+  const root_head = app.layout_heads[""] || {};
+  const metadata = root_head.metadata || { imports: [], code: "" };
+  // Attributes of index.html win over those of the root layout
+  const attributes = Object.assign(
+    {},
+    root_head.root_attributes,
+    app.entry_head.root_attributes
+  );
+  const layout_component = root_layout
+    ? path.posix.basename(root_layout)
+    : undefined;
+  modules[path.posix.join(CONSTANTS.APP_DIR, "layout" + extension)] =
+    app.onRootLayout(
+      (app.typescript ? 'import type { ReactNode } from "react";\n' : "") +
+        (layout_component
+          ? "import " +
+            layout_component +
+            ' from "' +
+            path.posix.relative(
+              CONSTANTS.APP_DIR,
+              root_layout.replace(/^\.\//, "")
+            ) +
+            '";\n'
+          : "") +
+        metadata.imports.join("\n") +
+        "\n\n" +
+        metadata.code +
+        "\nfunction AppDocument(" +
+        children +
+        ") {\n  return (\n<html" +
+        (attributes.html || "") +
+        ">\n<body" +
+        (attributes.body || "") +
+        ">\n" +
+        (layout_component
+          ? "<" + layout_component + ">{children}</" + layout_component + ">"
+          : "{children}") +
+        "\n</body>\n</html>\n  );\n}\n\nexport default AppDocument;\n"
+    );
+
+  const app_dir = path.join(src_dir, CONSTANTS.APP_DIR);
+  const stale = fs.existsSync(app_dir)
+    ? list_files(app_dir)
+        // Files written with or without the typescript option
+        .filter((file) =>
+          /^(page|layout|not-found)\.[jt]sx$/.test(path.basename(file))
+        )
+        .map((file) => path.relative(src_dir, file).split(path.sep).join("/"))
+        .filter((file) => !(file in modules))
+    : [];
+  for (const file of stale) {
+    fs.rmSync(path.join(src_dir, file));
+    // Directories of removed routes go along with their files
+    let dir = path.dirname(path.join(src_dir, file));
+    while (dir != app_dir && fs.readdirSync(dir).length == 0) {
+      fs.rmdirSync(dir);
+      dir = path.dirname(dir);
+    }
+  }
+  for (const [file, code] of Object.entries(modules)) {
+    const filepath = path.join(src_dir, file);
+    const formatted = format_code(code, filepath);
+    // Unchanged files are left alone, so the dev server doesn't reload
+    if (
+      fs.existsSync(filepath) &&
+      fs.readFileSync(filepath, "utf8") == formatted
+    ) {
+      continue;
+    }
+    try {
+      fs.mkdirSync(path.dirname(filepath), { recursive: true });
+      fs.writeFileSync(filepath, formatted);
+    } catch (err) {
+      throw new Error("Error writing file: " + err);
+    }
+  }
+}
+
+/**
+ * Lists the parameters of the paths of a route with parameters, for
+ * generateStaticParams of its page.jsx, e.g. { slug: "hello" } for
+ * /blog/hello of blog/:slug.
+ * @param {string} route_path Path of the route, with :name segments for its parameters.
+ * @param {string[]} paths Paths of the route listed from its data-source.
+ * @returns {object[]} Values of the parameters of every path, by name.
+ */
+function getStaticParams(route_path, paths) {
+  const segments = route_path.split("/");
+  return paths.map((static_path) => {
+    const values = static_path.replace(/^\//, "").split("/");
+    const params = {};
+    segments.forEach((segment, index) => {
+      if (segment.startsWith(":")) {
+        params[segment.substring(1)] = decodeURIComponent(values[index]);
+      }
+    });
+    return params;
+  });
+}
+
+module.exports = { extractMetadata, writeAppDir, getStaticParams };
@@ -1,8 +1,12 @@
 const os = require("os");
-const { execSync } = require("child_process");
+const { execSync, spawn } = require("child_process");
 const path = require("path");
 const fs = require("fs");
+const fse = require("fs-extra");
 const { cwd } = require("process");
+const prettier = require("prettier");
+const { list_files, format_code } = require("./Helpers");
+const CONSTANTS = require("./Constants");
 
 class NodeWrapper {
   /**
@@ -114,6 +118,32 @@ class NodeWrapper {
     }
   }
 
+  /**
+   * Creates a React app from one of the templates bundled with Reactonite,
+   * like the one built with Vite, and installs its packages.
+   * @param {string} template Name of the template, the target it's built for
+   * @param {string} project_name Project name to be used as the name of the package
+   * @param {string} dest_dir Directory the app is created in
+   */
+  create_template_app(template, project_name, dest_dir) {
+    const template_dir = path.join(
+      __dirname,
+      "..",
+      "..",
+      CONSTANTS.TEMPLATES_DIR,
+      template
+    );
+    fse.copySync(template_dir, dest_dir);
+    const package_path = path.join(dest_dir, "package.json");
+    const package_json = JSON.parse(fs.readFileSync(package_path, "utf8"));
+    package_json.name = project_name;
+    fs.writeFileSync(
+      package_path,
+      JSON.stringify(package_json, null, 2) + "\n"
+    );
+    this.run(this.npm + " install --prefer-offline", dest_dir);
+  }
+
   /**
    *Installs the given package in npm and saves in package.json
    * @param {string} package_name Package to be installed.
@@ -123,6 +153,16 @@ class NodeWrapper {
     this.run(this.npm + " i " + package_name + " --save", working_dir);
   }
 
+  /**
+   * Installs the given packages in npm and saves them as devDependencies in
+   * package.json, like the tools and types only needed to build the app.
+   * @param {string} package_name Packages to be installed, separated by spaces.
+   * @param {string} working_dir Directory containing npm project root
+   */
+  install_dev(package_name, working_dir) {
+    this.run(this.npm + " i " + package_name + " --save-dev", working_dir);
+  }
+
   /**
    *Create an optimized build of your app in the build folder
    * @param {string} working_dir Directory containing npm project root
@@ -132,12 +172,51 @@ class NodeWrapper {
   }
 
   /**
-   * Runs code formatting using prettier on the given path
-   * @param {string} path Filepath or directory to run prettier on
-   * @param {string} working_dir Directory from which command is run
+   * Starts the development server of the app, printing its output.
+   * @param {string} working_dir Directory containing npm project root
+   * @returns {ChildProcess} Process of the server.
    */
-  prettify(path, working_dir = ".") {
-    this.run(this.npx + " prettier --write " + path, working_dir);
+  start(working_dir) {
+    return spawn(this.npm, ["start"], { cwd: working_dir, stdio: "inherit" });
+  }
+
+  /**
+   * Builds a module of a Vite app for Node, with its packages left as
+   * imports, so its components can be rendered on the server.
+   * @param {string} entry Path to the module from working_dir
+   * @param {string} out_dir Directory the build is written to, from working_dir
+   * @param {string} working_dir Directory containing npm project root
+   */
+  build_ssr(entry, out_dir, working_dir) {
+    this.run(
+      this.npx +
+        " vite build --ssr " +
+        entry +
+        " --outDir " +
+        out_dir +
+        " --emptyOutDir --logLevel warn",
+      working_dir
+    );
+  }
+
+  /**
+   * Runs code formatting using prettier on the given path, in-process
+   * through the Prettier API. Files in a directory that Prettier can't parse
+   * are left as they are.
+   * @param {string} filepath Filepath or directory to run prettier on
+   * @param {string} working_dir Directory the path is relative to
+   */
+  prettify(filepath, working_dir = ".") {
+    const target = path.resolve(working_dir, filepath);
+    const files = fs.statSync(target).isDirectory()
+      ? list_files(target).filter(
+          (file) => prettier.getFileInfo.sync(file).inferredParser != null
+        )
+      : [target];
+    for (const file of files) {
+      fs.writeFileSync(file, format_code(fs.readFileSync(file, "utf8"), file));
+    }
   }
 }
-a = new NodeWrapper();
+
+module.exports = NodeWrapper;
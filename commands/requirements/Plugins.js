@@ -0,0 +1,137 @@
+const path = require("path");
+
+// Hooks plugins can implement, each called with a value and a context and
+// returning the new value, or nothing to keep it
+const HOOKS = [
+  "beforeParse",
+  "transformNode",
+  "afterGenerate",
+  "onRebuildIndex",
+];
+
+/**
+ * Loads the plugins listed in config.json. A plugin is a module exporting an
+ * object with its hooks, `tags` handlers and `attributes` mappers, or a
+ * function creating that object from the options given in config.
+ * @param {Array} specs Plugins as module names or paths relative to
+ *    base_dir, or as [module, options] arrays.
+ * @param {string} base_dir Directory paths and module names are resolved
+ *    from, usually the project directory.
+ * @returns {object[]} Plugins in the order they're listed, with the
+ *    `filename` of their module.
+ * @throws {Error} Raised if a plugin can't be found or isn't valid.
+ */
+function loadPlugins(specs = [], base_dir = ".") {
+  if (!Array.isArray(specs)) {
+    throw new Error("Invalid plugins in config, expected an array");
+  }
+  return specs.map((spec) => {
+    const [request, options] = Array.isArray(spec) ? spec : [spec, {}];
+    let filename;
+    try {
+      filename = require.resolve(
+        request.startsWith(".") ? path.resolve(base_dir, request) : request,
+        { paths: [path.resolve(base_dir)] }
+      );
+    } catch {
+      throw new Error(
+        "Plugin " + request + " not found from " + path.resolve(base_dir)
+      );
+    }
+    let plugin = require(filename);
+    if (typeof plugin == "function") {
+      plugin = plugin(options || {});
+    }
+    if (plugin == null || typeof plugin != "object") {
+      throw new Error("Plugin " + request + " doesn't export an object");
+    }
+    for (const hook of HOOKS) {
+      if (plugin[hook] != undefined && typeof plugin[hook] != "function") {
+        throw new Error(
+          "Plugin " + request + " has a " + hook + " which isn't a function"
+        );
+      }
+    }
+    for (const group of ["tags", "attributes"]) {
+      for (const [name, handler] of Object.entries(plugin[group] || {})) {
+        if (typeof handler != "function") {
+          throw new Error(
+            "Plugin " +
+              request +
+              " has a handler for " +
+              name +
+              " which isn't a function"
+          );
+        }
+      }
+    }
+    return Object.assign({ name: request }, plugin, { filename: filename });
+  });
+}
+
+/**
+ * Calls a plugin function, reporting which plugin failed if it throws.
+ * @param {object} plugin Plugin the function belongs to.
+ * @param {string} name Name of the hook or handler, for the error message.
+ * @param {function} func Function to be called.
+ * @param {Array} args Arguments of the function.
+ * @returns {*} Value returned by the function.
+ * @throws {Error} Raised if the function throws.
+ */
+function callPlugin(plugin, name, func, args) {
+  try {
+    return func.apply(plugin, args);
+  } catch (err) {
+    throw new Error(
+      "Plugin " +
+        plugin.name +
+        " failed in " +
+        name +
+        ": " +
+        (err.message || err)
+    );
+  }
+}
+
+/**
+ * Runs a hook of every plugin in order, each getting the value returned by
+ * the one before.
+ * @param {object[]} plugins Plugins as returned by loadPlugins.
+ * @param {string} hook Name of the hook, one of HOOKS.
+ * @param {*} value Value passed to the first plugin.
+ * @param {object} context Context passed along with the value.
+ * @returns {*} Value returned by the last plugin implementing the hook.
+ */
+function runHook(plugins, hook, value, context) {
+  for (const plugin of plugins) {
+    if (plugin[hook] == undefined) {
+      continue;
+    }
+    const result = callPlugin(plugin, hook, plugin[hook], [value, context]);
+    if (result !== undefined) {
+      value = result;
+    }
+  }
+  return value;
+}
+
+/**
+ * Checks the path of a file a plugin adds to the React codebase, which has
+ * to stay inside it.
+ * @param {string} file Path to the file from the React codebase.
+ * @returns {string} Path with forward slashes.
+ * @throws {Error} Raised if the path is absolute or goes out of the codebase.
+ */
+function checkEmittedFile(file) {
+  const normalized = path.posix.normalize(
+    String(file).split(path.sep).join("/")
+  );
+  if (path.isAbsolute(normalized) || normalized.split("/")[0] == "..") {
+    throw new Error(
+      "Can't add " + file + ", files have to be inside the React codebase"
+    );
+  }
+  return normalized;
+}
+
+module.exports = { HOOKS, loadPlugins, callPlugin, runHook, checkEmittedFile };
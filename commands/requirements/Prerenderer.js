@@ -0,0 +1,433 @@
+const path = require("path");
+const fs = require("fs");
+const Module = require("module");
+const { pathToFileURL } = require("url");
+const CONSTANTS = require("./Constants");
+const NodeWrapper = require("./NodeWrapper");
+
+// Packages of the React codebase used to render its routes in Node
+const PACKAGES = [
+  "react",
+  "react-dom/server",
+  "react-router-dom/server",
+  "react-helmet",
+];
+
+// Packages compiling the components of create-react-app, all of them
+// installed along with react-scripts
+const CRA_PACKAGES = [
+  "@babel/core",
+  "babel-preset-react-app",
+  "react-dev-utils/getCSSModuleLocalIdent",
+];
+
+// Files imported as modules by the components, others are assets
+const STYLE_EXTENSIONS = [".css", ".scss", ".sass"];
+
+// Images react-scripts inlines as data URLs when they're small enough
+const INLINE_IMAGE_TYPES = {
+  ".bmp": "image/bmp",
+  ".gif": "image/gif",
+  ".jpeg": "image/jpeg",
+  ".jpg": "image/jpeg",
+  ".png": "image/png",
+};
+const IMAGE_INLINE_SIZE_LIMIT = parseInt(
+  process.env.IMAGE_INLINE_SIZE_LIMIT || "10000"
+);
+
+class Prerenderer {
+  /**
+   * Renders the routes of a React codebase to static HTML with
+   * ReactDOMServer, after it's built. With Vite the routes module is built
+   * again for Node, while the components of create-react-app are compiled
+   * by Babel as they're required. Both use the packages installed in the
+   * codebase, so nothing is downloaded, and imported assets resolve to the
+   * URLs of the build and CSS Modules to the class names of the build.
+   * @property {string} dest_dir Directory of the React codebase.
+   * @property {string} build_dir Directory of its build, the HTML files are written to.
+   * @property {boolean} verbose Prints every page as it's written.
+   * @property {string} target Toolchain the codebase is built with, vite or cra.
+   * @property {boolean} typescript The components and the routes module are .tsx files.
+   * @param {string} dest_dir Directory of the React codebase.
+   * @param {string} build_dir Directory of its build, the HTML files are written to.
+   * @param {boolean} verbose Prints every page as it's written, defaults to false.
+   * @param {string} target Toolchain the codebase is built with, defaults to vite.
+   * @param {boolean} typescript The components and the routes module are .tsx files, defaults to false.
+   */
+  constructor(
+    dest_dir,
+    build_dir,
+    verbose = false,
+    target = CONSTANTS.TARGETS[0],
+    typescript = false
+  ) {
+    this.dest_dir = path.resolve(dest_dir);
+    this.build_dir = path.resolve(build_dir);
+    this.verbose = verbose;
+    this.target = target;
+    this.typescript = typescript;
+  }
+
+  /**
+   * Renders each path through the routes module of the codebase and writes
+   * it to the build as <path>/index.html, or <path>.html for 404 pages,
+   * with the head tags set through Helmet. The index.js of the codebase
+   * hydrates the HTML once loaded.
+   * @param {string[]} paths Paths to be rendered, like / and /about.
+   * @returns {Promise} Resolves to the paths to the written files.
+   * @throws {Error} Raised if a package is missing from the codebase or a page fails to render.
+   */
+  async prerender(paths) {
+    const modules = {};
+    for (const name of PACKAGES) {
+      modules[name] = this.__require(name);
+    }
+    const React = modules["react"];
+    const { renderToString } = modules["react-dom/server"];
+    const { StaticRouter } = modules["react-router-dom/server"];
+    const { Helmet } = modules["react-helmet"];
+    const template = fs.readFileSync(
+      path.join(this.build_dir, "index.html"),
+      "utf8"
+    );
+
+    const { routes, restore } = await this.__loadRoutes();
+    const written = [];
+    try {
+      const AppRoutes = routes.default;
+      for (const route_path of paths) {
+        await routes.preloadRoute(route_path);
+        const html = renderToString(
+          React.createElement(
+            StaticRouter,
+            { location: route_path },
+            React.createElement(AppRoutes)
+          )
+        );
+        // Reading the head also resets Helmet for the next page
+        const helmet = Helmet.renderStatic();
+        const filepath = this.__getPageFile(route_path);
+        fs.mkdirSync(path.dirname(filepath), { recursive: true });
+        fs.writeFileSync(filepath, renderDocument(template, html, helmet));
+        if (this.verbose) {
+          console.log("Prerendered " + route_path + " -> " + filepath);
+        }
+        written.push(filepath);
+      }
+    } finally {
+      restore();
+    }
+    return written;
+  }
+
+  /**
+   * Loads the routes module of the codebase in Node.
+   * @returns {Promise} Resolves to an object with `routes`, the exports of
+   *    the module, and `restore`, a function cleaning up once the pages are
+   *    rendered.
+   */
+  async __loadRoutes() {
+    const filename =
+      CONSTANTS.ROUTES_MODULE_NAME + (this.typescript ? ".tsx" : ".js");
+    if (this.target == "vite") {
+      this.__require("vite/package.json");
+      const out_dir = path.join("node_modules", ".reactonite-ssr");
+      new NodeWrapper().build_ssr(
+        path.join("src", filename),
+        out_dir,
+        this.dest_dir
+      );
+      const restore = () =>
+        fs.rmSync(path.join(this.dest_dir, out_dir), {
+          recursive: true,
+          force: true,
+        });
+      try {
+        // The module is built to a .js file, like appRoutes.js
+        const url = pathToFileURL(
+          path.join(
+            this.dest_dir,
+            out_dir,
+            CONSTANTS.ROUTES_MODULE_NAME + ".js"
+          )
+        );
+        // A new URL each time, as Node never reloads an imported module
+        return { routes: await import(url + "?" + Date.now()), restore };
+      } catch (err) {
+        restore();
+        throw err;
+      }
+    }
+
+    const modules = {};
+    for (const name of CRA_PACKAGES) {
+      modules[name] = this.__require(name);
+    }
+    const restore = this.__registerHooks(modules);
+    try {
+      return {
+        routes: require(path.join(this.dest_dir, "src", filename)),
+        restore,
+      };
+    } catch (err) {
+      restore();
+      throw err;
+    }
+  }
+
+  /**
+   * Loads a package installed in the React codebase.
+   * @param {string} name Name of the package or of a file in it.
+   * @returns {*} Exports of the package.
+   * @throws {Error} Raised if the package isn't installed.
+   */
+  __require(name) {
+    let filename;
+    try {
+      filename = require.resolve(name, { paths: [this.dest_dir] });
+    } catch {
+      throw new Error(
+        "Prerendering needs " +
+          name +
+          " installed in " +
+          this.dest_dir +
+          ", run npm install there"
+      );
+    }
+    return require(filename);
+  }
+
+  /**
+   * Makes the files of the codebase requirable by Node: scripts are
+   * compiled by Babel like react-scripts does for tests, styles give the
+   * class names of their CSS Module and other files their URL in the build.
+   * @param {object} modules Packages loaded from the codebase, by name.
+   * @returns {function} Restores Node as it was and forgets the loaded files.
+   */
+  __registerHooks(modules) {
+    const babel = modules["@babel/core"];
+    const getLocalIdent = modules["react-dev-utils/getCSSModuleLocalIdent"];
+    const src_dir = path.join(this.dest_dir, "src");
+    const manifest = this.__readAssetManifest();
+    const isSource = (filename) =>
+      filename.startsWith(src_dir + path.sep) &&
+      !filename.includes(path.sep + "node_modules" + path.sep);
+
+    const extensions = Module._extensions;
+    const js_loader = extensions[".js"];
+    const previous = {};
+    const hook = (extension, load) => {
+      previous[extension] = extensions[extension];
+      const fallback = extensions[extension] || js_loader;
+      extensions[extension] = (module, filename) =>
+        isSource(filename)
+          ? load(module, filename)
+          : fallback(module, filename);
+    };
+
+    const babel_env = process.env.BABEL_ENV;
+    // The preset compiles to CommonJS for the running Node in the test env
+    process.env.BABEL_ENV = "test";
+    // The preset strips the types of .tsx files, which Node then resolves
+    // imports without extension to
+    const compile = (module, filename) => {
+      const { code } = babel.transformSync(fs.readFileSync(filename, "utf8"), {
+        filename: filename,
+        babelrc: false,
+        configFile: false,
+        presets: [modules["babel-preset-react-app"]],
+      });
+      module._compile(code, filename);
+    };
+    hook(".js", compile);
+    if (this.typescript) {
+      hook(".tsx", compile);
+    }
+    const assets = new Set();
+    for (const filename of this.__listAssets(src_dir)) {
+      assets.add(path.extname(filename));
+    }
+    for (const extension of assets) {
+      hook(extension, (module, filename) => {
+        if (/\.module\.(css|scss|sass)$/.test(filename)) {
+          // Every class name read from the module is scoped like in the build
+          module.exports = new Proxy(
+            {},
+            {
+              get: (target, name) =>
+                typeof name == "string"
+                  ? getLocalIdent(
+                      { resourcePath: filename, rootContext: this.dest_dir },
+                      "[hash:base64]",
+                      name,
+                      {}
+                    )
+                  : undefined,
+            }
+          );
+        } else if (STYLE_EXTENSIONS.includes(extension)) {
+          module.exports = {};
+        } else {
+          module.exports = this.__getAssetUrl(filename, manifest);
+        }
+      });
+    }
+
+    return () => {
+      for (const [extension, load] of Object.entries(previous)) {
+        if (load == undefined) {
+          delete extensions[extension];
+        } else {
+          extensions[extension] = load;
+        }
+      }
+      if (babel_env == undefined) {
+        delete process.env.BABEL_ENV;
+      } else {
+        process.env.BABEL_ENV = babel_env;
+      }
+      for (const filename of Object.keys(require.cache)) {
+        if (isSource(filename)) {
+          delete require.cache[filename];
+        }
+      }
+    };
+  }
+
+  /**
+   * Lists the files of the codebase which aren't scripts, TypeScript or
+   * JSON, which Node or the hooks for scripts load.
+   * @param {string} dir Directory to be listed.
+   * @returns {string[]} Paths to the files.
+   */
+  __listAssets(dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const filename = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...this.__listAssets(filename));
+      } else if (
+        ![".js", ".json", ".map", ".ts", ".tsx"].includes(
+          path.extname(filename)
+        )
+      ) {
+        files.push(filename);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Reads the files of the build listed by react-scripts in
+   * asset-manifest.json.
+   * @returns {object} URLs of the built files, keyed like static/media/logo.png.
+   */
+  __readAssetManifest() {
+    try {
+      return JSON.parse(
+        fs.readFileSync(path.join(this.build_dir, "asset-manifest.json"))
+      ).files;
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Finds the URL an imported asset has in the build, the file emitted by
+   * react-scripts or a data URL for a small image it inlines.
+   * @param {string} filename Path to the asset.
+   * @param {object} manifest URLs of the built files, from asset-manifest.json.
+   * @returns {string} URL of the asset.
+   */
+  __getAssetUrl(filename, manifest) {
+    const extension = path.extname(filename);
+    const type = INLINE_IMAGE_TYPES[extension.toLowerCase()];
+    if (
+      type != undefined &&
+      fs.statSync(filename).size < IMAGE_INLINE_SIZE_LIMIT
+    ) {
+      return (
+        "data:" +
+        type +
+        ";base64," +
+        fs.readFileSync(filename).toString("base64")
+      );
+    }
+    const key = "static/media/" + path.basename(filename);
+    return manifest[key] || "/" + key;
+  }
+
+  /**
+   * Finds where the HTML of a path is written in the build.
+   * @param {string} route_path Path of the page, like /about.
+   * @returns {string} Path to the HTML file, like build/about/index.html.
+   */
+  __getPageFile(route_path) {
+    const segments = route_path
+      .split("/")
+      .map((segment) => decodeURIComponent(segment))
+      .filter((segment) => segment && segment != "." && segment != "..");
+    if (segments[segments.length - 1] == CONSTANTS.NOT_FOUND_PAGE_NAME) {
+      return path.join(this.build_dir, ...segments) + ".html";
+    }
+    return path.join(this.build_dir, ...segments, "index.html");
+  }
+}
+
+/**
+ * Fills the index.html of the build with a rendered page, its head tags
+ * replacing the title of the template.
+ * @param {string} template Content of the index.html of the build.
+ * @param {string} html HTML rendered for the root element.
+ * @param {object} helmet Head of the page, as returned by Helmet.renderStatic.
+ * @returns {string} HTML document of the page.
+ */
+function renderDocument(template, html, helmet) {
+  const head = ["title", "meta", "link", "style", "script", "noscript", "base"]
+    .map((name) => helmet[name].toString())
+    .join("");
+  let document = template;
+  if (helmet.title.toString().includes("</title>")) {
+    document = document.replace(/[ \t]*<title>[\s\S]*?<\/title>\r?\n?/, "");
+  }
+  return document
+    .replace(/<html([^>]*)>/, (match, attrs) =>
+      mergeAttributes("html", attrs, helmet.htmlAttributes.toString())
+    )
+    .replace("</head>", () => head + "</head>")
+    .replace(/<body([^>]*)>/, (match, attrs) =>
+      mergeAttributes("body", attrs, helmet.bodyAttributes.toString())
+    )
+    .replace(
+      /<div id="root"><\/div>/,
+      () => '<div id="root">' + html + "</div>"
+    );
+}
+
+/**
+ * Writes the opening tag of an element of the template with the attributes
+ * set through Helmet, which replace the ones of the template with the same
+ * name.
+ * @param {string} tag Name of the element.
+ * @param {string} attrs Attributes of the element in the template.
+ * @param {string} added Attributes set through Helmet.
+ * @returns {string} Opening tag of the element.
+ */
+function mergeAttributes(tag, attrs, added) {
+  if (!added) {
+    return "<" + tag + attrs + ">";
+  }
+  for (const [, name] of added.matchAll(/([^\s=]+)(?:="[^"]*")?/g)) {
+    attrs = attrs.replace(
+      new RegExp(
+        "\\s" + name + "(?=[\\s=]|$)(?:=(?:\"[^\"]*\"|'[^']*'|[^\\s>]*))?",
+        "i"
+      ),
+      ""
+    );
+  }
+  return "<" + tag + attrs + " " + added + ">";
+}
+
+module.exports = Prerenderer;
@@ -4,6 +4,7 @@ props_map = {
   "accept-charset": "acceptCharset",
   accesskey: "accessKey",
   action: "action",
+  allow: "allow",
   allowfullscreen: "allowFullScreen",
   alt: "alt",
   as: "as",
@@ -37,6 +38,7 @@ props_map = {
   dangerouslysetinnerhtml: "dangerouslySetInnerHTML",
   data: "data",
   datetime: "dateTime",
+  decoding: "decoding",
   default: "default",
   defaultchecked: "defaultChecked",
   defaultvalue: "defaultValue",
@@ -49,6 +51,7 @@ props_map = {
   draggable: "draggable",
   enctype: "encType",
   enterkeyhint: "enterKeyHint",
+  fetchpriority: "fetchPriority",
   for: "htmlFor",
   form: "form",
   formmethod: "formMethod",
@@ -68,6 +71,9 @@ props_map = {
   "http-equiv": "httpEquiv",
   icon: "icon",
   id: "id",
+  imagesizes: "imageSizes",
+  imagesrcset: "imageSrcSet",
+  inert: "inert",
   innerhtml: "innerHTML",
   inputmode: "inputMode",
   integrity: "integrity",
@@ -83,6 +89,7 @@ props_map = {
   label: "label",
   lang: "lang",
   list: "list",
+  loading: "loading",
   loop: "loop",
   low: "low",
   manifest: "manifest",
@@ -106,6 +113,9 @@ props_map = {
   pattern: "pattern",
   placeholder: "placeholder",
   playsinline: "playsInline",
+  popover: "popover",
+  popovertarget: "popoverTarget",
+  popovertargetaction: "popoverTargetAction",
   poster: "poster",
   preload: "preload",
   profile: "profile",
@@ -127,6 +137,7 @@ props_map = {
   shape: "shape",
   size: "size",
   sizes: "sizes",
+  slot: "slot",
   span: "span",
   spellcheck: "spellCheck",
   src: "src",
@@ -140,6 +151,7 @@ props_map = {
   tabindex: "tabIndex",
   target: "target",
   title: "title",
+  translate: "translate",
   type: "type",
   usemap: "useMap",
   value: "value",
@@ -482,6 +494,10 @@ props_map = {
   ychannelselector: "yChannelSelector",
   z: "z",
   zoomandpan: "zoomAndPan",
+  // Patterns with a * wildcard, true keeps the matching attributes as they
+  // are and false drops them
+  "aria-*": true,
+  "data-*": true,
 };
 
 module.exports = props_map;
@@ -1,7 +1,7 @@
 const path = require("path");
 const fs = require("fs");
 const CONSTANTS = require("./Constants");
-const Transpiler = require("./Transpiler");
+const { Transpiler } = require("./Transpiler");
 const hound = require("hound");
 
 class ReactoniteWatcher {
@@ -39,10 +39,11 @@ class ReactoniteWatcher {
     this.ignore_directories = ignore_directories;
     this.case_sensitive = true;
     this.recursive = recursive;
+    this.pending = Promise.resolve();
     this.transpiler = new Transpiler(
       config_settings,
-      (props_map = CONSTANTS.PROPS_MAP),
-      (verbose = true)
+      CONSTANTS.PROPS_MAP,
+      true
     );
   }
 
@@ -50,12 +51,22 @@ class ReactoniteWatcher {
    * Runs the hound service on the given path. Handles various events to different functions as per the requirement
    */
   start() {
-    watcher = hound.watch(this.src_dir);
-    watcher.on("create", __on_created(file, stats));
-    watcher.on("change", __on_modified(file, stats));
-    watcher.on("delete", __on_deleted(file, stats));
+    this.watcher = hound.watch(this.src_dir);
+    this.watcher.on("create", (file, stats) => this.__on_created(file, stats));
+    this.watcher.on("change", (file, stats) => this.__on_modified(file, stats));
+    this.watcher.on("delete", (file, stats) => this.__on_deleted(file, stats));
 
-    print("Started watching for changes on path" + this.src_dir);
+    console.log("Started watching for changes on path " + this.src_dir);
+  }
+
+  /**
+   * Stops watching for changes.
+   */
+  stop() {
+    if (this.watcher != undefined) {
+      this.watcher.clear();
+      this.watcher = undefined;
+    }
   }
 
   /**
@@ -69,11 +80,11 @@ class ReactoniteWatcher {
     if (stats.isDirectory()) {
       return;
     } else if (stats.isFile() || stats.isSymbolicLink()) {
-      try {
-        this.transpiler.transpile_project();
-      } catch {
-        console.log("transpile project failed");
-      }
+      this.__enqueue(() =>
+        this.transpiler.transpile_project().catch((err) => {
+          console.error("Transpile project failed: " + (err.message || err));
+        })
+      );
     }
   }
 
@@ -84,11 +95,11 @@ class ReactoniteWatcher {
    */
   __on_deleted(file, stats) {
     console.log("Deleted" + file + "!");
-    try {
-      this.transpiler.transpile_project((copy_static = false));
-    } catch {
-      console.log("transpile project failed");
-    }
+    this.__enqueue(() =>
+      this.transpiler.transpile_project(false).catch((err) => {
+        console.error("Transpile project failed: " + (err.message || err));
+      })
+    );
     this.__delete_file(file);
   }
 
@@ -102,38 +113,78 @@ class ReactoniteWatcher {
     var stats = fs.statSync(file);
     if (stats.isDirectory()) {
       return;
+    } else if (
+      this.transpiler.target == "next" &&
+      CONSTANTS.PAGE_EXTENSIONS.includes(path.extname(file))
+    ) {
+      // The metadata of the pages is exported by the app directory, which
+      // is generated for the whole project
+      this.__enqueue(() =>
+        this.transpiler.transpile_project(false).catch((err) => {
+          console.error("Transpile project failed: " + (err.message || err));
+        })
+      );
     } else if (stats.isFile() || stats.isSymbolicLink()) {
-      this.__new_file(file);
+      this.__enqueue(() => this.__new_file(file));
     }
   }
 
+  /**
+   * Runs a transpilation once the ones before it are done. A project
+   * transpilation waits for its worker threads, so a file changed meanwhile
+   * would be transpiled in the middle of it.
+   * @param {function} task Transpilation to run, handling its own errors
+   */
+  __enqueue(task) {
+    this.pending = this.pending.then(task);
+  }
+
+  /**
+   * Transpiles a created or modified file. Its diagnostics are printed by
+   * the transpiler, a failure is printed with its reason.
+   * @param {string} filepath Path to the file
+   */
   __new_file(filepath) {
+    const error_count = this.transpiler.error_count;
     try {
       this.transpiler.transpileFile(filepath);
-    } catch {
-      console.log("transpiler failed");
+    } catch (err) {
+      console.error(
+        "Transpiling " + filepath + " failed: " + (err.message || err)
+      );
+      return;
+    }
+    if (this.transpiler.error_count > error_count) {
+      console.error(
+        "Transpiling " +
+          filepath +
+          " failed with " +
+          (this.transpiler.error_count - error_count) +
+          " error(s)"
+      );
     }
   }
 
   __delete_file(filepath) {
-    components = filepath.split(path.sep);
-    index = components.indexOf("src");
-    file_name_with_extension = components.pop();
-    file_name_split = file_name_with_extension.split(".");
-    filenameWithNoExtension = file_name_split[0];
-    extension = file_name_split[1];
-    filePathFromSrc = components.slice(index + 1).join("/");
+    const components = filepath.split(path.sep);
+    const index = components.indexOf("src");
+    let file_name_with_extension = components.pop();
+    const file_name_split = file_name_with_extension.split(".");
+    const filenameWithNoExtension = file_name_split[0];
+    const extension = file_name_split[1];
+    const filePathFromSrc = components.slice(index + 1).join("/");
 
-    if (extension == "html") {
-      file_name_with_extension = filenameWithNoExtension + ".js";
+    if (extension == "html" || extension == "md") {
+      file_name_with_extension =
+        filenameWithNoExtension + (this.transpiler.typescript ? ".tsx" : ".js");
     }
-    dest_filepath = path.join(
+    const dest_filepath = path.join(
       this.dest_dir,
       "src",
       filePathFromSrc,
       file_name_with_extension
     );
-    print("removing", dest_filepath);
+    console.log("removing", dest_filepath);
     try {
       this.__remove(dest_filepath);
     } catch {
@@ -153,3 +204,5 @@ class ReactoniteWatcher {
     }
   }
 }
+
+module.exports = ReactoniteWatcher;
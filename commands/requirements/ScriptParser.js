@@ -0,0 +1,500 @@
+const KEYWORDS = [
+  "await",
+  "break",
+  "case",
+  "catch",
+  "class",
+  "const",
+  "continue",
+  "debugger",
+  "default",
+  "delete",
+  "do",
+  "else",
+  "export",
+  "extends",
+  "false",
+  "finally",
+  "for",
+  "function",
+  "if",
+  "import",
+  "in",
+  "instanceof",
+  "let",
+  "new",
+  "null",
+  "return",
+  "super",
+  "switch",
+  "this",
+  "throw",
+  "true",
+  "try",
+  "typeof",
+  "undefined",
+  "var",
+  "void",
+  "while",
+  "with",
+  "yield",
+];
+
+const BROWSER_GLOBALS = [
+  "alert",
+  "Array",
+  "Boolean",
+  "clearInterval",
+  "clearTimeout",
+  "confirm",
+  "console",
+  "Date",
+  "decodeURIComponent",
+  "document",
+  "encodeURIComponent",
+  "event",
+  "fetch",
+  "history",
+  "isNaN",
+  "JSON",
+  "localStorage",
+  "location",
+  "Math",
+  "navigator",
+  "Number",
+  "Object",
+  "parseFloat",
+  "parseInt",
+  "Promise",
+  "prompt",
+  "requestAnimationFrame",
+  "sessionStorage",
+  "setInterval",
+  "setTimeout",
+  "String",
+  "window",
+];
+
+/**
+ * Splits JS code into tokens. It is not a full JS tokenizer, it only needs
+ * to know enough to keep strings, comments and regular expressions apart
+ * from identifiers and punctuation.
+ * @param {string} code JS code to be tokenized.
+ * @returns {object[]} Array of {type, value, start} where type is one of
+ *    "string", "comment", "regex", "identifier", "punctuation" or "space".
+ */
+function tokenize(code) {
+  const tokens = [];
+  let i = 0;
+  let last_significant = undefined;
+  const push = (type, start) => {
+    const token = { type: type, value: code.substring(start, i), start: start };
+    tokens.push(token);
+    if (type != "space" && type != "comment") {
+      last_significant = token;
+    }
+  };
+  const regexAllowed = () =>
+    last_significant == undefined ||
+    (last_significant.type == "punctuation" &&
+      !/^[)\]}]$/.test(last_significant.value)) ||
+    (last_significant.type == "identifier" &&
+      KEYWORDS.includes(last_significant.value) &&
+      last_significant.value != "this");
+
+  while (i < code.length) {
+    const start = i;
+    const ch = code.charAt(i);
+    if (/\s/.test(ch)) {
+      while (i < code.length && /\s/.test(code.charAt(i))) i++;
+      push("space", start);
+    } else if (code.startsWith("//", i)) {
+      while (i < code.length && code.charAt(i) != "\n") i++;
+      push("comment", start);
+    } else if (code.startsWith("/*", i)) {
+      const end = code.indexOf("*/", i + 2);
+      i = end == -1 ? code.length : end + 2;
+      push("comment", start);
+    } else if (ch == '"' || ch == "'" || ch == "`") {
+      i++;
+      while (i < code.length && code.charAt(i) != ch) {
+        i += code.charAt(i) == "\\" ? 2 : 1;
+      }
+      i++;
+      push("string", start);
+    } else if (ch == "/" && regexAllowed()) {
+      let in_class = false;
+      i++;
+      while (i < code.length && code.charAt(i) != "\n") {
+        const c = code.charAt(i);
+        if (c == "\\") {
+          i += 2;
+          continue;
+        }
+        i++;
+        if (c == "[") in_class = true;
+        else if (c == "]") in_class = false;
+        else if (c == "/" && !in_class) break;
+      }
+      while (i < code.length && /[a-z]/i.test(code.charAt(i))) i++;
+      push("regex", start);
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      while (i < code.length && /[\w$]/.test(code.charAt(i))) i++;
+      push("identifier", start);
+    } else if (/[0-9]/.test(ch)) {
+      while (i < code.length && /[\w.]/.test(code.charAt(i))) i++;
+      push("number", start);
+    } else {
+      i++;
+      push("punctuation", start);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Finds names of the functions declared at the top level of a script,
+ * either through function declarations or by assigning a function or an
+ * arrow function to a var/let/const.
+ * @param {string} code JS code of a classic script.
+ * @returns {string[]} Names of the functions declared by the script.
+ */
+function findGlobalFunctions(code) {
+  const tokens = tokenize(code).filter(
+    (token) => token.type != "space" && token.type != "comment"
+  );
+  const names = [];
+  let depth = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type == "punctuation") {
+      if ("{([".includes(token.value)) depth++;
+      else if ("})]".includes(token.value)) depth--;
+      continue;
+    }
+    if (depth != 0 || token.type != "identifier") {
+      continue;
+    }
+    const next = tokens[i + 1];
+    if (
+      token.value == "function" &&
+      next &&
+      next.type == "identifier" &&
+      (i == 0 || tokens[i - 1].value != "=")
+    ) {
+      names.push(next.value);
+    } else if (
+      ["var", "let", "const"].includes(token.value) &&
+      next &&
+      next.type == "identifier" &&
+      tokens[i + 2] &&
+      tokens[i + 2].value == "="
+    ) {
+      const value = tokens[i + 3];
+      const is_function =
+        value &&
+        (value.value == "function" ||
+          value.value == "async" ||
+          (value.value == "(" && isArrowFunction(tokens, i + 3)) ||
+          (value.type == "identifier" &&
+            tokens[i + 4] &&
+            tokens[i + 4].value == "=" &&
+            tokens[i + 5] &&
+            tokens[i + 5].value == ">"));
+      if (is_function) {
+        names.push(next.value);
+      }
+    }
+  }
+  return names.filter((name, index) => names.indexOf(name) == index);
+}
+
+/**
+ * Finds the variables declared at the top level of a script which don't hold
+ * a function, like var menu = { open() {} }. Destructuring declarations and
+ * names of browser globals, which handlers don't look up on window, are left
+ * out.
+ * @param {string} code JS code of a classic script.
+ * @returns {object[]} Array of {name, kind} where kind is var, let or const.
+ */
+function findGlobalVariables(code) {
+  const tokens = tokenize(code).filter(
+    (token) => token.type != "space" && token.type != "comment"
+  );
+  const functions = findGlobalFunctions(code);
+  const variables = [];
+  let depth = 0;
+  let kind = undefined;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type == "punctuation") {
+      if ("{([".includes(token.value)) depth++;
+      else if ("})]".includes(token.value)) depth--;
+      else if (token.value == ";" && depth == 0) kind = undefined;
+      if (!(depth == 0 && kind != undefined && token.value == ",")) {
+        continue;
+      }
+    } else if (depth != 0 || token.type != "identifier") {
+      continue;
+    } else if (["var", "let", "const"].includes(token.value)) {
+      kind = token.value;
+    } else {
+      if (KEYWORDS.includes(token.value)) {
+        kind = undefined;
+      }
+      continue;
+    }
+    // Name of the declarator after the keyword or after a comma
+    const next = tokens[i + 1];
+    const after = tokens[i + 2];
+    if (
+      next &&
+      next.type == "identifier" &&
+      !KEYWORDS.includes(next.value) &&
+      !BROWSER_GLOBALS.includes(next.value) &&
+      (!after ||
+        after.type == "identifier" ||
+        ["=", ",", ";"].includes(after.value)) &&
+      !functions.includes(next.value) &&
+      !variables.some((variable) => variable.name == next.value)
+    ) {
+      variables.push({ name: next.value, kind: kind });
+    }
+  }
+  return variables;
+}
+
+/**
+ * Checks if the parenthesis at the given token index starts the parameter
+ * list of an arrow function.
+ * @param {object[]} tokens Tokens without spaces and comments.
+ * @param {number} index Index of the opening parenthesis.
+ * @returns {boolean} True if the parenthesis is followed by =>.
+ */
+function isArrowFunction(tokens, index) {
+  let depth = 0;
+  for (let i = index; i < tokens.length; i++) {
+    if (tokens[i].value == "(") depth++;
+    else if (tokens[i].value == ")") depth--;
+    if (depth == 0) {
+      return (
+        tokens[i + 1] != undefined &&
+        tokens[i + 1].value == "=" &&
+        tokens[i + 2] != undefined &&
+        tokens[i + 2].value == ">"
+      );
+    }
+  }
+  return false;
+}
+
+/**
+ * Rewrites the code of an inline event handler attribute, like
+ * onclick="toggleMenu(this)", so that it can run inside a React event
+ * handler taking `event` as its argument. Free identifiers that aren't
+ * browser globals are resolved through window, as that's where the page
+ * scripts expose their functions and where inline handlers keep globals.
+ * `this` becomes the element the handler is attached to and returning false,
+ * like `return validate(this)` might, prevents the default action.
+ * @param {string} code Code of the inline handler.
+ * @param {string[]} script_globals Functions and variables declared by the page scripts.
+ * @returns {object} Object with the rewritten `code`, `unresolved`,
+ *    the names of called functions not declared by the page scripts, and
+ *    `globals`, the names resolved through window.
+ */
+function rewriteHandlerCode(code, script_globals = []) {
+  const tokens = tokenize(code);
+  const unresolved = [];
+  const globals = [];
+  const locals = [];
+  // Braces opened by the handler, true for the ones of function bodies
+  const braces = [];
+  // Return statements whose value is being rewritten, as the number of
+  // brackets open at the return and where it starts in the result
+  const returns = [];
+  let depth = 0;
+  let in_function = false;
+  let previous = undefined;
+  let result = "";
+  const closeReturn = () => {
+    const { start, block } = returns.pop();
+    result =
+      result.substring(0, start) +
+      (block ? "{ if ((" : "if ((") +
+      result.substring(start).trimEnd() +
+      ") === false) event.preventDefault();" +
+      (block ? " return; }" : "");
+  };
+  const nextToken = (index) => {
+    let next = tokens[index + 1];
+    if (next && next.type == "space") next = tokens[index + 2];
+    return next;
+  };
+  const endsStatement = (token) =>
+    token == undefined || token.value == ";" || token.value == "}";
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    let value = token.value;
+    if (token.type == "punctuation") {
+      if (
+        returns.length > 0 &&
+        returns[returns.length - 1].depth == depth &&
+        (value == ";" || value == "}" || value == ")" || value == "]")
+      ) {
+        closeReturn();
+      }
+      if ("([{".includes(value)) {
+        depth++;
+      } else if (")]}".includes(value)) {
+        depth--;
+      }
+      if (value == "{") {
+        braces.push(in_function);
+        in_function = false;
+      } else if (value == "}") {
+        braces.pop();
+      } else if (value == ">" && previous && previous.value == "=") {
+        in_function = true;
+      }
+    } else if (token.type == "identifier") {
+      const after_dot = previous && previous.value == ".";
+      const next = nextToken(i);
+      const is_key =
+        next && next.value == ":" && previous && previous.value != "?";
+      if (value == "function" && !after_dot) {
+        in_function = true;
+      } else if (value == "this" && !after_dot) {
+        value = "event.currentTarget";
+      } else if (
+        value == "return" &&
+        !after_dot &&
+        !braces.includes(true) &&
+        !endsStatement(next) &&
+        !(tokens[i + 1].type == "space" && tokens[i + 1].value.includes("\n"))
+      ) {
+        if (
+          next.type == "identifier" &&
+          next.value == "false" &&
+          endsStatement(nextToken(tokens.indexOf(next)))
+        ) {
+          value = "return event.preventDefault(), false";
+          i = tokens.indexOf(next);
+        } else {
+          // Returning ends the handler, unless it's its last statement
+          returns.push({
+            depth: depth,
+            start: result.length,
+            block: depth > 0 || tokens.slice(i).some((t) => t.value == ";"),
+          });
+          value = "";
+          i = tokens.indexOf(next) - 1;
+        }
+      } else if (
+        !after_dot &&
+        !is_key &&
+        !KEYWORDS.includes(value) &&
+        !BROWSER_GLOBALS.includes(value)
+      ) {
+        if (previous && ["var", "let", "const"].includes(previous.value)) {
+          locals.push(value);
+        } else if (!locals.includes(value)) {
+          value = "window." + value;
+          if (!globals.includes(token.value)) {
+            globals.push(token.value);
+          }
+          const is_call = next && next.value == "(";
+          if (
+            is_call &&
+            !script_globals.includes(token.value) &&
+            !unresolved.includes(token.value)
+          ) {
+            unresolved.push(token.value);
+          }
+        }
+      }
+    }
+    if (token.type != "space" && token.type != "comment") {
+      previous = token;
+    }
+    result += value;
+  }
+  while (returns.length > 0) {
+    closeReturn();
+  }
+  return { code: result.trim(), unresolved: unresolved, globals: globals };
+}
+
+/**
+ * Finds the free identifiers of a JS expression, i.e. the names it reads
+ * from its scope. Property names, keywords and browser globals are left out,
+ * so for product.price * Math.round(rate) it returns product and rate.
+ * @param {string} code JS code of the expression.
+ * @returns {string[]} Free identifiers in order of appearance.
+ */
+function findFreeIdentifiers(code) {
+  const tokens = tokenize(code).filter(
+    (token) => token.type != "space" && token.type != "comment"
+  );
+  const names = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const previous = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (
+      token.type != "identifier" ||
+      (previous && previous.value == ".") ||
+      (next && next.value == ":" && !(previous && previous.value == "?")) ||
+      KEYWORDS.includes(token.value) ||
+      BROWSER_GLOBALS.includes(token.value) ||
+      names.includes(token.value)
+    ) {
+      continue;
+    }
+    names.push(token.value);
+  }
+  return names;
+}
+
+/**
+ * Checks if a script has import or export declarations, which only work in
+ * a module file. Dynamic imports, like import("./chart.js"), and
+ * import.meta are allowed anywhere.
+ * @param {string} code JS code of a module script.
+ * @returns {boolean} True if the script has import or export declarations.
+ */
+function hasModuleDeclarations(code) {
+  const tokens = tokenize(code).filter(
+    (token) => token.type != "space" && token.type != "comment"
+  );
+  let depth = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type == "punctuation") {
+      if ("{([".includes(token.value)) depth++;
+      else if ("})]".includes(token.value)) depth--;
+      continue;
+    }
+    const previous = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (
+      depth == 0 &&
+      token.type == "identifier" &&
+      (token.value == "export" ||
+        (token.value == "import" &&
+          !(next && (next.value == "(" || next.value == ".")))) &&
+      !(previous && previous.value == ".")
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  tokenize,
+  findGlobalFunctions,
+  findGlobalVariables,
+  hasModuleDeclarations,
+  rewriteHandlerCode,
+  findFreeIdentifiers,
+};
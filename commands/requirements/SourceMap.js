@@ -0,0 +1,221 @@
+const BASE64_DIGITS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+// Markers are put in the generated code where a source position starts and
+// removed once the code is complete. HTML can't contain NUL characters, the
+// parser replaces them, so they can't clash with the content of the page.
+const MARKER_REGEX = /\u0000(\d+):(\d+)\u0000/g;
+
+/**
+ * Generates the marker of a position in the source HTML, to be put in the
+ * generated code where the code for that position starts.
+ * @param {number} line Line in the source, starting from 1.
+ * @param {number} column Column in the source, starting from 0.
+ * @returns {string} Marker removed by extractMappings.
+ */
+function sourceMarker(line, column) {
+  return "\u0000" + line + ":" + column + "\u0000";
+}
+
+/**
+ * Marks lines of generated code with a position in the source HTML, after
+ * their indentation. Lines already starting with a marker, like the lines
+ * of child elements, keep their own position.
+ * @param {string[]} lines Lines of generated code.
+ * @param {number} line Line in the source, starting from 1.
+ * @param {number} column Column in the source, starting from 0.
+ * @returns {string[]} Marked lines.
+ */
+function markLines(lines, line, column) {
+  const marker = sourceMarker(line, column);
+  return lines.map((text) => {
+    const indent = text.match(/^\s*/)[0];
+    if (text.startsWith("\u0000", indent.length)) {
+      return text;
+    }
+    return indent + marker + text.substring(indent.length);
+  });
+}
+
+/**
+ * Removes the source markers from generated code, collecting the positions
+ * they mark.
+ * @param {string} code Generated code with source markers.
+ * @returns {object} Object with the `code` without markers and `mappings`,
+ *    an array of [generated_line, generated_column, source_line,
+ *    source_column] with lines starting from 1 and columns from 0.
+ */
+function extractMappings(code) {
+  const mappings = [];
+  const lines = code.split("\n").map((line, index) => {
+    let stripped = "";
+    let position = 0;
+    for (const match of line.matchAll(MARKER_REGEX)) {
+      stripped += line.substring(position, match.index);
+      position = match.index + match[0].length;
+      mappings.push([
+        index + 1,
+        stripped.length,
+        Number(match[1]),
+        Number(match[2]),
+      ]);
+    }
+    return stripped + line.substring(position);
+  });
+  return { code: lines.join("\n"), mappings: mappings };
+}
+
+/**
+ * Encodes an integer as a Base64 VLQ, as used by the mappings of source
+ * maps.
+ * @param {number} value Integer to be encoded.
+ * @returns {string} Base64 VLQ digits.
+ */
+function encodeVlq(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = "";
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) {
+      digit |= 32;
+    }
+    encoded += BASE64_DIGITS.charAt(digit);
+  } while (vlq > 0);
+  return encoded;
+}
+
+/**
+ * Generates a version 3 source map of a generated file from a single source.
+ * @param {object[]} mappings Mappings as returned by extractMappings.
+ * @param {string} source Path to the source, relative to the source map.
+ * @param {string} source_content Content of the source, embedded in the map so it can be shown without fetching it.
+ * @returns {object} Source map, to be written as JSON.
+ */
+function generateSourceMap(mappings, source, source_content) {
+  const lines = [];
+  let source_line = 0;
+  let source_column = 0;
+  for (const [line, column, from_line, from_column] of mappings) {
+    while (lines.length < line) {
+      lines.push([]);
+    }
+    lines[line - 1].push([column, from_line - 1, from_column]);
+  }
+  const encoded = lines.map((segments) => {
+    let previous_column = 0;
+    return segments
+      .sort((a, b) => a[0] - b[0])
+      .map(([column, from_line, from_column]) => {
+        const segment =
+          encodeVlq(column - previous_column) +
+          encodeVlq(0) +
+          encodeVlq(from_line - source_line) +
+          encodeVlq(from_column - source_column);
+        previous_column = column;
+        source_line = from_line;
+        source_column = from_column;
+        return segment;
+      })
+      .join(",");
+  });
+  return {
+    version: 3,
+    sources: [source],
+    sourcesContent: [source_content],
+    names: [],
+    mappings: encoded.join(";"),
+  };
+}
+
+/**
+ * Lists the characters of code which aren't whitespace, with their
+ * positions. Single quotes are listed as double quotes, as formatters swap
+ * them.
+ * @param {string} code Code to be listed.
+ * @returns {object} Object with the `text` of the characters and their
+ *    `positions`, as [line, column] with lines starting from 1.
+ */
+function listCharacters(code) {
+  let text = "";
+  const positions = [];
+  code.split("\n").forEach((line, index) => {
+    for (let column = 0; column < line.length; column++) {
+      const ch = line.charAt(column);
+      if (!/\s/.test(ch)) {
+        text += ch == "'" ? '"' : ch;
+        positions.push([index + 1, column]);
+      }
+    }
+  });
+  return { text: text, positions: positions };
+}
+
+/**
+ * Moves mappings to the same code once formatted, like by Prettier, which
+ * changes whitespace, quotes and some punctuation but keeps the order of the
+ * code. Every mapped position is looked for in the formatted code by the
+ * characters following it, shortened until they're found, after the
+ * position of the previous mapping.
+ * @param {string} code Code the mappings are for.
+ * @param {number[][]} mappings Mappings as returned by extractMappings.
+ * @param {string} formatted The code once formatted.
+ * @returns {number[][]} Mappings for the formatted code, without those whose
+ *    code isn't found.
+ */
+function remapMappings(code, mappings, formatted) {
+  const from = listCharacters(code);
+  const to = listCharacters(formatted);
+  // Index of the first character at or after each mapped position, the
+  // mappings are in the order of the code
+  let index = 0;
+  const starts = mappings.map(([line, column]) => {
+    while (
+      index < from.positions.length &&
+      (from.positions[index][0] < line ||
+        (from.positions[index][0] == line && from.positions[index][1] < column))
+    ) {
+      index++;
+    }
+    return index;
+  });
+  const remapped = [];
+  // Positions of the last mapping found, in the code and formatted
+  let last_start = 0;
+  let position = 0;
+  starts.forEach((start, i) => {
+    let next = i + 1;
+    while (next < starts.length && starts[next] == start) {
+      next++;
+    }
+    const end = Math.min(
+      start + 16,
+      next < starts.length ? starts[next] : from.text.length
+    );
+    // Formatting adds some characters, like parentheses, but the formatted
+    // code isn't much longer
+    const window = to.text.substring(
+      position,
+      position + 2 * (end - last_start) + 64
+    );
+    for (let length = end - start; length > 0; length--) {
+      const found = window.indexOf(from.text.substring(start, start + length));
+      if (found != -1) {
+        position += found;
+        last_start = start;
+        const [line, column] = to.positions[position];
+        remapped.push([line, column, mappings[i][2], mappings[i][3]]);
+        return;
+      }
+    }
+  });
+  return remapped;
+}
+
+module.exports = {
+  sourceMarker,
+  markLines,
+  extractMappings,
+  remapMappings,
+  generateSourceMap,
+};
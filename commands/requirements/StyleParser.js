@@ -0,0 +1,324 @@
+/**
+ * Splits text on the given separator, ignoring separators that appear
+ * inside quotes, parentheses or CSS comments.
+ * @param {string} text Text to be split.
+ * @param {string} separator Single character to split on.
+ * @returns {string[]} Parts of the text, comments removed.
+ */
+function splitOutsideParens(text, separator) {
+  const parts = [];
+  let current = "";
+  let depth = 0;
+  let quote = undefined;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charAt(i);
+    if (quote) {
+      if (ch == "\\" && i + 1 < text.length) {
+        current += ch + text.charAt(++i);
+        continue;
+      }
+      if (ch == quote) {
+        quote = undefined;
+      }
+      current += ch;
+      continue;
+    }
+    if (ch == "/" && text.charAt(i + 1) == "*") {
+      const end = text.indexOf("*/", i + 2);
+      i = end == -1 ? text.length : end + 1;
+      continue;
+    }
+    if (ch == '"' || ch == "'") {
+      quote = ch;
+    } else if (ch == "(") {
+      depth++;
+    } else if (ch == ")" && depth > 0) {
+      depth--;
+    } else if (ch == separator && depth == 0) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Parses a CSS declaration list, as found in an inline style attribute,
+ * into its individual declarations.
+ * @param {string} css_text Declarations like "color: red; margin: 0 !important"
+ * @returns {object} Object with `declarations`, an array of
+ *    {property, value, important}, and `invalid`, an array of the raw
+ *    declarations that could not be parsed.
+ */
+function parseDeclarations(css_text) {
+  const declarations = [];
+  const invalid = [];
+  for (const raw of splitOutsideParens(css_text || "", ";")) {
+    const declaration = raw.trim();
+    if (!declaration) {
+      continue;
+    }
+    const colon = declaration.indexOf(":");
+    if (colon <= 0) {
+      invalid.push(declaration);
+      continue;
+    }
+    const property = declaration.substring(0, colon).trim();
+    let value = declaration.substring(colon + 1).trim();
+    let important = false;
+    const important_match = value.match(/\s*!\s*important\s*$/i);
+    if (important_match) {
+      important = true;
+      value = value.substring(0, important_match.index).trim();
+    }
+    if (!/^(--)?-?[_a-zA-Z][_a-zA-Z0-9-]*$/.test(property) || value === "") {
+      invalid.push(declaration);
+      continue;
+    }
+    declarations.push({ property, value, important });
+  }
+  return { declarations, invalid };
+}
+
+/**
+ * Converts a CSS property name to the key React expects in a style object.
+ * Custom properties are kept as they are, vendor prefixes follow React's
+ * casing rules, i.e. -webkit-transition becomes WebkitTransition while
+ * -ms-transition becomes msTransition.
+ * @param {string} property CSS property name.
+ * @returns {string} Property name for React style object.
+ */
+function toReactStyleName(property) {
+  if (property.startsWith("--")) {
+    return property;
+  }
+  let name = property.toLowerCase();
+  if (name.startsWith("-ms-")) {
+    name = name.substring(1);
+  }
+  return name.replace(/-([a-z0-9])/g, (match, ch) => ch.toUpperCase());
+}
+
+/**
+ * Finds all the url(...) references in a CSS value.
+ * @param {string} value CSS value to be searched.
+ * @returns {object[]} Array of {match, url, index} for every url() found.
+ */
+function findUrls(value) {
+  const urls = [];
+  const regex = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)"'\s]*))\s*\)/gi;
+  let match;
+  while ((match = regex.exec(value)) !== null) {
+    const url = [match[1], match[2], match[3]].find((u) => u !== undefined);
+    urls.push({ match: match[0], url: url, index: match.index });
+  }
+  return urls;
+}
+
+/**
+ * Checks if the url points to a file relative to the current project
+ * rather than an external resource or an absolute path.
+ * @param {string} url Url to be checked.
+ * @returns {boolean} True if url is a local relative reference.
+ */
+function isLocalUrl(url) {
+  if (!url) {
+    return false;
+  }
+  return !/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(url.trim());
+}
+
+/**
+ * Finds the end of a CSS string or comment starting at the given index.
+ * @param {string} css Stylesheet being scanned.
+ * @param {number} start Index of the opening quote or of the comment.
+ * @returns {number} Index right after the string or comment, -1 if there is
+ *    none at start.
+ */
+function skipStringOrComment(css, start) {
+  const ch = css.charAt(start);
+  if (css.startsWith("/*", start)) {
+    const end = css.indexOf("*/", start + 2);
+    return end == -1 ? css.length : end + 2;
+  }
+  if (ch == '"' || ch == "'") {
+    let i = start + 1;
+    while (i < css.length && css.charAt(i) != ch) {
+      i += css.charAt(i) == "\\" ? 2 : 1;
+    }
+    return Math.min(i + 1, css.length);
+  }
+  return -1;
+}
+
+/**
+ * Applies a function to the selector list of every rule in a stylesheet,
+ * like ".card > h2, .card p", including rules nested in at-rules like
+ * @media. Declarations, comments and the content of at-rules without rules,
+ * like @keyframes or @font-face, are kept as they are.
+ * @param {string} css Stylesheet to be processed.
+ * @param {function} callback Takes a selector list and returns its replacement.
+ * @returns {string} Stylesheet with the selector lists replaced.
+ */
+function mapSelectors(css, callback) {
+  const GROUPING_RULES = [
+    "media",
+    "supports",
+    "layer",
+    "container",
+    "document",
+  ];
+  let result = "";
+  let prelude = "";
+  let i = 0;
+  while (i < css.length) {
+    const ch = css.charAt(i);
+    const end = skipStringOrComment(css, i);
+    if (end != -1) {
+      prelude += css.substring(i, end);
+      i = end;
+    } else if (ch == "{") {
+      const at_rule = prelude.trim().match(/^@(-[a-z]+-)?([a-zA-Z-]+)/);
+      if (at_rule && GROUPING_RULES.includes(at_rule[2].toLowerCase())) {
+        result += prelude + ch;
+        prelude = "";
+        i++;
+        continue;
+      }
+      result += (at_rule ? prelude : callback(prelude)) + ch;
+      prelude = "";
+      // Copies the block of declarations, or of keyframes, as it is
+      let depth = 1;
+      const start = ++i;
+      while (i < css.length && depth > 0) {
+        const block_end = skipStringOrComment(css, i);
+        if (block_end != -1) {
+          i = block_end;
+          continue;
+        }
+        if (css.charAt(i) == "{") depth++;
+        else if (css.charAt(i) == "}") depth--;
+        i++;
+      }
+      result += css.substring(start, i);
+    } else if (ch == "}" || ch == ";") {
+      result += prelude + ch;
+      prelude = "";
+      i++;
+    } else {
+      prelude += ch;
+      i++;
+    }
+  }
+  return result + prelude;
+}
+
+/**
+ * Applies a function to the parts of a selector list outside attribute
+ * selectors, strings and comments, where class names can appear.
+ * @param {string} selectors Selector list to be processed.
+ * @param {function} callback Takes a part of the selector list and returns its replacement.
+ * @returns {string} Selector list with the parts replaced.
+ */
+function mapSelectorParts(selectors, callback) {
+  return selectors
+    .split(/(\[[^\]]*\]|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\/\*[\s\S]*?\*\/)/)
+    .map((part, index) => (index % 2 == 0 ? callback(part) : part))
+    .join("");
+}
+
+const CLASS_SELECTOR_REGEX = /\.(-?[_a-zA-Z][_a-zA-Z0-9-]*)(?![_a-zA-Z0-9-])/g;
+
+/**
+ * Finds the class names used by the selectors of a stylesheet.
+ * @param {string} css Stylesheet to be searched.
+ * @returns {string[]} Class names in order of appearance.
+ */
+function findClassNames(css) {
+  const names = [];
+  mapSelectors(css, (selectors) =>
+    mapSelectorParts(selectors, (part) => {
+      for (const match of part.matchAll(CLASS_SELECTOR_REGEX)) {
+        if (!names.includes(match[1])) {
+          names.push(match[1]);
+        }
+      }
+      return part;
+    })
+  );
+  return names;
+}
+
+/**
+ * Marks class names of a CSS Module as global, so that they keep their
+ * name instead of getting a generated one, e.g. .open becomes
+ * :global(.open).
+ * @param {string} css Stylesheet of the CSS Module.
+ * @param {string[]} names Class names to be kept global.
+ * @returns {string} Stylesheet with the class names marked as global.
+ */
+function globalizeClassNames(css, names) {
+  return mapSelectors(css, (selectors) =>
+    mapSelectorParts(selectors, (part) =>
+      part.replace(CLASS_SELECTOR_REGEX, (match, name) =>
+        names.includes(name) ? ":global(" + match + ")" : match
+      )
+    )
+  );
+}
+
+const ID_SELECTOR_REGEX =
+  /(?<!:global\()#(-?[_a-zA-Z][_a-zA-Z0-9-]*)(?![_a-zA-Z0-9-])/g;
+
+/**
+ * Marks the id selectors of a CSS Module as global, e.g. #main becomes
+ * :global(#main), as the ids of the elements keep their name while CSS
+ * Modules would rename them in the stylesheet.
+ * @param {string} css Stylesheet of the CSS Module.
+ * @returns {string} Stylesheet with the id selectors marked as global.
+ */
+function globalizeIds(css) {
+  return mapSelectors(css, (selectors) =>
+    mapSelectorParts(selectors, (part) =>
+      part.replace(ID_SELECTOR_REGEX, (match) => ":global(" + match + ")")
+    )
+  );
+}
+
+/**
+ * Finds the selectors of a stylesheet which have no class, like h1, body or
+ * #main, as CSS Modules can't scope them to a page.
+ * @param {string} css Stylesheet to be searched.
+ * @returns {string[]} Selectors without class.
+ */
+function findUnscopedSelectors(css) {
+  const selectors = [];
+  mapSelectors(css, (list) => {
+    for (const selector of splitOutsideParens(list, ",")) {
+      const trimmed = selector.replace(/\/\*[\s\S]*?\*\//g, "").trim();
+      const scoped = mapSelectorParts(trimmed, (part) =>
+        part.includes(".") ? "." : ""
+      ).includes(".");
+      if (trimmed && !scoped && !selectors.includes(trimmed)) {
+        selectors.push(trimmed);
+      }
+    }
+    return list;
+  });
+  return selectors;
+}
+
+module.exports = {
+  parseDeclarations,
+  toReactStyleName,
+  findUrls,
+  isLocalUrl,
+  mapSelectors,
+  findClassNames,
+  globalizeClassNames,
+  globalizeIds,
+  findUnscopedSelectors,
+};
@@ -0,0 +1,45 @@
+const path = require("path");
+const fs = require("fs");
+const { parentPort, workerData } = require("worker_threads");
+const { transpileString, getScriptsModulePath } = require("./Transpiler");
+const { format_code } = require("./Helpers");
+const { loadPlugins } = require("./Plugins");
+
+// Worker of the pool started by Transpiler.transpile_project. It transpiles
+// and formats the HTML files it's sent, without writing anything, and posts
+// back the result along with the files whose existence it checked, so the
+// transpiler can record them in its cache. workerData holds the src_dir, the
+// props_map and the plugins of config shared by every task.
+const plugins = loadPlugins(workerData.plugins, workerData.project_dir);
+
+parentPort.on("message", (task) => {
+  const checks = {};
+  const exists = (path_from_src) => {
+    const file = path.join(workerData.src_dir, path_from_src);
+    checks[path_from_src] = fs.existsSync(file) && fs.statSync(file).isFile();
+    return checks[path_from_src];
+  };
+  try {
+    const result = transpileString(
+      fs.readFileSync(task.filepath, "utf8"),
+      Object.assign(
+        {
+          props_map: workerData.props_map,
+          exists: exists,
+          plugins: plugins,
+          format: (code) => format_code(code, task.dest_filepath),
+        },
+        task.options
+      )
+    );
+    if (result.scripts != undefined) {
+      result.scripts = format_code(
+        result.scripts,
+        getScriptsModulePath(task.dest_filepath)
+      );
+    }
+    parentPort.postMessage({ result: result, checks: checks });
+  } catch (err) {
+    parentPort.postMessage({ error: String(err.message || err) });
+  }
+});
@@ -1,101 +1,977 @@
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
+const os = require("os");
 const NodeWrapper = require("./NodeWrapper");
 var cheerio = require("cheerio");
 const fse = require("fs-extra");
+const {
+  parseDeclarations,
+  toReactStyleName,
+  findUrls,
+  isLocalUrl,
+  findClassNames,
+  globalizeClassNames,
+  globalizeIds,
+  findUnscopedSelectors,
+} = require("./StyleParser");
+const {
+  findGlobalFunctions,
+  findGlobalVariables,
+  rewriteHandlerCode,
+  findFreeIdentifiers,
+  hasModuleDeclarations,
+} = require("./ScriptParser");
+const events_map = require("./EventsMap");
+const {
+  JsxGenerator,
+  JsxExpression,
+  parseEachExpression,
+  getSourceLookup,
+} = require("./JsxGenerator");
+const CONSTANTS = require("./Constants");
+const {
+  list_files,
+  format_code,
+  resolve_format_options,
+} = require("./Helpers");
+const WorkerPool = require("./WorkerPool");
+const {
+  loadPlugins,
+  callPlugin,
+  runHook,
+  checkEmittedFile,
+} = require("./Plugins");
+const {
+  DIAGNOSTICS,
+  createDiagnostic,
+  formatDiagnostic,
+} = require("./Diagnostics");
+const {
+  sourceMarker,
+  extractMappings,
+  remapMappings,
+  generateSourceMap,
+} = require("./SourceMap");
+const { markdownToHtml } = require("./Markdown");
+const { extractMetadata, writeAppDir } = require("./NextTarget");
+
+const { version: TRANSPILER_VERSION } = require("../../package.json");
+
+const ROUTE_PARAM_REGEX = /^\[([a-zA-Z_$][a-zA-Z0-9_$]*)\]$/;
+
+// Calls of t() with a string literal key, like t("nav.home")
+const TRANSLATION_CALL_REGEX = /(?<![\w$.])t\(\s*(["'`])([^"'`\\]*)\1/g;
+
+// Locales of config, language tags like en, de or pt-BR
+const LOCALE_REGEX = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+
+// site_url of config, an http or https URL like https://example.com
+const SITE_URL_REGEX = /^https?:\/\/[^\s/?#]+(\/[^\s?#]*)?$/;
+
+// Component of the routes module scrolling to the element of the hash after links
+// navigate, as the browser only does it on page loads. Lazy loaded pages
+// render after navigation, so it waits for the element to show up.
+const SCROLL_TO_HASH_COMPONENT = `
+function ScrollToHash() {
+  const { pathname, hash } = useLocation();
+  useEffect(() => {
+    if (!hash) {
+      window.scrollTo(0, 0);
+      return;
+    }
+    const id = decodeURIComponent(hash.substring(1));
+    const scroll = () => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.scrollIntoView({ behavior: "smooth" });
+      }
+      return element != null;
+    };
+    if (scroll()) {
+      return;
+    }
+    const observer = new MutationObserver(() => {
+      if (scroll()) {
+        observer.disconnect();
+      }
+    });
+    observer.observe(document.body, { childList: true, subtree: true });
+    return () => observer.disconnect();
+  }, [pathname, hash]);
+  return null;
+}
+`;
+
+// Pages are lazy loaded components whose code can also be loaded ahead of
+// rendering them, after which they render right away. Prerendered pages
+// are rendered that way, on the server and when they're hydrated.
+const LAZY_PAGE_FUNCTION = `
+function page(load) {
+  let Component = undefined;
+  const preload = () =>
+    load().then((module) => {
+      Component = module.default;
+    });
+  const LazyPage = lazy(() => preload().then(() => ({ default: Component })));
+  function Page(props) {
+    return Component ? <Component {...props} /> : <LazyPage {...props} />;
+  }
+  Page.preload = preload;
+  return Page;
+}
+`;
+
+// Exports of the routes module, rendered by index.js and by the
+// prerendering of build
+const ROUTES_EXPORTS = `
+export function preloadRoute(pathname) {
+  const matches = matchRoutes(routes, pathname) || [];
+  return Promise.all(
+    matches
+      .map((match) => match.route.element && match.route.element.type.preload)
+      .filter((preload) => preload != undefined)
+      .map((preload) => preload())
+  );
+}
+
+export default function AppRoutes() {
+  const element = useRoutes(routes);
+  return (
+    <>
+      <ScrollToHash />
+      <Suspense fallback={null}>{element}</Suspense>
+    </>
+  );
+}
+`;
+
+// Typed versions of the two above, for the routes module written with the
+// typescript option. Elements of layout routes have no preload.
+const LAZY_PAGE_FUNCTION_TS = `
+type RouteComponent = ComponentType & { preload?: () => Promise<void> };
+
+function page(load: () => Promise<{ default: ComponentType }>) {
+  let Component: ComponentType | undefined = undefined;
+  const preload = () =>
+    load().then((module) => {
+      Component = module.default;
+    });
+  const LazyPage = lazy(() =>
+    preload().then(() => ({ default: Component as ComponentType }))
+  );
+  function Page(props: object) {
+    return Component ? <Component {...props} /> : <LazyPage {...props} />;
+  }
+  Page.preload = preload;
+  return Page;
+}
+`;
+
+const ROUTES_EXPORTS_TS = `
+export function preloadRoute(pathname: string) {
+  const matches = matchRoutes(routes, pathname) || [];
+  return Promise.all(
+    matches
+      .map(
+        (match) =>
+          match.route.element as ReactElement<unknown, RouteComponent> | undefined
+      )
+      .map((element) => element && element.type.preload)
+      .filter((preload): preload is () => Promise<void> => preload != undefined)
+      .map((preload) => preload())
+  );
+}
+
+export default function AppRoutes() {
+  const element = useRoutes(routes);
+  return (
+    <>
+      <ScrollToHash />
+      <Suspense fallback={null}>{element}</Suspense>
+    </>
+  );
+}
+`;
+
+// Module of the React codebase running the scripts of the pages. Scripts
+// with a src are loaded once per app, inline scripts run every time their
+// component mounts. Like on a page load, classic scripts run in document
+// order, then deferred scripts and modules, while async scripts run as soon
+// as they're loaded. The returned cleanup stops the scripts of a component
+// that unmounts before they run and removes the functions they exposed.
+const SCRIPT_LOADER_MODULE = `const loading = {};
+
+function loadScript(script) {
+  if (loading[script.src] === undefined) {
+    loading[script.src] = new Promise((resolve, reject) => {
+      const element = document.createElement("script");
+      element.src = script.src;
+      if (script.type) {
+        element.type = script.type;
+      }
+      element.onload = resolve;
+      element.onerror = () => {
+        delete loading[script.src];
+        element.remove();
+        reject(new Error("Failed to load script " + script.src));
+      };
+      document.head.appendChild(element);
+    });
+  }
+  return loading[script.src];
+}
+
+export function runScripts(scripts) {
+  let cancelled = false;
+  const exposed = [];
+  const run = (script) => {
+    if (cancelled) {
+      return undefined;
+    }
+    if (script.run) {
+      script.run();
+      for (const name of script.globals || []) {
+        exposed.push([name, Object.getOwnPropertyDescriptor(window, name)]);
+      }
+      return undefined;
+    }
+    if (script.module) {
+      return script.module();
+    }
+    return loadScript(script);
+  };
+  const report = (error) => console.error(error);
+
+  for (const script of scripts.filter((script) => script.async)) {
+    Promise.resolve().then(() => run(script)).catch(report);
+  }
+  scripts
+    .filter((script) => !script.async && !script.defer)
+    .concat(scripts.filter((script) => !script.async && script.defer))
+    .reduce(
+      (previous, script) => previous.then(() => run(script)).catch(report),
+      Promise.resolve()
+    );
+
+  return () => {
+    cancelled = true;
+    for (const [name, property] of exposed) {
+      const current = Object.getOwnPropertyDescriptor(window, name);
+      if (
+        current != undefined &&
+        current.value === property.value &&
+        current.get === property.get
+      ) {
+        delete window[name];
+      }
+    }
+  };
+}
+`;
+
+// Module of the React codebase translating the pages, written after the
+// imports of the translation files and the LOCALES, MESSAGES and SITE_URL
+// constants. Locale is the route element of the pages of a locale, setting
+// the lang of the document and the alternates of the page in the other
+// locales, absolute from SITE_URL so prerendered pages list them as well. The
+// first locale is routed without prefix, the others under /<locale>/.
+const I18N_MODULE = `const LocaleContext = createContext(LOCALES[0]);
+
+function findTranslation(messages, key) {
+  if (Object.prototype.hasOwnProperty.call(messages, key)) {
+    return messages[key];
+  }
+  let value = messages;
+  for (const part of key.split(".")) {
+    if (value == null || typeof value != "object") {
+      return undefined;
+    }
+    value = value[part];
+  }
+  return typeof value == "object" ? undefined : value;
+}
+
+export function localizePath(to, locale) {
+  if (typeof to != "string" || !to.startsWith("/") || locale == LOCALES[0]) {
+    return to;
+  }
+  return "/" + locale + (to == "/" ? "" : to);
+}
+
+export function useLocale() {
+  const locale = useContext(LocaleContext);
+  const t = (key, params = {}) => {
+    let message = findTranslation(MESSAGES[locale], key);
+    if (message === undefined) {
+      message = findTranslation(MESSAGES[LOCALES[0]], key);
+    }
+    if (message === undefined) {
+      return key;
+    }
+    return String(message).replace(/\\{(\\w+)\\}/g, (match, name) =>
+      name in params ? String(params[name]) : match
+    );
+  };
+  return { locale, t };
+}
+
+export function Link({ to, ...props }) {
+  const { locale } = useLocale();
+  return <RouterLink to={localizePath(to, locale)} {...props} />;
+}
+
+export function Locale({ locale }) {
+  const { pathname } = useLocation();
+  const path =
+    locale == LOCALES[0]
+      ? pathname
+      : pathname.substring(locale.length + 1) || "/";
+  const origin =
+    SITE_URL || (typeof window != "undefined" ? window.location.origin : "");
+  return (
+    <LocaleContext.Provider value={locale}>
+      <Helmet>
+        <html lang={locale} />
+        {LOCALES.map((alternate) => (
+          <link
+            key={alternate}
+            rel="alternate"
+            hrefLang={alternate}
+            href={origin + localizePath(path, alternate)}
+          />
+        ))}
+        <link rel="alternate" hrefLang="x-default" href={origin + path} />
+      </Helmet>
+      <Outlet />
+    </LocaleContext.Provider>
+  );
+}
+`;
+
+// MIME types of classic scripts, scripts with other types, like JSON-LD or
+// templates, are data the browser doesn't run
+const JS_MIME_TYPES = [
+  "application/ecmascript",
+  "application/javascript",
+  "application/x-javascript",
+  "text/ecmascript",
+  "text/javascript",
+];
+
+// Obsolete tags browsers parse as unknown elements, React renders them but
+// they have no behavior or default styles
+const UNSUPPORTED_TAGS = [
+  "applet",
+  "bgsound",
+  "blink",
+  "isindex",
+  "keygen",
+  "multicol",
+  "nextid",
+  "spacer",
+];
+
+// Files copied from src which are imported rather than linked to, the next
+// target doesn't copy them to the public directory
+const MODULE_EXTENSIONS = [
+  ".cjs",
+  ".css",
+  ".js",
+  ".json",
+  ".jsx",
+  ".mjs",
+  ".sass",
+  ".scss",
+];
+
+// React props typed as numbers, their numeric values are written as numbers
+// with the typescript option, e.g. colSpan={2}
+const NUMBER_PROPS = [
+  "colSpan",
+  "cols",
+  "high",
+  "low",
+  "marginHeight",
+  "marginWidth",
+  "maxLength",
+  "minLength",
+  "optimum",
+  "rowSpan",
+  "rows",
+  "size",
+  "span",
+  "start",
+  "tabIndex",
+];
+
+// Import statement of named exports only, like import { Link } from "./i18n";
+const NAMED_IMPORT_REGEX = /^import \{([^}]*)\} from "([^"]+)";$/;
+
+// Types of the elements event handlers are attached to with the typescript
+// option, by tag name, HTMLElement for the others
+const ELEMENT_TYPES = {
+  a: "HTMLAnchorElement",
+  area: "HTMLAreaElement",
+  audio: "HTMLAudioElement",
+  button: "HTMLButtonElement",
+  canvas: "HTMLCanvasElement",
+  details: "HTMLDetailsElement",
+  dialog: "HTMLDialogElement",
+  div: "HTMLDivElement",
+  form: "HTMLFormElement",
+  iframe: "HTMLIFrameElement",
+  img: "HTMLImageElement",
+  input: "HTMLInputElement",
+  label: "HTMLLabelElement",
+  li: "HTMLLIElement",
+  ol: "HTMLOListElement",
+  option: "HTMLOptionElement",
+  p: "HTMLParagraphElement",
+  select: "HTMLSelectElement",
+  span: "HTMLSpanElement",
+  svg: "SVGSVGElement",
+  table: "HTMLTableElement",
+  textarea: "HTMLTextAreaElement",
+  ul: "HTMLUListElement",
+  video: "HTMLVideoElement",
+};
+
+// Compiler options of the tsconfig.json written to the React codebase with
+// the typescript option, by target, following the ones of its toolchain
+const TSCONFIGS = {
+  vite: {
+    compilerOptions: {
+      target: "ES2020",
+      lib: ["DOM", "DOM.Iterable", "ES2020"],
+      module: "ESNext",
+      moduleResolution: "bundler",
+      jsx: "react-jsx",
+      allowJs: true,
+      esModuleInterop: true,
+      isolatedModules: true,
+      skipLibCheck: true,
+      strict: true,
+      noEmit: true,
+    },
+    include: ["src"],
+  },
+  cra: {
+    compilerOptions: {
+      target: "es5",
+      lib: ["dom", "dom.iterable", "esnext"],
+      allowJs: true,
+      skipLibCheck: true,
+      esModuleInterop: true,
+      allowSyntheticDefaultImports: true,
+      strict: true,
+      forceConsistentCasingInFileNames: true,
+      noFallthroughCasesInSwitch: true,
+      module: "esnext",
+      moduleResolution: "node",
+      resolveJsonModule: true,
+      isolatedModules: true,
+      noEmit: true,
+      jsx: "react-jsx",
+    },
+    include: ["src"],
+  },
+  next: {
+    compilerOptions: {
+      target: "ES2017",
+      lib: ["dom", "dom.iterable", "esnext"],
+      allowJs: true,
+      skipLibCheck: true,
+      strict: true,
+      noEmit: true,
+      esModuleInterop: true,
+      module: "esnext",
+      moduleResolution: "bundler",
+      resolveJsonModule: true,
+      isolatedModules: true,
+      jsx: "preserve",
+      incremental: true,
+      plugins: [{ name: "next" }],
+    },
+    include: ["next-env.d.ts", "src", "build/types/**/*.ts"],
+    exclude: ["node_modules"],
+  },
+};
+
+// Packages installed in the React codebase with the typescript option, by
+// target, along with the types of React matching its version. react-scripts
+// only supports TypeScript 4.
+const TYPESCRIPT_PACKAGES = {
+  vite: ["typescript@5.9.3", "@types/node@20", "@types/react-helmet@6"],
+  cra: ["typescript@4.9.5", "@types/node@20", "@types/react-helmet@6"],
+  next: ["typescript@5.9.3", "@types/node@20"],
+};
+
+// Extensions of the imported files the toolchain of each target already
+// declares types for, the others are declared by the types file. JSON is
+// typed from its content where resolveJsonModule is set.
+const TYPED_EXTENSIONS = {
+  vite: [],
+  cra: [
+    ".avif",
+    ".bmp",
+    ".gif",
+    ".jpeg",
+    ".jpg",
+    ".json",
+    ".module.css",
+    ".module.sass",
+    ".module.scss",
+    ".png",
+    ".svg",
+    ".webp",
+  ],
+  next: [
+    ".avif",
+    ".bmp",
+    ".gif",
+    ".ico",
+    ".jpeg",
+    ".jpg",
+    ".json",
+    ".module.css",
+    ".module.sass",
+    ".module.scss",
+    ".png",
+    ".svg",
+    ".webp",
+  ],
+};
+
+// Start of the types file, followed by the declarations of the imported
+// files. Custom elements are rendered with their attributes as they are.
+const TYPES_FILE_HEADER = `// Types of the custom elements rendered by the components and of the files
+// they import, written by Reactonite
+
+declare namespace JSX {
+  interface IntrinsicElements {
+    [name: \`\${string}-\${string}\`]: { [name: string]: unknown };
+  }
+}
+`;
 
 class ReactCodeMapper {
   /**
    * Class to convert tags and props from HTML to React
 
-    Call getReactMap method for converting tags fed for HTML and get
-    corresponding React Mapping. Here's an usage example:
+    Call getReactElement method for converting a tag fed from HTML and get
+    corresponding React element. Here's an usage example:
 
-    reactCodeMapper = ReactCodeMapper(source_dir, destination_dir, props_map)
-    react_map = reactCodeMapper.getReactMap(tag_with_attributes)
-    print(react_map)
-   * @property {object} CUSTOM_TAG_HANDLERS Stores mapping correspoding to tags which are handled seperately.
+    reactCodeMapper = new ReactCodeMapper(source_dir, destination_dir, props_map)
+    react_element = reactCodeMapper.getReactElement(tag_name, attrs, filepath_from_src)
+    console.log(react_element)
+   * @property {object} CUSTOM_TAG_HANDLERS Stores mapping correspoding to tags which are handled seperately, either to one of the built-in handlers or to a function registered by a plugin.
+   * @property {object[]} prop_patterns Keys of props_map with a * wildcard, as {key, regex}, longest first.
+   * @property {object} attribute_mappers Functions registered by plugins converting an HTML attribute to React attrs, keyed by attribute name.
    * @property {string} src_dir Source directory for the HTML codebase.
    * @property {string} dest_dir Destination directory for the React codebase.
-   * @property {object} props_map Mapping of attrs for HTML to React from props_map.js
+   * @property {object} props_map Mapping of attrs for HTML to React from props_map.js, a React name or true to keep the attribute as it is and false to drop it.
    * @property {string[]} add_to_import imports corresponding to variables created during transpilation.
    * @property {string[]} add_variables Stores newly created variables during transpilation.
+   * @property {object} asset_names Variables of the imported assets, keyed by their path from src.
    * @property {boolean} router_link_imported Saves wether Link tag needs to be imported for current page.
+   * @property {object[]} diagnostics Errors and warnings for the markup, as {severity, code, message, line, column}.
+   * @property {number} line Line in the HTML of the element being converted, reported with diagnostics.
+   * @property {number} column Column in the HTML of the element being converted, reported with diagnostics.
+   * @property {object} attr_locations Positions of the attributes of the element being converted, as parse5 locations keyed by name.
+   * @property {string[]} script_globals Functions and variables declared by the inline scripts of the page, exposed on window.
+   * @property {function} exists Tells if a file exists at the given path from src directory.
+   * @property {string} output_dir_from_src Folder of the generated React file from src, imports are relative to it.
+   * @property {string[]} includes Paths from src of the partials included by the page through rt-include.
+   * @property {string[]} public_scripts Paths from src of the local classic scripts of the page, served from the public directory.
+   * @property {boolean} source_map Marks the lines of inline scripts with their position in the HTML, to be turned into a source map.
+   * @property {boolean} i18n Translates t() in expressions through the locale of the route, and keeps the locale in router links.
+   * @property {boolean} uses_locale Saves wether the component needs the locale of the route, for t().
+   * @property {object[]} translations Keys translated with t() by the page, as {key, line, column}.
+   * @property {string} target Toolchain the React codebase is built with, next links pages through next/link and serves assets from the public directory rather than importing them.
+   * @property {boolean} typescript Writes the props typed as numbers by React as numbers, and types style objects with CSS custom properties, for .tsx components.
+   * @property {string} scripts_module File name of the module the inline scripts are moved to, next to the component, embedded in it if undefined.
+   * @property {string[]} module_scripts Functions of the scripts module running the inline scripts, as code.
+   * @property {string[]} window_names Names the JavaScript of the page reads from window, declared on Window with the typescript option.
    * @param {string} src_dir Source directory for the HTML codebase.
    * @param {string} dest_dir Destination directory for the React codebase.
    * @param {string} props_map Mapping of attrs for HTML to React from props_map.py
+   * @param {string[]} script_globals Functions and variables declared by the inline scripts of the page, defaults to none
+   * @param {function} exists Tells if a file exists at the given path from src directory, defaults to checking in src_dir
+   * @param {string} output_dir_from_src Folder of the generated React file from src, defaults to the folder of the HTML file
    */
 
-  constructor(src_dir, dest_dir, props_map) {
+  constructor(
+    src_dir,
+    dest_dir,
+    props_map,
+    script_globals = [],
+    exists = undefined,
+    output_dir_from_src = undefined
+  ) {
     this.src_dir = src_dir;
     this.dest_dir = dest_dir;
     this.props_map = props_map;
+    this.script_globals = script_globals;
+    this.exists =
+      exists ||
+      ((path_from_src) => {
+        const filepath = path.join(this.src_dir, path_from_src);
+        return fs.existsSync(filepath) && fs.statSync(filepath).isFile();
+      });
+    this.output_dir_from_src = output_dir_from_src;
     this.add_to_import = [];
     this.add_variables = [];
+    this.asset_names = {};
+    this.includes = [];
+    this.public_scripts = [];
+    this.source_map = false;
+    this.i18n = false;
+    this.uses_locale = false;
+    this.translations = [];
+    this.target = undefined;
+    this.typescript = false;
+    this.scripts_module = undefined;
+    this.module_scripts = [];
+    this.window_names = [];
     this.router_link_imported = false;
+    this.diagnostics = [];
+    this.line = undefined;
+    this.column = undefined;
+    this.attr_locations = {};
+    this.attribute_mappers = {};
+    this.prop_patterns = Object.keys(props_map)
+      .filter((key) => key.includes("*"))
+      .sort((a, b) => b.length - a.length)
+      .map((key) => ({
+        key: key,
+        regex: new RegExp(
+          "^" +
+            key
+              .toLowerCase()
+              .split("*")
+              .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+              .join(".*") +
+            "$"
+        ),
+      }));
 
     this.__A_TAG_HANDLER = "A_TAG_HANDLER";
     this.__IMAGE_TAG_HANDLER = "IMAGE_TAG_HANDLER";
-    this.__SCRIPT_TAG_HANDLER = "SCRIPT_TAG_HANDLER";
     this.__STYLE_TAG_HANDLER = "STYLE_TAG_HANDLER";
     this.__LINK_TAG_HANDLER = "LINK_TAG_HANDLER";
+    this.__INCLUDE_TAG_HANDLER = "INCLUDE_TAG_HANDLER";
+    this.__MEDIA_TAG_HANDLER = "MEDIA_TAG_HANDLER";
 
     this.CUSTOM_TAG_HANDLERS = {
       a: this.__A_TAG_HANDLER,
       img: this.__IMAGE_TAG_HANDLER,
-      script: this.__SCRIPT_TAG_HANDLER,
       style: this.__STYLE_TAG_HANDLER,
       link: this.__LINK_TAG_HANDLER,
+      "rt-include": this.__INCLUDE_TAG_HANDLER,
+      source: this.__MEDIA_TAG_HANDLER,
+      video: this.__MEDIA_TAG_HANDLER,
+      audio: this.__MEDIA_TAG_HANDLER,
+      track: this.__MEDIA_TAG_HANDLER,
     };
   }
 
+  /**
+   * Looks up how an HTML attribute is mapped in props_map, by its name or
+   * else by the patterns with a * wildcard, like data-*, longest first.
+   * @param {string} name Name of the HTML attribute
+   * @returns {string|boolean} React name of the attribute, true to keep its
+   *    name, false to drop it, undefined if props_map doesn't know it
+   */
+  __getPropMapping(name) {
+    for (const key of [name, name.toLowerCase()]) {
+      if (Object.prototype.hasOwnProperty.call(this.props_map, key)) {
+        return this.props_map[key];
+      }
+    }
+    const pattern = this.prop_patterns.find((pattern) =>
+      pattern.regex.test(name.toLowerCase())
+    );
+    return pattern ? this.props_map[pattern.key] : undefined;
+  }
+
+  /**
+   * Registers a function converting a tag, replacing the built-in handling
+   * of the tag if it has one.
+   * @param {string} tag_name Name of the HTML tag
+   * @param {function} handler Takes the element as {tag, attrs}, with attrs
+   *    already in React format, and returns the React element the same way,
+   *    or undefined to delete the tag
+   */
+  registerTagHandler(tag_name, handler) {
+    this.CUSTOM_TAG_HANDLERS[tag_name.toLowerCase()] = handler;
+  }
+
+  /**
+   * Registers a function converting an HTML attribute to React attrs,
+   * replacing the mapping of props_map for that attribute.
+   * @param {string} name Name of the HTML attribute
+   * @param {function} mapper Takes the value of the attribute and returns
+   *    an object of React attrs to set for it, nothing to drop it
+   */
+  registerAttributeMapper(name, mapper) {
+    this.attribute_mappers[name.toLowerCase()] = mapper;
+  }
+
   /**
    * Generates safe name for varibale from path to file.
    * @param {string} link Path to file for which varibale is created.
    * @returns {string} Variable name generated from link
    */
   __getSafeName(link) {
-    varName = "";
-    var regex = /^[0-9a-z]+$/;
-    for (ch in link) {
-      _ch = link.charAt(ch);
+    let varName = "";
+    const regex = /^[0-9a-z]+$/;
+    for (let ch = 0; ch < link.length; ch++) {
+      let _ch = link.charAt(ch);
       if (!_ch.match(regex)) {
         _ch = "_";
       }
       varName += _ch;
     }
+    if (varName.match(/^[0-9]/)) {
+      varName = "_" + varName;
+    }
     return varName;
   }
 
+  /**
+   * Generates the variable an asset is imported as, the same for every
+   * reference to the file. Names made the same by __getSafeName, like those
+   * of a-b.png and a_b.png, are told apart by a numeric suffix.
+   * @param {string} path_from_src Path to the asset from src directory.
+   * @returns {string} Variable the asset is imported as.
+   */
+  __getAssetName(path_from_src) {
+    const key = path.normalize(path_from_src).split(path.sep).join("/");
+    if (this.asset_names[key] == undefined) {
+      const name = this.__getSafeName(key);
+      let var_ = name;
+      for (let index = 2; this.add_variables.includes(var_); index++) {
+        var_ = name + "_" + index;
+      }
+      this.asset_names[key] = var_;
+      this.add_variables.push(var_);
+    }
+    return this.asset_names[key];
+  }
+
   /**
    * Generates link information.
     If link is internal corresponding variable name is generated, for
-    external link it is returned.
+    external link it is returned. The query string and hash of the link are
+    left out of the import and added back to the value, root-absolute links
+    like /img/logo.png are resolved against src and kept as they are if no
+    file of src matches them, as they may be served from the public directory.
    * @param {string} link Link for filepath or external link.
    * @param {string} filepath_from_src Path to file from src.
    * @param {boolean} no_var To generate import variable or just import file, default is False i.e. generate variable
-   * @returns {string} Variable name generated from link or link in external case.
+   * @returns {JsxExpression|string} Variable generated from link, string literal of its public URL for the next target, or link in external case.
    */
   __getLinkInfo(link, filepath_from_src, no_var = false) {
-    if (link) {
-      pathToLink = path.join(this.src_dir, filepath_from_src, link);
-      pathToIndexLink = path.join(pathToLink, "index.html");
-      stats_pathToLink = fs.statSync(pathToLink);
-      stats_pathToIndexLink = fs.statSync(pathToIndexLink);
-      if (stats_pathToLink || stats_pathToIndexLink) {
-        var_ = this.__getSafeName(link);
-        if (no_var) {
-          this.add_to_import.push("import " + link);
-          return undefined;
-        } else {
-          this.add_to_import.push("import " + var_ + " from " + link);
-        }
-        this.add_variables.push(var_);
-        return "{" + var_ + "}";
+    const root_absolute = /^\/(?!\/)/.test(link);
+    if ((!isLocalUrl(link) && !root_absolute) || link.includes("{{")) {
+      return link;
+    }
+    const asset = link.replace(/[?#].*$/, "");
+    const suffix = link.substring(asset.length);
+    const path_from_src = root_absolute
+      ? path.normalize(asset.substring(1))
+      : path.join(filepath_from_src, asset);
+    if (!this.exists(path_from_src)) {
+      if (!root_absolute) {
+        this.__addMissingAssetError(link, filepath_from_src);
       }
-    } else {
       return link;
     }
+    // Next.js imports images as objects, assets are served from the public
+    // directory instead, at their path from src
+    if (this.target == "next" && !no_var) {
+      const public_path = path
+        .normalize(path_from_src)
+        .split(path.sep)
+        .join("/");
+      return new JsxExpression(
+        JSON.stringify(encodeURI("/" + public_path) + suffix)
+      );
+    }
+    const importPath = this.__getImportPath(path_from_src, filepath_from_src);
+    if (no_var) {
+      this.__addImport('import "' + importPath + '";');
+      return undefined;
+    }
+    const var_ = this.__getAssetName(path_from_src);
+    this.__addImport("import " + var_ + ' from "' + importPath + '";');
+    return new JsxExpression(
+      suffix ? var_ + " + " + JSON.stringify(suffix) : var_
+    );
+  }
+
+  /**
+   * Generates the path used to import a file from the generated React file.
+   * @param {string} path_from_src Path to the imported file from src directory.
+   * @param {string} filepath_from_src Path to the folder of the HTML file from src directory.
+   * @returns {string} Relative import path, always starting with a dot.
+   */
+  __getImportPath(path_from_src, filepath_from_src) {
+    const output_dir =
+      this.output_dir_from_src != undefined
+        ? this.output_dir_from_src
+        : filepath_from_src;
+    const toPosix = (p) => p.split(path.sep).join("/");
+    const importPath = path.posix.relative(
+      toPosix(output_dir),
+      toPosix(path.normalize(path_from_src))
+    );
+    return importPath.startsWith(".") ? importPath : "./" + importPath;
+  }
+
+  /**
+   * Resolves a template expression referencing data, like product.name in
+   * {{ product.name }}. Names not bound by an enclosing data-each are read
+   * from the JSON file of the same name in the data directory, which gets
+   * imported by the React file.
+   * @param {string} expression JS expression written in the template.
+   * @param {string[]} scope Names bound by the enclosing data-each loops.
+   * @param {string} filepath_from_src Path to file from src directory.
+   * @returns {string} JS code of the expression, undefined if it is
+   *    invalid or references data that doesn't exist.
+   */
+  getDataExpression(expression, scope, filepath_from_src) {
+    const code = expression.trim();
+    if (!code) {
+      this.addDiagnostic(
+        DIAGNOSTICS.INVALID_EXPRESSION,
+        "Empty expression in template"
+      );
+      return undefined;
+    }
+    try {
+      // Only compiles the expression to check its syntax, it's never run
+      new Function("return (" + code + "\n);");
+    } catch {
+      this.addDiagnostic(
+        DIAGNOSTICS.INVALID_EXPRESSION,
+        'Invalid expression "' + code + '" in template'
+      );
+      return undefined;
+    }
+    for (const name of findFreeIdentifiers(code)) {
+      if (scope.includes(name)) {
+        continue;
+      }
+      if (this.i18n && name == "t") {
+        this.__addTranslations(code, filepath_from_src);
+        continue;
+      }
+      const path_from_src = path.posix.join(CONSTANTS.DATA_DIR, name + ".json");
+      if (!this.exists(path_from_src)) {
+        this.addDiagnostic(
+          DIAGNOSTICS.UNKNOWN_DATA,
+          'Unknown data "' +
+            name +
+            '" in "' +
+            code +
+            '", ' +
+            path_from_src +
+            " doesn't exist"
+        );
+        return undefined;
+      }
+      this.__addImport(
+        "import " +
+          name +
+          ' from "' +
+          this.__getImportPath(path_from_src, filepath_from_src) +
+          '";'
+      );
+      if (!this.add_variables.includes(name)) {
+        this.add_variables.push(name);
+      }
+    }
+    return code;
+  }
+
+  /**
+   * Records the keys an expression translates with t(), like nav.home in
+   * {{ t("nav.home") }}, to check them against the translation files. Keys
+   * which aren't string literals can't be checked.
+   * @param {string} code JS code of the expression.
+   * @param {string} filepath_from_src Path to file from src directory.
+   */
+  __addTranslations(code, filepath_from_src) {
+    this.__addImport(
+      'import { useLocale } from "' +
+        this.__getImportPath(CONSTANTS.I18N_MODULE_NAME, filepath_from_src) +
+        '";'
+    );
+    this.uses_locale = true;
+    for (const match of code.matchAll(TRANSLATION_CALL_REGEX)) {
+      this.translations.push({
+        key: match[2],
+        line: this.line,
+        column: this.column,
+      });
+    }
+  }
+
+  /**
+   * Generates attrs for a partial included through rt-include, the partial
+   * is imported as a React component from the components directory.
+   * @param {object} attrs Attributes of the rt-include tag.
+   * @param {string} filepath_from_src Path to file from src directory.
+   * @returns {object} Object with component name as `tag` and no attrs,
+   *    undefined if the partial can't be found.
+   */
+  __getIncludeElement(attrs, filepath_from_src) {
+    const src = attrs["src"];
+    if (!src) {
+      this.addDiagnostic(
+        DIAGNOSTICS.INVALID_INCLUDE,
+        "Dropped rt-include without a src attribute"
+      );
+      return undefined;
+    }
+    const path_from_src = src.startsWith("/")
+      ? path.normalize(src.substring(1))
+      : path.normalize(path.join(filepath_from_src, src));
+    if (!this.exists(path_from_src)) {
+      this.addDiagnostic(
+        DIAGNOSTICS.MISSING_PARTIAL,
+        'Dropped rt-include as partial "' + src + "\" doesn't exist",
+        "src"
+      );
+      return undefined;
+    }
+    const component_name = getPartialComponentName(path_from_src);
+    this.__addImport(
+      "import " +
+        component_name +
+        ' from "' +
+        this.__getImportPath(
+          path.join(CONSTANTS.COMPONENTS_DIR, component_name),
+          filepath_from_src
+        ) +
+        '";'
+    );
+    if (!this.includes.includes(path_from_src)) {
+      this.includes.push(path_from_src);
+    }
+    return { tag: component_name, attrs: {} };
+  }
+
+  /**
+   * Adds an import statement for the current page, skipping duplicates.
+   * Named imports of a module already imported from are added to its
+   * statement, like useLocale and Link from the i18n module.
+   * @param {string} statement Import statement to be added.
+   */
+  __addImport(statement) {
+    addImportStatement(this.add_to_import, statement);
   }
 
   /**
@@ -110,10 +986,10 @@ class ReactCodeMapper {
  * @returns {object} Final dictonary of attributes with link handled     
  */
   __getAttrsWithLink(attrs, linkAttr, filepath_from_src, no_var = false) {
-    final_attrs = {};
+    const final_attrs = {};
     for (const [key, value] of Object.entries(attrs)) {
       if (key == linkAttr) {
-        link_info = this.__getLinkInfo(value, filepath_from_src, no_var);
+        const link_info = this.__getLinkInfo(value, filepath_from_src, no_var);
         if (link_info == undefined) {
           return;
         }
@@ -125,6 +1001,79 @@ class ReactCodeMapper {
     return final_attrs;
   }
 
+  /**
+   * Resolves a local or root-absolute href to the path of the page it links
+   * to. Only the path part is resolved against src, the query string, hash
+   * and trailing slash are kept, e.g. ../about.html?tab=1#team becomes
+   * /about?tab=1#team. Partials are rendered on pages at any depth, so their
+   * relative links are resolved from src, like the links of pages at its
+   * root, then from the directory of the partial.
+   * @param {string} href Local or root-absolute href of a link.
+   * @param {string} filepath_from_src Path to file from src directory.
+   * @returns {string} Path for the to prop of Link, undefined if href
+   *    doesn't point to a page in src.
+   */
+  __getRouterPath(href, filepath_from_src) {
+    if (!href.startsWith("/") && isPartialDir(filepath_from_src)) {
+      const to = this.__getRouterPath(href, "");
+      if (to != undefined) {
+        return to;
+      }
+    }
+    const [, pathname, search = "", hash = ""] = href.match(
+      /^([^?#]*)(\?[^#]*)?(#.*)?$/
+    );
+    if (!pathname) {
+      return undefined;
+    }
+    let page;
+    try {
+      const base = pathname.startsWith("/")
+        ? ""
+        : filepath_from_src.split(path.sep).join("/");
+      page = path.posix
+        .normalize(path.posix.join(base, decodeURIComponent(pathname)))
+        .replace(/^\//, "");
+    } catch {
+      return undefined;
+    }
+    if (page == ".." || page.startsWith("../")) {
+      return undefined;
+    }
+    const trailing_slash = pathname.endsWith("/");
+    page = page.replace(/\/$/, "");
+    const extension = path.posix.extname(page);
+    // Markdown pages are linked to like HTML pages, by file or by route
+    let route;
+    if (
+      !trailing_slash &&
+      CONSTANTS.PAGE_EXTENSIONS.includes(extension) &&
+      this.exists(page)
+    ) {
+      route = page.substring(0, page.length - extension.length);
+    } else if (
+      CONSTANTS.PAGE_EXTENSIONS.some((ext) =>
+        this.exists(path.posix.join(page, "index" + ext))
+      )
+    ) {
+      route = path.posix.join(page, "index");
+    } else if (
+      !trailing_slash &&
+      extension == "" &&
+      CONSTANTS.PAGE_EXTENSIONS.some((ext) => this.exists(page + ext))
+    ) {
+      route = page;
+    } else {
+      return undefined;
+    }
+    route = route
+      .replace(/(^|\/)index$/, "")
+      .split("/")
+      .map((segment) => encodeURIComponent(segment))
+      .join("/");
+    return "/" + route + (trailing_slash && route ? "/" : "") + search + hash;
+  }
+
   /**
    *Generates attrs for A tag having links to other files. 
       If link is internal that is checked and also link is generated is
@@ -135,31 +1084,22 @@ class ReactCodeMapper {
    * @returns {string[]} Array of final dictonary of attributes with link handled and information about internal link
    */
   __getAttrsForRouterLink(attrs, filepath_from_src) {
-    final_attrs = {};
-    is_internal = false;
+    const final_attrs = {};
+    let is_internal = false;
     for (const [key, value] of Object.entries(attrs)) {
-      if (key == "href") {
-        href_info = value;
-        pathRef = path.join(this.src_dir, filepath_from_src, href_info);
-        pathRefIndex = path.join(
-          this.src_dir,
-          filepath_from_src,
-          href_info,
-          "index.html"
-        );
-        stats_pathToLink = fs.statSync(pathToLink);
-        stats_pathToIndexLink = fs.statSync(pathToIndexLink);
-        if (stats_pathToLink || stats_pathToIndexLink) {
-          htmlPath = path.normalize(path.join(filepath_from_src, href_info));
-          jsPath = htmlPath.split(path.sep).join("/");
-          jsPath = jsPath.replace(".html", "");
-          if (jsPath == "index") {
-            jsPath = "/";
-          }
+      // Root-absolute links not matching a page, like /api/feed.xml, may be
+      // served by something else than the app and are left alone
+      const root_absolute = key == "href" && /^\/(?!\/)/.test(value);
+      if (key == "href" && (isLocalUrl(value) || root_absolute)) {
+        const to = this.__getRouterPath(value, filepath_from_src);
+        if (to != undefined) {
           is_internal = true;
-          final_attrs["to"] = jsPath;
+          final_attrs["to"] = to;
         } else {
-          final_attrs["href"] = href_info;
+          final_attrs["href"] = value;
+          if (!root_absolute) {
+            this.__checkUnresolvedLink(value, filepath_from_src);
+          }
         }
       } else {
         final_attrs[key] = value;
@@ -168,113 +1108,715 @@ class ReactCodeMapper {
     return [final_attrs, is_internal];
   }
 
+  /**
+   * Reports a local link that looks like a link to a page, an .html or .md
+   * file or a path without extension, but doesn't match any page in src. Links
+   * to other files, like downloads, are left alone if the file exists.
+   * @param {string} href Local href of a link which isn't a router link.
+   * @param {string} filepath_from_src Path to file from src directory.
+   */
+  __checkUnresolvedLink(href, filepath_from_src) {
+    const pathname = href.replace(/[?#].*$/, "");
+    if (!pathname || href.includes("{{")) {
+      return;
+    }
+    const extension = path.posix.extname(pathname.replace(/\/$/, ""));
+    if (
+      (extension == "" || CONSTANTS.PAGE_EXTENSIONS.includes(extension)) &&
+      !this.exists(path.join(filepath_from_src, pathname)) &&
+      !(isPartialDir(filepath_from_src) && this.exists(pathname))
+    ) {
+      this.addDiagnostic(
+        DIAGNOSTICS.UNRESOLVED_LINK,
+        'Link to "' + href + "\" doesn't match any page in src",
+        "href"
+      );
+    }
+  }
+
   /**
    * Custom tag and attributes handler for parsing attrs from CUSTOM_TAG_HANDLERS
    * @param {object} attrs Attributes for corresponding tag needed to be handled
    * @param {string} tag_handler Tag handler type to be used in mapping
    * @param {string} filepath_from_src Path to file from src directory
-   * @returns {object} Final attributes for that tag, if None is returned delete the tag
+   * @returns {object} Final attributes for that tag, if undefined is returned delete the tag
    */
   __customTagAttrsHandler(attrs, tag_handler, filepath_from_src) {
-    final_attrs = {};
+    let final_attrs = attrs;
     if (tag_handler == this.__A_TAG_HANDLER) {
-      res = this.__getAttrsForRouterLink(attrs, filepath_from_src);
+      const res = this.__getAttrsForRouterLink(attrs, filepath_from_src);
       final_attrs = res[0];
-      is_internal_link = res[1];
+      const is_internal_link = res[1];
       if (!this.router_link_imported && is_internal_link) {
-        this.add_to_import.push('import Link from "react-router-dom";');
+        // Links of translated pages stay in the locale they're rendered in
+        this.__addImport(
+          this.i18n
+            ? 'import { Link } from "' +
+                this.__getImportPath(
+                  CONSTANTS.I18N_MODULE_NAME,
+                  filepath_from_src
+                ) +
+                '";'
+            : this.target == "next"
+            ? 'import Link from "next/link";'
+            : 'import { Link } from "react-router-dom";'
+        );
         this.router_link_imported = true;
       }
-    } else if (tag_handler == this.IMAGE_TAG_HANDLER) {
-      final_attrs = this.__getAttrsWithLink(attrs, "src", filepath_from_src);
-    } else if (tag_handler == this.__SCRIPT_TAG_HANDLER) {
-      if ("src" in attrs) {
-        final_attrs = this.__getAttrsWithLink(attrs, "src", filepath_from_src);
-      } else {
-        return undefined;
-      }
-    } else if (tag_handler == this.__STYLE_TAG_HANDLER) {
-      return undefined;
+    } else if (
+      tag_handler == this.__IMAGE_TAG_HANDLER ||
+      tag_handler == this.__MEDIA_TAG_HANDLER
+    ) {
+      final_attrs = this.__getAttrsWithAssets(attrs, filepath_from_src);
     } else if (tag_handler == this.__LINK_TAG_HANDLER) {
-      if (attrs["rel"] == "stylesheet") {
+      const rel = String(attrs["rel"] || "")
+        .toLowerCase()
+        .split(/\s+/);
+      if (rel.includes("stylesheet")) {
         final_attrs = this.__getAttrsWithLink(
           attrs,
           "href",
           filepath_from_src,
-          (no_var = true)
+          true
         );
+      } else if (rel.some((type) => type.endsWith("icon"))) {
+        final_attrs = this.__getAttrsWithLink(attrs, "href", filepath_from_src);
       }
-      return None;
     }
     return final_attrs;
   }
 
   /**
-   * Generates renamed attributes correspoding to React, and removes inline style tags and tags starting with on like onclick etc.
-   * @param {object} attrs Attributes in HTML format
-   * @returns {object} Attributes in React format
+   * Converts a CSS value to a JS expression for a React style object.
+   * Local assets referenced through url() are imported so that the bundler
+   * resolves them, everything else is kept as a string.
+   * @param {string} value CSS value of a declaration.
+   * @param {string} filepath_from_src Path to file from src directory.
+   * @returns {string} JS expression for the value.
    */
-  __getReactAttrs(attrs) {
-    final_attrs = {};
-    for (const [key, value] of Object.entries(attrs)) {
-      if (key == "style") {
+  __getStyleValue(value, filepath_from_src) {
+    return (
+      this.__getCssWithAssets(value, filepath_from_src, this.line) ||
+      JSON.stringify(value)
+    );
+  }
+
+  /**
+   * Converts the content of a style element to a JS template literal,
+   * importing the local assets it references through url().
+   * @param {string} css Content of the style element.
+   * @param {string} filepath_from_src Path to file from src directory.
+   * @param {number} line Line in the HTML the content starts at, for diagnostics.
+   * @returns {string} Template literal with the CSS, undefined if it doesn't
+   *    reference any local asset.
+   */
+  getStyleSheet(css, filepath_from_src, line) {
+    return this.__getCssWithAssets(css, filepath_from_src, line);
+  }
+
+  /**
+   * Converts CSS to a JS template literal where local assets referenced
+   * through url() are imported, so that the bundler resolves them.
+   * @param {string} css CSS to be converted.
+   * @param {string} filepath_from_src Path to file from src directory.
+   * @param {number} line Line in the HTML the CSS starts at, for diagnostics.
+   * @returns {string} Template literal with the CSS, undefined if it doesn't
+   *    reference any local asset.
+   */
+  __getCssWithAssets(css, filepath_from_src, line) {
+    let template = "";
+    let last_index = 0;
+    let has_import = false;
+    const escapeTemplate = (text) =>
+      text.replace(/[`\\]/g, "\\$&").replace(/\$\{/g, "\\${");
+    const [element_line, element_column] = [this.line, this.column];
+    for (const url of findUrls(css)) {
+      if (!isLocalUrl(url.url) && !/^\/(?!\/)/.test(url.url)) {
         continue;
       }
-      if (key.startsWith("on")) {
-        continue;
+      if (line != undefined) {
+        this.__setCssPosition(css, url.index, line);
       }
-      if (key in this.props_map) {
-        useKey = this.props_map[attrKey];
-      } else {
-        useKey = key;
+      const link_info = this.__getLinkInfo(url.url, filepath_from_src);
+      if (!(link_info instanceof JsxExpression)) {
+        continue;
       }
-      final_attrs[useKey] = value;
+      template +=
+        escapeTemplate(css.substring(last_index, url.index)) +
+        "url(${" +
+        link_info.code +
+        "})";
+      last_index = url.index + url.match.length;
+      has_import = true;
     }
-    return final_attrs;
+    [this.line, this.column] = [element_line, element_column];
+    if (!has_import) {
+      return undefined;
+    }
+    return "`" + template + escapeTemplate(css.substring(last_index)) + "`";
   }
 
   /**
-   *Wrapper to generate React Map object comprising of all data needed
-      to convert HTML to React
-   * @param {object} tags HTML attributes extracted using AttributesParser
-   * @param {string} filepath_from_src Path to file from src directory
-   * @returns {object} Final mapping of tags with imports and varibles for React, if any
-                        attribute is None then tag needs to be deleted
-   */
-  getReactMap(tags, filepath_from_src) {
-    final_map = {
-      imports: [],
-      tags: [],
-      variables: [],
-    };
-    for (const [tag_name] of Object.entries(tags)) {
-      attrs = this.__getReactAttrs(tags[tag_name]);
-      if (tag_name in this.CUSTOM_TAG_HANDLERS) {
-        attrs = this.__customTagAttrsHandler(
-          attrs,
-          this.CUSTOM_TAG_HANDLERS[tag_name],
-          filepath_from_src
-        );
+   * Generates attrs for elements referencing assets, like img and video.
+   * Local assets of src, poster and srcSet are imported so that the bundler
+   * resolves them.
+   * @param {object} attrs Attributes of the element, in React format.
+   * @param {string} filepath_from_src Path to file from src directory.
+   * @returns {object} Attributes with the local assets replaced by their imports.
+   */
+  __getAttrsWithAssets(attrs, filepath_from_src) {
+    const final_attrs = {};
+    for (const [key, value] of Object.entries(attrs)) {
+      if (typeof value != "string") {
+        final_attrs[key] = value;
+      } else if (key == "src" || key == "poster") {
+        final_attrs[key] = this.__getLinkInfo(value, filepath_from_src);
+      } else if (key == "srcSet") {
+        final_attrs[key] = this.__getSrcSet(value, filepath_from_src);
+      } else {
+        final_attrs[key] = value;
       }
-      var tag_name_attributes = {};
-      tag_name_attributes[tag_name] = attrs;
-      final_map["tags"].push(tag_name_attributes);
     }
-    final_map["imports"] = this.add_to_import.join("\n");
-    final_map["variables"] = this.add_variables;
-    return final_map;
+    return final_attrs;
   }
-}
 
-class Transpiler {
+  /**
+   * Generates the value of a srcset attribute, with the local images of its
+   * candidates imported, e.g. "logo.png 1x, logo@2x.png 2x".
+   * @param {string} srcset Value of the srcset attribute.
+   * @param {string} filepath_from_src Path to file from src directory.
+   * @returns {JsxExpression|string} Template literal with the imported
+   *    images, srcset as it is if no candidate is a local image.
+   */
+  __getSrcSet(srcset, filepath_from_src) {
+    let has_import = false;
+    const candidates = srcset
+      .split(",")
+      .map((candidate) => candidate.trim())
+      .filter((candidate) => candidate)
+      .map((candidate) => {
+        const [url, ...descriptors] = candidate.split(/\s+/);
+        const link_info = this.__getLinkInfo(url, filepath_from_src);
+        if (!(link_info instanceof JsxExpression)) {
+          return candidate.replace(/[`\\]/g, "\\$&").replace(/\$\{/g, "\\${");
+        }
+        has_import = true;
+        return ["${" + link_info.code + "}", ...descriptors].join(" ");
+      });
+    if (!has_import) {
+      return srcset;
+    }
+    return new JsxExpression("`" + candidates.join(", ") + "`");
+  }
+
+  /**
+   * Checks that the local assets referenced through url() by CSS exist,
+   * for CSS written to a file of its own where the bundler resolves them.
+   * @param {string} css CSS to be checked.
+   * @param {string} filepath_from_src Path to file from src directory.
+   * @param {number} line Line in the HTML the CSS starts at, for diagnostics.
+   */
+  checkCssAssets(css, filepath_from_src, line) {
+    const [element_line, element_column] = [this.line, this.column];
+    for (const url of findUrls(css)) {
+      const asset = url.url.replace(/[?#].*$/, "");
+      if (
+        isLocalUrl(url.url) &&
+        !this.exists(path.join(filepath_from_src, asset))
+      ) {
+        if (line != undefined) {
+          this.__setCssPosition(css, url.index, line);
+        }
+        this.__addMissingAssetError(url.url, filepath_from_src);
+      }
+    }
+    [this.line, this.column] = [element_line, element_column];
+  }
+
+  /**
+   * Generates the entry of a script for the script loader, an object
+   * literal telling it how to run the script. Remote scripts are loaded by
+   * their URL, local classic scripts are served from the public directory so
+   * they still run as classic scripts, local modules are bundled through a
+   * dynamic import and inline scripts become functions.
+   * @param {object} attrs Attributes of the script tag.
+   * @param {string} code Content of the script tag, for inline scripts.
+   * @param {string} filepath_from_src Path to file from src directory.
+   * @param {number} line Line in the HTML the content of the script starts at, for the source map.
+   * @param {number} column Column in the HTML the content of the script starts at, from 0.
+   * @returns {string} Object literal for the script loader, undefined if
+   *    the script can't be loaded.
+   */
+  getScriptEntry(attrs, code, filepath_from_src, line, column) {
+    const is_module = isModuleScript(attrs);
+    const src = attrs["src"];
+    const entry = [];
+    if (src == undefined) {
+      let body = code;
+      if (is_module && hasModuleDeclarations(code)) {
+        this.addDiagnostic(
+          DIAGNOSTICS.MODULE_DECLARATIONS,
+          "Dropped inline module script with import or export declarations, which only work in a module file, move it to a .js file"
+        );
+        return undefined;
+      }
+      // Exposes the functions and variables of classic scripts, like the
+      // browser does, for inline event handlers and later scripts. Variables
+      // are exposed through accessors, so assignments on either side are seen
+      // by the other.
+      const functions = is_module ? [] : findGlobalFunctions(code);
+      const variables = is_module ? [] : findGlobalVariables(code);
+      const globals = functions.concat(variables.map(({ name }) => name));
+      if (this.source_map && line != undefined) {
+        body = body
+          .split("\n")
+          .map((text, i) => sourceMarker(line + i, i == 0 ? column : 0) + text)
+          .join("\n");
+      }
+      for (const name of functions) {
+        body += "\nwindow." + name + " = " + name + ";";
+      }
+      for (const { name, kind } of variables) {
+        body +=
+          "\nObject.defineProperty(window, " +
+          JSON.stringify(name) +
+          ", { get: () => " +
+          name +
+          (kind == "const"
+            ? ""
+            : ", set: (value) => { " + name + " = value; }") +
+          ", configurable: true });";
+      }
+      // The JavaScript of the page is untyped, it's kept out of .tsx
+      // components in a module of its own
+      if (this.scripts_module != undefined) {
+        const name = "script" + (this.module_scripts.length + 1);
+        this.module_scripts.push(
+          "export function " + name + "() {\n" + body + "\n}\n"
+        );
+        entry.push("run: " + name);
+      } else {
+        entry.push("run: () => {\n" + body + "\n}");
+      }
+      this.__addWindowNames(globals);
+      if (globals.length > 0) {
+        entry.push("globals: " + JSON.stringify(globals));
+      }
+    } else if (!isLocalUrl(src) || src.includes("{{")) {
+      entry.push("src: " + JSON.stringify(src));
+      if (is_module) {
+        entry.push('type: "module"');
+      }
+    } else {
+      const path_from_src = path.join(
+        filepath_from_src,
+        src.replace(/[?#].*$/, "")
+      );
+      if (!this.exists(path_from_src)) {
+        this.__addMissingAssetError(src, filepath_from_src);
+        return undefined;
+      }
+      if (is_module) {
+        entry.push(
+          'module: () => import("' +
+            this.__getImportPath(path_from_src, filepath_from_src) +
+            '")'
+        );
+      } else {
+        const public_path = path
+          .normalize(path_from_src)
+          .split(path.sep)
+          .join("/");
+        if (!this.public_scripts.includes(public_path)) {
+          this.public_scripts.push(public_path);
+        }
+        entry.push('src: process.env.PUBLIC_URL + "/' + public_path + '"');
+      }
+    }
+    // Inline classic scripts run right away, as async and defer only apply
+    // to scripts with a src, while modules are always deferred
+    if ("async" in attrs && (src != undefined || is_module)) {
+      entry.push("async: true");
+    } else if (is_module || ("defer" in attrs && src != undefined)) {
+      entry.push("defer: true");
+    }
+    this.__addImport(
+      'import { runScripts } from "' +
+        this.__getImportPath(CONSTANTS.SCRIPT_LOADER_NAME, filepath_from_src) +
+        '";'
+    );
+    return "{ " + entry.join(", ") + " }";
+  }
+
+  /**
+   * Generates the entry of the onload handler of the body for the script
+   * loader, run after the scripts of the page like the browser runs it once
+   * they're loaded. Helmet sets the attributes of the body without running
+   * their handlers.
+   * @param {string} code JS code of the inline handler.
+   * @param {string} filepath_from_src Path to file from src directory.
+   * @returns {string} Object literal for the script loader.
+   */
+  getLoadHandlerEntry(code, filepath_from_src) {
+    const [, handler] = this.__getEventHandler("onload", code);
+    this.__addImport(
+      'import { runScripts } from "' +
+        this.__getImportPath(CONSTANTS.SCRIPT_LOADER_NAME, filepath_from_src) +
+        '";'
+    );
+    return (
+      "{ run: () => (" + handler.code + ')(new Event("load")), defer: true }'
+    );
+  }
+
+  /**
+   * Records the error for a local asset that doesn't exist.
+   * @param {string} link Link to the asset.
+   * @param {string} filepath_from_src Path to file from src directory.
+   */
+  __addMissingAssetError(link, filepath_from_src) {
+    this.addDiagnostic(
+      DIAGNOSTICS.MISSING_ASSET,
+      'Missing asset "' +
+        link +
+        '", no file at ' +
+        path.join(filepath_from_src, link) +
+        " in src"
+    );
+  }
+
+  /**
+   * Reports a diagnostic for the element being converted, at the position
+   * of the element or of the attribute it's about.
+   * @param {object} kind Kind of the diagnostic, one of DIAGNOSTICS.
+   * @param {string} message Description of the problem.
+   * @param {string} attr Name of the attribute the diagnostic is about, if any.
+   */
+  addDiagnostic(kind, message, attr = undefined) {
+    const location =
+      attr != undefined ? this.attr_locations[attr.toLowerCase()] : undefined;
+    this.diagnostics.push(
+      location
+        ? createDiagnostic(kind, message, location.startLine, location.startCol)
+        : createDiagnostic(kind, message, this.line, this.column)
+    );
+  }
+
+  /**
+   * Sets the position reported with diagnostics to the element being
+   * converted.
+   * @param {object} location parse5 location of the element, undefined if unknown.
+   */
+  setPosition(location) {
+    this.line = location ? location.startLine : undefined;
+    this.column = location ? location.startCol : undefined;
+    this.attr_locations = location ? location.attrs || {} : {};
+  }
+
+  /**
+   * Moves the position reported with diagnostics to an offset in CSS
+   * embedded in the HTML, like the url() of a missing asset.
+   * @param {string} css CSS embedded in the HTML.
+   * @param {number} index Offset in the CSS.
+   * @param {number} line Line in the HTML the CSS starts at.
+   */
+  __setCssPosition(css, index, line) {
+    const lines = css.substring(0, index).split("\n");
+    this.line = line + lines.length - 1;
+    // Columns on the first line depend on what precedes the CSS
+    this.column =
+      lines.length > 1 ? lines[lines.length - 1].length + 1 : undefined;
+  }
+
+  /**
+   * Converts an inline style attribute to a React style object.
+   * @param {string} style Value of the HTML style attribute.
+   * @param {string} filepath_from_src Path to file from src directory.
+   * @returns {JsxExpression} Style object for JSX, undefined if nothing
+   *    could be converted.
+   */
+  __getStyleObject(style, filepath_from_src) {
+    const { declarations, invalid } = parseDeclarations(style);
+    for (const declaration of invalid) {
+      this.addDiagnostic(
+        DIAGNOSTICS.INVALID_STYLE,
+        'Dropped invalid style declaration "' + declaration + '"',
+        "style"
+      );
+    }
+    // Declarations of a property override the previous ones, like in CSS
+    const entries = {};
+    for (const { property, value, important } of declarations) {
+      const name = toReactStyleName(property);
+      if (important) {
+        this.addDiagnostic(
+          DIAGNOSTICS.DROPPED_IMPORTANT,
+          "React inline styles don't support !important, dropped it from " +
+            property,
+          "style"
+        );
+      }
+      const key = name.match(/^[a-zA-Z_$][a-zA-Z0-9_$]*$/)
+        ? name
+        : JSON.stringify(name);
+      delete entries[key];
+      entries[key] =
+        key + ": " + this.__getStyleValue(value, filepath_from_src);
+    }
+    const code = Object.values(entries);
+    if (code.length == 0) {
+      return undefined;
+    }
+    // CSSProperties has no keys for custom properties, like "--accent"
+    if (this.typescript && code.some((entry) => entry.startsWith('"'))) {
+      return new JsxExpression(
+        "{ " + code.join(", ") + " } as React.CSSProperties"
+      );
+    }
+    return new JsxExpression("{ " + code.join(", ") + " }");
+  }
+
+  /**
+   * Converts an inline event handler attribute to a React event handler.
+   * With the typescript option, its event is typed as a React event of the
+   * element, or as a DOM event for handlers run by the script loader.
+   * @param {string} name Name of the HTML attribute, like onclick
+   * @param {string} code JS code of the inline handler
+   * @param {string} tag_name Name of the tag the handler is attached to, undefined if it's run by the script loader
+   * @returns {Array} Array of React event prop name and handler function as
+   *    JsxExpression, undefined if event isn't supported by React
+   */
+  __getEventHandler(name, code, tag_name = undefined) {
+    const event_name = events_map[name.toLowerCase()];
+    if (event_name == undefined) {
+      this.addDiagnostic(
+        DIAGNOSTICS.UNSUPPORTED_EVENT,
+        "Dropped " + name + " as React doesn't support this event",
+        name
+      );
+      return undefined;
+    }
+    const handler = rewriteHandlerCode(code, this.script_globals);
+    this.__addWindowNames(handler.globals);
+    for (const func of handler.unresolved) {
+      this.addDiagnostic(
+        DIAGNOSTICS.UNRESOLVED_HANDLER,
+        name +
+          ' calls "' +
+          func +
+          "\" which isn't defined in the page's inline scripts, expecting it on window"
+      );
+    }
+    let event = "event";
+    if (this.typescript) {
+      event +=
+        tag_name == undefined
+          ? ": Event"
+          : ": React.SyntheticEvent<" +
+            (ELEMENT_TYPES[tag_name] || "HTMLElement") +
+            ">";
+    }
+    return [
+      event_name,
+      new JsxExpression("(" + event + ") => { " + handler.code + " }"),
+    ];
+  }
+
+  /**
+   * Records names the JavaScript of the page reads from window.
+   * @param {string[]} names Names of the functions and variables.
+   */
+  __addWindowNames(names) {
+    for (const name of names) {
+      if (!this.window_names.includes(name)) {
+        this.window_names.push(name);
+      }
+    }
+  }
+
+  /**
+   * Generates renamed attributes correspoding to React, converts inline style to style objects and event handler attributes like onclick to React event handlers.
+   * Presentational attributes props_map doesn't know, like align, are added
+     to the style, other attributes props_map doesn't know are dropped, except
+     on custom elements, which get their attributes as they are.
+   * @param {object} attrs Attributes in HTML format
+   * @param {string} filepath_from_src Path to file from src directory
+   * @param {string} tag_name Name of the HTML tag the attributes belong to
+   * @returns {object} Attributes in React format
+   */
+  __getReactAttrs(attrs, filepath_from_src, tag_name) {
+    const final_attrs = {};
+    // Presentational attributes come first, the style attribute overrides them
+    let presentational = "";
+    const other_attrs = {};
+    for (const [key, value] of Object.entries(attrs)) {
+      const css =
+        key in this.attribute_mappers ||
+        this.__getPropMapping(key) != undefined ||
+        tag_name.includes("-")
+          ? undefined
+          : getPresentationalStyle(tag_name, key.toLowerCase(), value);
+      if (css != undefined) {
+        presentational += css + "; ";
+      } else {
+        other_attrs[key] = value;
+      }
+    }
+    if (presentational) {
+      attrs = other_attrs;
+      attrs["style"] = presentational + (attrs["style"] || "");
+    }
+    for (const [key, value] of Object.entries(attrs)) {
+      if (key in this.attribute_mappers) {
+        Object.assign(final_attrs, this.attribute_mappers[key](value) || {});
+        continue;
+      }
+      const mapping = this.__getPropMapping(key);
+      if (mapping === false) {
+        continue;
+      }
+      if (key == "style") {
+        const style = this.__getStyleObject(value, filepath_from_src);
+        if (style != undefined) {
+          final_attrs["style"] = style;
+        }
+        continue;
+      }
+      if (key.startsWith("on")) {
+        const handler = this.__getEventHandler(key, value, tag_name);
+        if (handler != undefined) {
+          final_attrs[handler[0]] = handler[1];
+        }
+        continue;
+      }
+      if (mapping == undefined && !tag_name.includes("-")) {
+        this.addDiagnostic(
+          DIAGNOSTICS.UNKNOWN_ATTRIBUTE,
+          "Dropped " +
+            key +
+            " as React doesn't know it, add it to props_map in config to keep it",
+          key
+        );
+        continue;
+      }
+      const useKey = typeof mapping == "string" ? mapping : key;
+      if (!useKey.match(/^[a-zA-Z_$][a-zA-Z0-9_$-]*$/)) {
+        this.addDiagnostic(
+          DIAGNOSTICS.DROPPED_ATTRIBUTE,
+          "Dropped " + key + " as it isn't a valid JSX attribute",
+          key
+        );
+        continue;
+      }
+      if (
+        this.typescript &&
+        NUMBER_PROPS.includes(useKey) &&
+        /^\s*-?\d+(\.\d+)?\s*$/.test(value)
+      ) {
+        final_attrs[useKey] = new JsxExpression(String(Number(value)));
+        continue;
+      }
+      final_attrs[useKey] = value;
+    }
+    return final_attrs;
+  }
+
+  /**
+   * Converts a HTML tag with its attributes to the corresponding React element.
+   * @param {string} tag_name Name of the HTML tag
+   * @param {object} attrs Attributes of the tag in HTML format
+   * @param {string} filepath_from_src Path to file from src directory
+   * @returns {object} Object with `tag` name and `attrs` for React, undefined
+   *    if the tag needs to be deleted
+   */
+  getReactElement(tag_name, attrs, filepath_from_src) {
+    const handler = this.CUSTOM_TAG_HANDLERS[tag_name];
+    if (typeof handler == "function") {
+      return handler({
+        tag: tag_name,
+        attrs: this.__getReactAttrs(attrs, filepath_from_src, tag_name),
+      });
+    }
+    if (handler == this.__INCLUDE_TAG_HANDLER) {
+      return this.__getIncludeElement(attrs, filepath_from_src);
+    }
+    if (UNSUPPORTED_TAGS.includes(tag_name)) {
+      this.addDiagnostic(
+        DIAGNOSTICS.UNSUPPORTED_TAG,
+        "<" +
+          tag_name +
+          "> isn't supported by browsers, it's rendered as an unknown element"
+      );
+    }
+    let final_attrs = this.__getReactAttrs(attrs, filepath_from_src, tag_name);
+    let final_tag = tag_name;
+    if (tag_name == "input") {
+      // Initial state of uncontrolled inputs is set through default props
+      for (const [key, default_key] of [
+        ["value", "defaultValue"],
+        ["checked", "defaultChecked"],
+      ]) {
+        if (key in final_attrs) {
+          final_attrs[default_key] = final_attrs[key];
+          delete final_attrs[key];
+        }
+      }
+    }
+    if (tag_name in this.CUSTOM_TAG_HANDLERS) {
+      final_attrs = this.__customTagAttrsHandler(
+        final_attrs,
+        this.CUSTOM_TAG_HANDLERS[tag_name],
+        filepath_from_src
+      );
+      if (final_attrs == undefined) {
+        return undefined;
+      }
+      if (tag_name == "a" && "to" in final_attrs) {
+        final_tag = "Link";
+        // Link of next/link takes the path as href
+        if (this.target == "next") {
+          final_attrs = Object.fromEntries(
+            Object.entries(final_attrs).map(([key, value]) => [
+              key == "to" ? "href" : key,
+              value,
+            ])
+          );
+        }
+      }
+    }
+    return { tag: final_tag, attrs: final_attrs };
+  }
+}
+
+class Transpiler {
   /**
    * Transpiler responsible for translating HTML code to React
    * @property {string} project_name Name of the project as stored in config
    * @property {string} src_dir Source directory for the HTML codebase.
    * @property {string} dest_dir Destination directory for the React codebase.
+   * @property {string} style_scope Where the styles of pages go, "global" to add them to the head through Helmet or "module" to scope them to the page with a CSS Module
+   * @property {boolean} source_maps Writes a source map next to every generated component, mapping it back to the HTML, off by default.
+   * @property {number} workers Worker threads the HTML files are transpiled across, 0 to transpile them on the main thread
+   * @property {object[]} plugins Plugins listed in config, loaded from the project directory
+   * @property {string} target Toolchain the React codebase is built with, vite, cra for create-react-app or next for the App Router of Next.js
+   * @property {boolean} typescript Writes the components and the routes module as .tsx files, type-checked along with the React codebase through its tsconfig.json
+   * @property {string[]} imported_extensions Extensions of the files imported by the components, like .png or .module.css, declared by the types file with the typescript option
+   * @property {string[]} locales Locales the pages are translated to, the first one routed without prefix, none if the project isn't translated
+   * @property {string} site_url Absolute URL the site is served at, without trailing slash, making the hreflang alternates of translated pages absolute, empty to take the origin of the browser
+   * @property {object} translations Content of the translation file of each locale, loaded by the project transpilation
    * @property {object} index_routes Stores Routes data corresponding to different pages for index.js
+   * @property {object} page_heads Metadata of the head and html and body attributes of the pages for the next target, keyed like index_routes, "" for the entry point
+   * @property {object} layout_heads Metadata of the head of the layouts for the next target, and html and body attributes of the root layout, keyed by the directory they wrap
+   * @property {object} page_layouts Layouts picked in the front-matter of Markdown pages, keyed like index_routes, as the directory of the layout from src or null for none
+   * @property {string[]} compiled_partials Partials already compiled to components in the current project transpilation
+   * @property {object} layouts Import paths of the layout components for index.js, keyed by the directory they wrap
+   * @property {number} error_count Errors reported in the current project transpilation
+   * @property {object[]} diagnostics Errors and warnings reported in the current project transpilation, as {file, severity, code, message, line, column}
+   * @property {boolean} print_diagnostics Prints diagnostics as they're reported, set to false to handle the diagnostics property instead
+   * @property {object} static_paths Paths to be prerendered for each route with parameters, listed from its data-source
+   * @property {NodeWrapper} npm Wrapper used to run npm/npx commands for the React codebase
    *
-   * @param {object} config_settings project_name, src_dir, dest_dir as dict object stored in config.json
+   * @param {object} config_settings project_name, src_dir, dest_dir and optionally target, typescript, style_scope, source_maps, workers, plugins, props_map, locales and site_url as dict object stored in config.json
    * @param {object} props_map Mapping of props for HTML to React used during transpilation
    * @param {boolean} verbose Specify the verbosity of the transpiler, deafults to False
    * @param {boolean} create_project Set to True if create project is calling method, deafults to False
@@ -290,23 +1832,147 @@ class Transpiler {
     this.project_name = config_settings["project_name"];
     this.src_dir = config_settings["src_dir"];
     this.dest_dir = config_settings["dest_dir"];
-    this.props_map = props_map;
+    this.style_scope = config_settings["style_scope"] || "global";
+    this.source_maps = config_settings["source_maps"] || false;
+    this.workers =
+      config_settings["workers"] != undefined
+        ? config_settings["workers"]
+        : os.cpus().length - 1;
+    // Entries of config are merged onto the built-in mapping
+    this.props_map = Object.assign(
+      {},
+      props_map,
+      config_settings["props_map"] || {}
+    );
+    this.target = config_settings["target"] || CONSTANTS.TARGETS[0];
+    this.typescript = config_settings["typescript"] || false;
+    this.imported_extensions = [];
+    this.locales = config_settings["locales"] || [];
+    this.site_url = config_settings["site_url"] || "";
+    this.translations = {};
     this.index_routes = {};
+    this.page_heads = {};
+    this.layout_heads = {};
+    this.page_layouts = {};
+    this.compiled_partials = [];
+    this.layouts = {};
+    this.static_paths = {};
+    this.error_count = 0;
+    this.diagnostics = [];
+    this.print_diagnostics = true;
+    this.cache = undefined;
+    this.cache_entry = undefined;
+    this.source_hashes = {};
+    this.prepared = {};
     this.parser = "node.html.parser";
     this.verbose = verbose;
 
+    this.project_dir = ".";
+
     if (create_project) {
+      this.project_dir = path.join(".", this.project_name);
       this.src_dir = path.join(".", this.project_name, this.src_dir);
       this.dest_dir = path.join(".", this.project_name, this.dest_dir);
     }
 
+    this.plugin_specs = config_settings["plugins"] || [];
+    this.plugins = loadPlugins(this.plugin_specs, this.project_dir);
+
+    if (!["global", "module"].includes(this.style_scope)) {
+      throw Error(
+        "Unknown style_scope " +
+          String(this.style_scope) +
+          ' in config, expected "global" or "module"'
+      );
+    }
+
+    if (!CONSTANTS.TARGETS.includes(this.target)) {
+      throw Error(
+        "Unknown target " +
+          String(this.target) +
+          " in config, expected " +
+          CONSTANTS.TARGETS.map((target) => '"' + target + '"').join(" or ")
+      );
+    }
+
+    for (const [name, mapping] of Object.entries(this.props_map)) {
+      if (typeof mapping != "string" && typeof mapping != "boolean") {
+        throw Error(
+          "Invalid props_map entry " +
+            name +
+            " in config, expected a React name, true to keep the attribute or false to drop it"
+        );
+      }
+    }
+
+    if (
+      !Array.isArray(this.locales) ||
+      this.locales.some(
+        (locale, index) =>
+          typeof locale != "string" ||
+          !LOCALE_REGEX.test(locale) ||
+          this.locales.indexOf(locale) != index
+      )
+    ) {
+      throw Error(
+        "Invalid locales " +
+          JSON.stringify(this.locales) +
+          ' in config, expected an array of distinct language tags like ["en", "de"]'
+      );
+    }
+
+    if (
+      typeof this.site_url != "string" ||
+      (this.site_url != "" && !SITE_URL_REGEX.test(this.site_url))
+    ) {
+      throw Error(
+        "Invalid site_url " +
+          JSON.stringify(this.site_url) +
+          ' in config, expected an absolute URL like "https://example.com"'
+      );
+    }
+    this.site_url = this.site_url.replace(/\/+$/, "");
+
+    if (typeof this.source_maps != "boolean") {
+      throw Error(
+        "Invalid source_maps " +
+          String(this.source_maps) +
+          " in config, expected true or false"
+      );
+    }
+
+    if (typeof this.typescript != "boolean") {
+      throw Error(
+        "Invalid typescript " +
+          String(this.typescript) +
+          " in config, expected true or false"
+      );
+    }
+
+    if (!Number.isInteger(this.workers) || this.workers < 0) {
+      throw Error(
+        "Invalid workers " +
+          String(this.workers) +
+          " in config, expected a number of worker threads, 0 to transpile on the main thread"
+      );
+    }
+
+    if (this.target == "next" && this.locales.length > 0) {
+      throw Error(
+        'Locales aren\'t supported by the "next" target, remove them from config or use another target'
+      );
+    }
+
     const npm = new NodeWrapper();
+    this.npm = npm;
 
     if (!fs.existsSync(path.join(".", this.src_dir))) {
       throw Error("Source directory doesn't exist at  " + String(this.src_dir));
     }
 
-    if (!fs.existsSync(path.join(".", this.dest_dir))) {
+    if (!fs.existsSync(path.join(".", this.dest_dir)) && this.target != "cra") {
+      npm.create_template_app(this.target, this.project_name, this.dest_dir);
+    } else if (!fs.existsSync(path.join(".", this.dest_dir))) {
       if (create_project) {
         const project_dir = path.join(".", this.project_name);
         npm.create_react_app(
@@ -326,524 +1992,2549 @@ class Transpiler {
         (working_dir = this.dest_dir)
       );
       npm.install(
-        (package_name = "react-router-dom"),
+        (package_name = "react-router-dom@6"),
         (working_dir = this.dest_dir)
       );
     }
+
+    if (this.typescript) {
+      this.__setupTypeScript();
+    }
   }
 
   /**
-   * Replaces the attrs for updated tags comparing original and final attrs.
-   * @param {cheerio} $ Cheerio passed by reference
-   * @param {string} tag_name Name of tag being worked upon.
-   * @param {object} or_attrs Objectconsisting of original attributes of HTML.
-   * @param {object} f_attrs Object consisting of final attributes for React.
+   * Sets the React codebase up for the typescript option, unless it already
+   * has a tsconfig.json: installs TypeScript and the types of the packages
+   * the components use, then writes the tsconfig.json. The dev server and
+   * build of create-react-app and Next.js type-check the codebase once it's
+   * there, the build script of Vite gets tsc to run first.
    */
-
-  __replaceAttrs($, tag_name, or_attrs, f_attrs) {
-    if (or_attrs == f_attrs) {
+  __setupTypeScript() {
+    const tsconfig_path = path.join(this.dest_dir, "tsconfig.json");
+    if (fs.existsSync(tsconfig_path)) {
       return;
     }
-
-    const selector = $(this.__getTagWithAttribute(tag_name, or_attrs));
-    var htmlTag = selector.first().attr();
-    upperAttrs = {};
-    lowerAttrs = {};
-
-    if (htmlTag == undefined) {
-      for (const [attr] of Object.entries(or_attrs)) {
-        upperAttrs[attr] = or_attrs[attr].toUpperCase();
-        lowerAttrs[attr] = or_attrs[attr].toLowerCase();
-      }
-      htmlTag = $(this.__getTagWithAttribute(tag_name, upperAttrs))
-        .first()
-        .attr();
-      if (htmlTag == undefined) {
-        htmlTag = $(this.__getTagWithAttribute(tag_name, lowerAttrs))
-          .first()
-          .attr();
-      }
-    }
-    if (htmlTag != undefined) {
-      $(htmlTag.first().attr(f_attrs));
-      if (tag_name == "a" && "to" in f_attrs) {
-        $((htmlTag.first().get(0).tagName = "Link"));
-      }
+    const package_path = path.join(this.dest_dir, "package.json");
+    const read_package = () =>
+      JSON.parse(fs.readFileSync(package_path, "utf8"));
+    // Types of React follow its major version
+    const react_version = (read_package().dependencies || {})["react"] || "";
+    const react_major = (react_version.match(/\d+/) || ["18"])[0];
+    this.npm.install_dev(
+      TYPESCRIPT_PACKAGES[this.target]
+        .concat([
+          "@types/react@" + react_major,
+          "@types/react-dom@" + react_major,
+        ])
+        .join(" "),
+      this.dest_dir
+    );
+    const package_json = read_package();
+    const scripts = package_json.scripts || {};
+    if (this.target == "vite" && scripts.build == "vite build") {
+      scripts.build = "tsc && vite build";
+      fs.writeFileSync(
+        package_path,
+        JSON.stringify(package_json, null, 2) + "\n"
+      );
     }
+    fs.writeFileSync(
+      tsconfig_path,
+      JSON.stringify(TSCONFIGS[this.target], null, 2) + "\n"
+    );
   }
 
-  __getTagWithAttribute(tag_name, attrs) {
-    var tag_with_attr = tag_name;
-    for (const [key, value] of Object.entries(attrs)) {
-      tag_with_attr = tag_with_attr + "[" + key + '="' + value + '"]';
+  /**
+   * Generates safe name for React compnents from path to file.
+   * @param {string} link Path to file for which varibale is created.
+   * @returns {string} Variable name generated from link
+   */
+  __getReactComponentName(link) {
+    let varName = "";
+    const regex = /^[0-9a-z]+$/;
+    for (let ch = 0; ch < link.length; ch++) {
+      let _ch = link.charAt(ch);
+      if (!_ch.match(regex)) {
+        _ch = "_";
+      }
+      varName += _ch;
     }
-    return tag_with_attr;
+    return "REACTONITE" + varName.toUpperCase();
   }
 
   /**
-   * Deletes the tag corresponding to given tag_name and attrs.
-    Parameters
-   * @param {cheerio} $ cheerio passed by reference
-   * @param {string} tag_name Name of tag being worked upon.
-   * @param {object} attrs Dictonary consisting of original attributes of HTML.
+   * Generates the index.js for React apps entry point, needed to handle
+        links to pages, along with the routes module it renders
+      @throws {RuntimeError} Error raised if the index.js file is not found in dest_dir
    */
-  __deleteTag($, tag_name, attrs) {
-    const selector = $(this.__getTagWithAttribute(tag_name, attrs));
-    var htmlTag = selector.first().attr();
-    upperAttrs = {};
-    lowerAttrs = {};
-    if (htmlTag == undefined) {
-      for (const [attr] of Object.entries(attrs)) {
-        upperAttrs[attr] = attrs[attr].toUpperCase();
-        lowerAttrs[attr] = attrs[attr].toLowerCase();
-      }
-      htmlTag = $(this.__getTagWithAttribute(tag_name, upperAttrs))
-        .first()
-        .attr();
-      if (htmlTag == undefined) {
-        htmlTag = $(this.__getTagWithAttribute(tag_name, lowerAttrs))
-          .first()
-          .attr();
-      }
+  __rebuildIndexJs() {
+    const pathToIndexJs = path.join(this.dest_dir, "src", "index.js");
+    if (!fs.existsSync(pathToIndexJs)) {
+      throw new Error(
+        "Looks like you are missing index.js file in \
+                React directory! It seems to be an NPM/React issue rather."
+      );
     }
-    if (htmlTag != undefined) {
-      htmlTag.remove();
+    const pathToRoutes = path.join(
+      this.dest_dir,
+      "src",
+      CONSTANTS.ROUTES_MODULE_NAME + (this.typescript ? ".tsx" : ".js")
+    );
+    try {
+      fs.writeFileSync(pathToRoutes, this.__generateRoutesContent());
+    } catch (err) {
+      throw new Error("Error writing file: " + err);
+    }
+    this.npm.prettify(pathToRoutes);
+    this.__removeOtherModule(pathToRoutes);
+    const content = runHook(
+      this.plugins,
+      "onRebuildIndex",
+      this.__generateIndexJsContent(),
+      {
+        index_routes: this.index_routes,
+        layouts: this.layouts,
+        emitFile: (file, content) => this.__writePluginFile(file, content),
+      }
+    );
+    try {
+      fs.writeFileSync(pathToIndexJs, content);
+    } catch (err) {
+      throw new Error("Error writing file: " + err);
     }
+    this.npm.prettify(pathToIndexJs);
   }
 
-  get_tags_with_attributes(tag_arr) {
-    let data = [];
-    for (let i = 0; i < tag_arr.length; i++) {
-      let tag_with_attrs = tag_arr[i].split(" ");
-      let len = tag_with_attrs.length;
-      tag_with_attrs[0] = tag_with_attrs[0].substring(1);
-      tag_with_attrs[len - 1] = tag_with_attrs[len - 1].substring(
-        0,
-        tag_with_attrs[len - 1].length - 1
+  /**
+ * Adds links to this.index_routes to be used in index.js generation
+
+ * @param {string} filePathFromSrc Path to the folder where file is in dest_dir folder from src
+ * @param {string} filenameNoExt Filename with no extension
+ * @returns {string} Key of the page in this.index_routes
+ */
+  __addRoutesToIndexLinkArray(filePathFromSrc, filenameNoExt) {
+    if (filenameNoExt == "index") {
+      const htmlPath = path.normalize(filePathFromSrc);
+      const jsPath = htmlPath.split(path.sep).join("/");
+      this.index_routes[jsPath] = "./" + jsPath + "/index";
+      return jsPath;
+    } else {
+      const htmlPath = path.normalize(
+        path.join(filePathFromSrc, filenameNoExt)
       );
+      const jsPath = htmlPath.split(path.sep).join("/");
+      this.index_routes[jsPath] = "./" + jsPath;
+      return jsPath;
+    }
+  }
 
-      let tag = tag_with_attrs[0];
-      let attrs = {};
-      for (let j = 1; j < tag_with_attrs.length; j++) {
-        let attr_name_value = tag_with_attrs[j].split("=");
-        let attr_name = attr_name_value[0];
-        let attr_value = attr_name_value[1];
-        attrs[attr_name] = attr_value;
+  /**
+   * Generates the nested Route elements for the pages of a directory and of
+   * its subdirectories. A subdirectory becomes a Route rendering its layout,
+   * or just the matched child route when it has none. The index page of a
+   * directory becomes its index route and a 404 page its catch-all route.
+   * @param {object} node Directory with `routes`, {name, element} of its pages, `dirs`, its subdirectories by name, and `layout`, the name of its layout component if any
+   * @returns {string} JSX of the Route elements
+   */
+  __generateRoutesJsx(node) {
+    let jsx = "";
+    for (const route of node.routes) {
+      let match = 'path="' + getRoutePath(route.name) + '"';
+      if (route.name == "index") {
+        match = "index";
+      } else if (route.name == CONSTANTS.NOT_FOUND_PAGE_NAME) {
+        match = 'path="*"';
       }
-      tag_attr = {};
-      tag_attr[tag] = attrs;
-      data.push(tag_attr);
+      jsx += "<Route " + match + " element={" + route.element + "} />\n";
+    }
+    for (const [name, dir] of Object.entries(node.dirs)) {
+      const element = dir.layout ? " element={<" + dir.layout + " />}" : "";
+      jsx +=
+        '<Route path="' +
+        getRoutePath(name) +
+        '"' +
+        element +
+        ">\n" +
+        this.__generateRoutesJsx(dir) +
+        "</Route>\n";
     }
-    return data;
+    return jsx;
   }
+
   /**
- * Generates React code from HTML cheerio object.
- * @param {cheerio} $ cheerio passed by reference
- * @param {string} function_name Function name to be used from filename without extension with
-            first letter capitalized
- * @param {string} filepath_from_src Path to file from src directory
- * @returns {string} Content for React file.
- */
-  __generateReactFileContent($, function_name, filepath_from_src) {
-    styleTags = [];
-    $("style").each((i, el) => {
-      styleTags.push($(el).toString());
-    });
-    scriptTags = [];
-    $("script").each((i, el) => {
-      var s = $(el).toString();
-      if (!s.includes("src")) {
-        scriptTags.push(s);
+   * Generates content for the routes module of the React codebase, exporting
+   * the component rendering the routes of the pages and preloadRoute,
+   * loading the code of the pages matching a path ahead of rendering them.
+   * The module is typed with the typescript option.
+   * @returns {string} Content for the routes module in React codebase
+   */
+  __generateRoutesContent() {
+    const imports = [];
+    const lazy_imports = [];
+    const root = { routes: [], dirs: {} };
+    const getDir = (dir) => {
+      let node = root;
+      for (const name of dir.split("/").filter((c) => c && c != ".")) {
+        node.dirs[name] = node.dirs[name] || { routes: [], dirs: {} };
+        node = node.dirs[name];
       }
-    });
-
-    let arr = $.html().match(/\<(.*?)\>/g);
-    arr.shift();
-    let tag_arr = arr.filter((item) => !item.startsWith("</"));
-    let tag_with_attributes = this.get_tags_with_attributes(tag_arr);
+      return node;
+    };
 
-    let reactCodeMapper = new ReactCodeMapper(
-      this.src_dir,
-      this.dest_dir,
-      this.props_map
-    );
-    let react_map = reactCodeMapper.getReactMap(
-      tag_with_attributes,
-      filepath_from_src
-    );
-    let final_tags = react_map["tags"];
-    let react_variables = react_map["variables"];
-    for (
-      let i = 0;
-      i < Math.min(tag_with_attributes.length, final_tags.length);
-      i++
-    ) {
-      let orignal_tag_dict = tag_with_attributes[i];
-      let final_tag_dict = final_tags[i];
-
-      let or_tag_name = Object.keys(orignal_tag_dict)[0];
-      let or_attrs = orignal_tag_dict[or_tag_name];
-
-      let final_tag_name = Object.keys(final_tag_dict)[0];
-      let final_attrs = final_tag_dict[final_tag_name];
-
-      if (or_tag_name == final_tag_name) {
-        if (final_attrs == undefined) {
-          this.__deleteTag($, or_tag_name, or_attrs);
-        } else {
-          this.__replaceAttrs($, or_tag_name, or_attrs, final_attrs);
-        }
+    root.routes.push({ name: "index", element: "<App />" });
+    const picked = [];
+    // Pages are split out of the main bundle and loaded on first render
+    for (const [route_key, value] of Object.entries(this.index_routes)) {
+      const componentName = this.__getReactComponentName(value);
+      lazy_imports.push(
+        "const " + componentName + ' = page(() => import("' + value + '"));'
+      );
+      const page = value.replace(/^\.\//, "");
+      const route = {
+        name: path.posix.basename(page),
+        element: "<" + componentName + " />",
+      };
+      if (this.page_layouts[route_key] !== undefined) {
+        picked.push({ page: page, route: route, route_key: route_key });
       } else {
-        throw "There's an error in processing " + or_tag_name;
+        getDir(path.posix.dirname(page)).routes.push(route);
       }
     }
-
-    let reactHead = undefined;
-    if ($.html().toString().includes("<head>")) {
-      head_str = $("head").toString();
-      $("head").first().get(0).tagName = "Helmet";
-      reactHead = head_str.replace(new RegExp("head", "g"), "Helmet");
-    } else {
-      if (styleTags.length > 0) {
-        $("html").append("<New_Tag></New_Tag>");
-        reactHead = $("new_tag").first().get(0).tagName = "Helmet";
-      }
+    for (const [dir, value] of Object.entries(this.layouts)) {
+      const layout = path.posix.basename(value);
+      imports.push("import " + layout + ' from "' + value + '";');
+      getDir(dir).layout = layout;
     }
 
-    reacthead_start = reactHead.substring(0, reactHead.length - 9);
-    if (styleTags.length > 0) {
-      for (let i = 0; i < styleTags.length; i++) {
-        reacthead_start += styleTags[i];
-      }
-      reactHead = reacthead_start + "</Helmet>";
+    let routes = this.__generateRoutesJsx(root);
+    if (root.layout) {
+      routes =
+        "<Route element={<" + root.layout + " />}>\n" + routes + "</Route>\n";
     }
-
-    let body_str = "";
-    $("body").each((i, el) => {
-      body_str += $(el).toString();
-    });
-    body_str = body_str.substring(6, body_str.length - 7);
-    let content_str = "";
-    if (reactHead) {
-      content_str = reactHead + body_str;
-      react_map["imports"] += "import Helmet from 'react-helmet';";
-    } else {
-      content_str = reactHead + body_str;
+    // Pages picking a layout in their front-matter are routed by their full
+    // path, wrapped by the layouts of the directory they picked instead
+    for (const { page, route, route_key } of picked) {
+      const dir = path.posix.dirname(page).replace(/^\.$/, "");
+      let match = 'path="' + getRoutePath(route_key) + '"';
+      if (route.name == CONSTANTS.NOT_FOUND_PAGE_NAME) {
+        match = 'path="' + (dir ? getRoutePath(dir) + "/" : "") + '*"';
+      }
+      let jsx = "<Route " + match + " element={" + route.element + "} />\n";
+      const layout_dir = this.page_layouts[route_key];
+      if (layout_dir != null) {
+        const dirs = layout_dir ? layout_dir.split("/") : [];
+        for (let i = dirs.length; i >= 0; i--) {
+          const value = this.layouts[dirs.slice(0, i).join("/")];
+          if (value != undefined) {
+            jsx =
+              "<Route element={<" +
+              path.posix.basename(value) +
+              " />}>\n" +
+              jsx +
+              "</Route>\n";
+          }
+        }
+      }
+      routes += jsx;
     }
-
-    for (let j = 0; j < react_variables.length; j++) {
-      variable = react_variables[j];
-      content_str = content_str.replace(
-        new RegExp('"{' + variable + '}"', "g"),
-        "{" + variable + "}"
+    // Every locale gets the routes of all the pages, the first one without
+    // prefix, so /features is also routed at /de/features
+    if (this.locales.length > 0) {
+      imports.push(
+        'import { Locale } from "./' + CONSTANTS.I18N_MODULE_NAME + '";'
       );
+      routes = this.locales
+        .map(
+          (locale, index) =>
+            "<Route " +
+            (index > 0 ? 'path="' + locale + '" ' : "") +
+            'element={<Locale locale="' +
+            locale +
+            '" />}>\n' +
+            routes +
+            "</Route>\n"
+        )
+        .join("");
     }
 
-    let useEffect = "";
-    if (scriptTags.length) {
-      react_map["imports"] += "import React, { useEffect } from 'react';";
-      let scriptContent = "";
-      $("script").each((i, el) => {
-        let script_str = $(el).toString();
-        let script_sub_str = script_str.substring(8, script_str.length - 9);
-        scriptContent += script_sub_str;
-      });
-      useEffect = "useEffect(() => {" + scriptContent + "}, []);";
-    } else {
-      react_map["imports"] += "import React from 'react';";
-      useEffect = "";
-    }
-
-    if (styleTags.length > 0) {
-      content_str.replace(new RegExp("<style", "g"), "<style>{`");
-      content_str.replace(new RegExp("</style>", "g"), "`}</style>");
-    }
-
-    let react_function =
-      "function " +
-      function_name +
-      "() {  " +
-      useEffect +
-      "  return (<>" +
-      content_str +
-      "</>);}";
     return (
+      'import React, { Suspense, lazy, useEffect } from "react";\n' +
+      (this.typescript
+        ? 'import type { ComponentType, ReactElement } from "react";\n'
+        : "") +
+      'import { Route, createRoutesFromChildren, matchRoutes, useLocation, useRoutes } from "react-router-dom";\n' +
+      'import App from "./App";\n' +
+      imports.join("\n") +
+      "\n" +
+      (this.typescript ? LAZY_PAGE_FUNCTION_TS : LAZY_PAGE_FUNCTION) +
       "\n" +
-      react_map["imports"] +
-      "\n\n" +
-      react_function +
-      "\n\n" +
-      "export default" +
-      function_name
+      lazy_imports.join("\n") +
+      "\n" +
+      SCROLL_TO_HASH_COMPONENT +
+      "\nconst routes = createRoutesFromChildren(\n<>\n" +
+      routes +
+      "</>\n);\n" +
+      (this.typescript ? ROUTES_EXPORTS_TS : ROUTES_EXPORTS)
     );
   }
 
   /**
-   * Generates safe name for React compnents from path to file.
-   * @param {string} link Path to file for which varibale is created.
-   * @returns {string} Variable name generated from link
-   */
-  __getReactComponentName(link) {
-    varName = "";
-    var regex = /^[0-9a-z]+$/;
-    for (ch in link) {
-      _ch = link.charAt(ch);
-      if (!_ch.match(regex)) {
-        _ch = "_";
-      }
-      varName += _ch;
-    }
-    return "REACTONITE" + varName.toUpperCase();
-  }
-
-  /**
-   * Generates the index.js for React apps entry point, needed to handle
-        links to pages
-      @throws {RuntimeError} Error raised if the index.js file is not found in dest_dir
+   * Generates the app directory of the Next.js App Router in place of
+   * index.js, for the next target, from the routes and layouts of the
+   * project, see writeAppDir.
+   * @throws {RuntimeError} Error raised if a file of the app directory can't be written
    */
-  __rebuildIndexJs() {
-    pathToIndexJs = path.join(this.dest_dir, "src", "index.js");
-    if (!fs.statSync(pathToIndexJs)) {
-      throw new Error(
-        "Looks like you are missing index.js file in \
-                React directory! It seems to be an NPM/React issue rather."
-      );
-    }
-    fs.open(path, "w", function (err, fd) {
-      if (err) {
-        throw "Error opening the file" + err;
+  __rebuildAppDir() {
+    const pages = Object.entries(this.index_routes).map(
+      ([route_key, value]) => {
+        const page = value.replace(/^\.\//, "");
+        const route_path = getRoutePath(route_key);
+        return {
+          page: page,
+          // Components are named like in __getSourceTarget
+          component: getComponentName(path.posix.basename(page)),
+          head: this.page_heads[route_key] || {},
+          route_path: route_path,
+          static_paths:
+            getRouteParams(route_key).length > 0
+              ? this.static_paths["/" + route_path] || []
+              : undefined,
+        };
       }
-      file_content = this.__generateIndexJsContent();
-      fs.write(fd, file_content, 0, file_content.length, null, function (err) {
-        if (err) {
-          throw "Error writing file: " + err;
-        }
-      });
+    );
+    writeAppDir({
+      src_dir: path.join(this.dest_dir, "src"),
+      typescript: this.typescript,
+      pages: pages,
+      entry_head: this.page_heads[""] || {},
+      layouts: this.layouts,
+      layout_heads: this.layout_heads,
+      onRootLayout: (content) =>
+        runHook(this.plugins, "onRebuildIndex", content, {
+          index_routes: this.index_routes,
+          layouts: this.layouts,
+          emitFile: (file, content) => this.__writePluginFile(file, content),
+        }),
     });
-    NodeWrapper().prettify((path = pathToIndexJs));
-  }
-
-  /**
- * Adds links to this.index_routes to be used in index.js generation
-
- * @param {string} filePathFromSrc Path to the folder where file is in dest_dir folder from src
- * @param {string} filenameNoExt Filename with no extension
- */
-  __addRoutesToIndexLinkArray(filePathFromSrc, filenameNoExt) {
-    if (filenameNoExt == "index") {
-      htmlPath = path.normalize(filePathFromSrc);
-      jsPath = htmlPath.split(path.sep).join("./");
-      this.index_routes[jsPath] = "./" + jsPath + "/index";
-    } else {
-      htmlPath = path.normalize(path.join(filePathFromSrc, filenameNoExt));
-      jsPath = htmlPath.split(path.sep).join("./");
-      this.index_routes[jsPath] = "./" + jsPath;
-    }
   }
 
   /**
-   * Generates content for index.js file in React codebase with handled routes
+   * Generates content for index.js file in React codebase, rendering the
+   * routes module, or hydrating the page if it was prerendered by build.
+   * Apps built with Vite use React 18, those of create-react-app also
+   * register its service worker and report web vitals
    * @returns {string} Content for index.js file in React codebase
    */
   __generateIndexJsContent() {
-    var router =
-      'import {\n BrowserRouter as Router,\n Switch, \nRoute \n} from "react-router-dom";';
-    var imports = [];
-    var routes = [];
-
-    for (const [key, value] of Object.entries(this.index_routes)) {
-      var componentName = this.__getReactComponentName(value);
-      var importReact = "import " + componentName + ' from "' + value + '";';
-      imports.push(importReact);
-      var routeReact =
-        '<Route path="/' + key + '">\n<' + componentName + "/>\n</Route>";
-      routes.push(routeReact);
-    }
-
-    imports = imports.join("/");
-    routes = routes.join("/");
-
+    const vite = this.target == "vite";
     return (
-      'import React from "react";\n\
-        import ReactDOM from "react-dom";\n\
-        import * as serviceWorkerRegistration from ./serviceWorkerRegistration";\n\
-        import reportWebVitals from "./reportWebVitals";\n' +
-      router +
-      'import App from "./App";\n' +
-      imports +
-      "ReactDOM.render(\n\
+      'import React from "react";\n' +
+      (vite
+        ? 'import { createRoot, hydrateRoot } from "react-dom/client";\n'
+        : 'import ReactDOM from "react-dom";\n\
+        import * as serviceWorkerRegistration from "./serviceWorkerRegistration";\n\
+        import reportWebVitals from "./reportWebVitals";\n') +
+      'import { BrowserRouter as Router } from "react-router-dom";\n\
+        import AppRoutes, { preloadRoute } from "./' +
+      CONSTANTS.ROUTES_MODULE_NAME +
+      '";\n\
+        \n\
+        const root = document.getElementById("root");\n\
+        const app = (\n\
         <Router>\n\
-            <Switch>\n" +
-      routes +
-      '<Route path="/">\n\
-                <App />\n\
-            </Route>\n\
-            </Switch>\n\
-        </Router>,\n\
-        document.getElementById("root")\n\
-        );\n' +
-      "// If you dont want your app to work offline, you can change\n\
+        <AppRoutes />\n\
+        </Router>\n\
+        );\n\
+        // Pages prerendered by build are hydrated once their code is loaded,\n\
+        // so they render the same as their HTML\n\
+        if (root.hasChildNodes()) {\n' +
+      (vite
+        ? "preloadRoute(window.location.pathname).then(() => hydrateRoot(root, app));\n\
+        } else {\n\
+        createRoot(root).render(app);\n\
+        }\n"
+        : "preloadRoute(window.location.pathname).then(() => ReactDOM.hydrate(app, root));\n\
+        } else {\n\
+        ReactDOM.render(app, root);\n\
+        }\n\
+        // If you dont want your app to work offline, you can change\n\
         // register() to unregister() below. Note this comes with some\n\
         // pitfalls. Learn more about service workers: https://cra.link/PWA\n\
         serviceWorkerRegistration.register();\n\
         // If you want to start measuring performance in your app, pass a\n\
         // function to log results (for example: reportWebVitals(console.log))\n\
         // or send to analytics endpoint. Learn more: https://bit.ly/CRA-vitals\n\
-        reportWebVitals();\n"
+        reportWebVitals();\n")
     );
   }
 
   /**
-   * Transpiles the source HTML file given at the given filepath
+   * Transpiles the source HTML or Markdown file given at the given filepath
       to a React code, which is then copied over to the React build
-      directory, if not HTML file then get's copied directly.
+      directory, if not HTML file or Markdown page then get's copied directly.
 
    * @param {string} filepath Path to the source HTML file which is to be transpiled
    * @throws {RuntimeError} Raised if the source html file is not found
    */
   transpileFile(filepath) {
-    components = filepath.split(path.sep);
-    index = components.indexOf("src");
-    file_name_with_extension = components.pop();
-    file_name_split = file_name_with_extension.split(".");
-    filenameWithNoExtension = file_name_split[0];
-    extension = file_name_split[1];
-    filePathFromSrc = components.slice(index + 1).join("/");
-
-    if (extension != "html") {
-      var dest_filepath = path.join(
+    const filePathFromSrc = path
+      .dirname(path.relative(this.src_dir, filepath))
+      .split(path.sep)
+      .filter((component) => component != ".")
+      .join("/");
+    const extension = path.extname(filepath);
+    let filenameWithNoExtension = path.basename(filepath, extension);
+
+    if (!isSourceFile(path.relative(this.src_dir, filepath))) {
+      const dest_filepath = path.join(
         this.dest_dir,
         "src",
         filePathFromSrc,
-        file_name_with_extension
+        path.basename(filepath)
       );
-      if (this.verbose) {
-        console.log(
-          "Copying file " + String(filepath) + " -> " + String(dest_filepath)
+      this.__withCache(path.relative(this.src_dir, filepath), "file", () => {
+        if (this.verbose) {
+          console.log(
+            "Copying file " + String(filepath) + " -> " + String(dest_filepath)
+          );
+        }
+        fs.mkdirSync(path.dirname(dest_filepath), { recursive: true });
+        fse.copyFileSync(filepath, dest_filepath);
+        this.__addOutput(dest_filepath);
+        // Pages of Next.js link to assets at their path in the public
+        // directory, stylesheets and scripts are imported from src
+        if (
+          this.target == "next" &&
+          !MODULE_EXTENSIONS.includes(extension.toLowerCase())
+        ) {
+          const public_filepath = path.join(
+            this.dest_dir,
+            "public",
+            filePathFromSrc,
+            path.basename(filepath)
+          );
+          fs.mkdirSync(path.dirname(public_filepath), { recursive: true });
+          fse.copyFileSync(filepath, public_filepath);
+          this.__addOutput(public_filepath);
+        }
+        if (extension == ".css") {
+          this.__checkStylesheetAssets(filepath, filePathFromSrc);
+        }
+      });
+      return;
+    }
+
+    if (!fs.existsSync(filepath) || !fs.statSync(filepath).isFile()) {
+      throw new Error(filepath + " file not found");
+    }
+
+    if (filePathFromSrc.split("/")[0] == CONSTANTS.PARTIALS_DIR) {
+      // Built on its own, like by the watcher, the partial is recompiled even
+      // if it was compiled for an earlier page. During a project transpilation
+      // it's compiled once, so its diagnostics are reported once.
+      const path_from_src = path.normalize(
+        path.relative(this.src_dir, filepath)
+      );
+      if (this.cache == undefined) {
+        this.compiled_partials = this.compiled_partials.filter(
+          (partial) => partial != path_from_src
         );
       }
-      try {
-        fs.mkdirSync(path.dirname(dest_filepath), true);
-      } catch {
-        console.log("Error making a new directory");
-      }
-      fse.copyFileSync(filepath, dest_filepath);
+      this.__transpilePartial(path_from_src);
       return;
     }
 
-    var stats = fs.statSync(filepath);
-    if (stats || !stats.isFile()) {
-      throw filepath + " file not found";
+    if (path.basename(filepath) == CONSTANTS.LAYOUT_FILE_NAME) {
+      this.__transpileLayout(filePathFromSrc);
+      return;
     }
 
-    var is_entry_point = false;
-    var entry_point_html = path.join(this.src_dir, "index.html");
+    let is_entry_point = false;
+    const entry_point_html = path.join(this.src_dir, "index.html");
 
-    if (entry_point_html == filepath) {
+    if (path.normalize(entry_point_html) == path.normalize(filepath)) {
       is_entry_point = true;
       filenameWithNoExtension = "App";
     }
 
-    file_name_with_extension = filenameWithNoExtension + ".js";
-    stats = fs.statSync(path.join(this.dest_dir, "src"));
-    if (stats || !stats.isDirectory()) {
-      throw (
+    const react_src_dir = path.join(this.dest_dir, "src");
+    if (
+      !fs.existsSync(react_src_dir) ||
+      !fs.statSync(react_src_dir).isDirectory()
+    ) {
+      throw new Error(
         "Looks like your React project didn't get \n\
       created please check your " +
-        this.dest_dir +
-        " for a src \n\
+          this.dest_dir +
+          " for a src \n\
       folder"
       );
     }
 
-    dest_filepath = path.join(
-      this.dest_dir,
-      "src",
-      filePathFromSrc,
-      file_name_with_extension
+    const path_from_src = path.relative(this.src_dir, filepath);
+    const { dest_filepath, options } = this.__getSourceTarget(
+      path_from_src,
+      "page"
     );
-    if (this.verbose) {
-      console.log(
-        "Transpiling file " + String(filepath) + " -> " + String(dest_filepath)
+    const params = options.params;
+    let route_key = undefined;
+    let route_path = undefined;
+    if (!is_entry_point) {
+      route_key = this.__addRoutesToIndexLinkArray(
+        filePathFromSrc,
+        filenameWithNoExtension
       );
+      if (params.length > 0) {
+        route_path = "/" + getRoutePath(route_key);
+      }
+    }
+
+    const page = this.__withCache(path_from_src, "page", () => {
+      if (this.verbose) {
+        console.log(
+          "Transpiling file " +
+            String(filepath) +
+            " -> " +
+            String(dest_filepath)
+        );
+      }
+      const result = this.__transpileSource(path_from_src, "page");
+      this.__writeReactFile(filepath, dest_filepath, result);
+      if (result.css != undefined) {
+        const css_filepath = path.join(
+          path.dirname(dest_filepath),
+          options.css_module
+        );
+        fs.writeFileSync(css_filepath, result.css);
+        this.__addOutput(css_filepath);
+      }
+      return {
+        includes: result.includes,
+        extensions: getImportedExtensions(result.imports),
+        layout: result.layout,
+        metadata: result.metadata,
+        root_attributes: result.root_attributes,
+        static_paths:
+          route_path != undefined
+            ? this.__listStaticPaths(
+                filepath,
+                route_path,
+                params,
+                result.source
+              )
+            : undefined,
+      };
+    });
+    // Partials are cached on their own, so they're compiled outside of the
+    // page, which only depends on their existence
+    for (const include of page.includes) {
+      this.__transpilePartial(include);
+    }
+    this.__addImportedExtensions(page.extensions);
+    if (route_path != undefined) {
+      this.static_paths[route_path] = page.static_paths;
+    }
+    if (this.target == "next") {
+      this.page_heads[route_key != undefined ? route_key : ""] = {
+        metadata: page.metadata,
+        root_attributes: page.root_attributes,
+      };
+    }
+    if (route_key != undefined && page.layout !== undefined) {
+      this.page_layouts[route_key] = page.layout;
+    } else if (route_key != undefined) {
+      delete this.page_layouts[route_key];
     }
+  }
 
-    var htmlString = fs.readFileSync(filepath);
-    const $ = cheerio.load(htmlString);
+  /**
+   * Checks if a file exists at the given path in the src directory.
+   * @param {string} path_from_src Path to file from src directory
+   * @returns {boolean} True if a file exists at the path
+   */
+  __existsInSrc(path_from_src) {
+    const file = path.join(this.src_dir, path_from_src);
+    const exists = fs.existsSync(file) && fs.statSync(file).isFile();
+    this.__addExistsDependency(path_from_src, exists);
+    return exists;
+  }
 
-    // removing comments
-    $("html")
-      .contents()
-      .filter(function () {
-        return this.type === "comment";
-      })
-      .remove();
+  /**
+   * Records that the file being built checks if a file exists in the src
+   * directory, so it's built again when the file is added or removed.
+   * @param {string} path_from_src Path to file from src directory
+   * @param {boolean} exists True if the file existed when checked
+   */
+  __addExistsDependency(path_from_src, exists) {
+    if (this.cache_entry != undefined) {
+      const key = toCacheKey(path_from_src);
+      // A hash recorded for the file already covers its existence
+      if (typeof this.cache_entry.dependencies[key] != "string") {
+        this.cache_entry.dependencies[key] = exists;
+      }
+    }
+  }
+
+  /**
+   * Hashes the content of a file in the src directory. Hashes are kept
+   * for the rest of the project transpilation, as data files and partials
+   * are checked for many pages.
+   * @param {string} path_from_src Path to file from src directory
+   * @returns {string} SHA-1 of the content of the file, null if there's no file at the path
+   */
+  __hashSource(path_from_src) {
+    const key = toCacheKey(path_from_src);
+    if (!(key in this.source_hashes)) {
+      const file = path.join(this.src_dir, path_from_src);
+      this.source_hashes[key] =
+        fs.existsSync(file) && fs.statSync(file).isFile()
+          ? crypto
+              .createHash("sha1")
+              .update(fs.readFileSync(file))
+              .digest("hex")
+          : null;
+    }
+    return this.source_hashes[key];
+  }
+
+  /**
+   * Records that the file being built reads the content of a file in the src
+   * directory, so it's built again when that file changes.
+   * @param {string} path_from_src Path to file from src directory
+   */
+  __addSourceDependency(path_from_src) {
+    if (this.cache_entry != undefined) {
+      this.cache_entry.dependencies[toCacheKey(path_from_src)] =
+        this.__hashSource(path_from_src);
+    }
+  }
+
+  /**
+   * Records a file written to the React codebase for the file being built,
+   * so it's built again if the written file goes missing.
+   * @param {string} dest_filepath Path to the written file
+   */
+  __addOutput(dest_filepath) {
+    if (this.cache_entry != undefined) {
+      this.cache_entry.outputs.push(
+        toCacheKey(path.relative(this.dest_dir, dest_filepath))
+      );
+    }
+  }
+
+  /**
+   * Computes the key of the cache from the version of the transpiler and the
+   * settings changing its output. The whole cache is discarded when it
+   * changes.
+   * @returns {string} SHA-1 of the version and the settings
+   */
+  __getCacheKey() {
+    return crypto
+      .createHash("sha1")
+      .update(
+        JSON.stringify([
+          TRANSPILER_VERSION,
+          this.style_scope,
+          this.source_maps,
+          this.props_map,
+          this.plugin_specs,
+          this.locales,
+          this.target,
+          this.typescript,
+          // Components are formatted with the Prettier config of the React
+          // codebase
+          resolve_format_options(
+            path.join(
+              this.dest_dir,
+              "src",
+              "App" + (this.typescript ? ".tsx" : ".js")
+            )
+          ),
+          // Plugins may change their output without changing their name
+          this.plugins.map((plugin) =>
+            crypto
+              .createHash("sha1")
+              .update(fs.readFileSync(plugin.filename))
+              .digest("hex")
+          ),
+        ])
+      )
+      .digest("hex");
+  }
 
+  /**
+   * Loads the cache manifest written by the last project transpilation. A
+   * missing or unreadable manifest, or one written by another version or
+   * with other settings, gives an empty cache.
+   * @param {boolean} force Starts from an empty cache if True
+   */
+  __loadCache(force) {
+    const key = this.__getCacheKey();
+    this.cache = { key: key, files: {}, previous: {} };
+    this.source_hashes = {};
+    if (force) {
+      return;
+    }
     try {
-      fs.mkdirSync(path.dirname(dest_filepath), true);
+      const manifest = JSON.parse(
+        fs.readFileSync(
+          path.join(this.dest_dir, CONSTANTS.CACHE_FILE_NAME),
+          "utf8"
+        )
+      );
+      if (manifest.key == key) {
+        this.cache.previous = manifest.files;
+      }
     } catch {
-      console.log("Error making a new directory");
+      // Everything is built again
     }
-    filenameWithNoExtension =
-      filenameWithNoExtension.charAt(0).toUpperCase() +
-      filenameWithNoExtension.substring(1).toLowerCase();
-    var file_content = this.__generateReactFileContent(
-      $,
-      filenameWithNoExtension,
-      filePathFromSrc
-    );
-    try {
-      var fd = fs.openSync(dest_filepath, "w");
-      try {
-        fs.close(fs.write(fd, file_content));
-      } catch {
-        throw new Error("Error writing file");
+  }
+
+  /**
+   * Writes the cache manifest for the next project transpilation. Entries of
+   * files not built this time, like static files when only HTML files are
+   * transpiled, are kept as long as the file exists.
+   * @throws {Error} Raised if the file can't be written
+   */
+  __saveCache() {
+    const files = this.cache.files;
+    for (const [key, entry] of Object.entries(this.cache.previous)) {
+      if (!(key in files) && this.__hashSource(key) != null) {
+        files[key] = entry;
       }
+    }
+    const dest_filepath = path.join(this.dest_dir, CONSTANTS.CACHE_FILE_NAME);
+    try {
+      fs.writeFileSync(
+        dest_filepath,
+        JSON.stringify({ key: this.cache.key, files: files }) + "\n"
+      );
     } catch {
-      throw new Error("File can not be reached at ", path);
+      throw new Error("File can not be reached at " + dest_filepath);
     }
+  }
 
-    NodeWrapper().prettify((path = dest_filepath));
-    if (!is_entry_point) {
-      this.__addRoutesToIndexLinkArray(
-        filePathFromSrc,
-        filenameWithNoExtension
+  /**
+   * Checks that a cache entry still matches the files it was built from,
+   * and that the files it wrote are still there.
+   * @param {object} entry Cache entry of a file
+   * @returns {boolean} True if the file doesn't need to be built again
+   */
+  __isFresh(entry) {
+    return (
+      Object.entries(entry.dependencies).every(([key, dependency]) =>
+        typeof dependency == "boolean"
+          ? this.__existsInSrc(key) == dependency
+          : this.__hashSource(key) == dependency
+      ) &&
+      entry.outputs.every((output) =>
+        fs.existsSync(path.join(this.dest_dir, output))
+      )
+    );
+  }
+
+  /**
+   * Finds where the React file of an HTML file in src is written and the
+   * options it's transpiled with, which depend on what it's compiled to.
+   * @param {string} path_from_src Path to the HTML file from src directory
+   * @param {string} kind What the file is compiled to, "page", "partial" or "layout"
+   * @returns {object} Object with the `dest_filepath` of the React file and
+   *    the `options` of transpileString, other than props_map and exists
+   */
+  __getSourceTarget(path_from_src, kind) {
+    const filepath = path.join(this.src_dir, path_from_src);
+    const dir_from_src = path
+      .dirname(path_from_src)
+      .split(path.sep)
+      .filter((component) => component != ".")
+      .join("/");
+    const extension = this.typescript ? ".tsx" : ".js";
+    let dest_filepath;
+    let options;
+    if (kind == "partial") {
+      const component_name = getPartialComponentName(path_from_src);
+      dest_filepath = path.join(
+        this.dest_dir,
+        "src",
+        CONSTANTS.COMPONENTS_DIR,
+        component_name + extension
+      );
+      options = {
+        component_name: component_name,
+        filepath_from_src: dir_from_src,
+        fragment: true,
+        output_dir_from_src: CONSTANTS.COMPONENTS_DIR,
+      };
+    } else if (kind == "layout") {
+      const component_name = getLayoutComponentName(dir_from_src);
+      dest_filepath = path.join(
+        this.dest_dir,
+        "src",
+        CONSTANTS.LAYOUTS_DIR,
+        component_name + extension
       );
+      options = {
+        component_name: component_name,
+        filepath_from_src: dir_from_src,
+        layout: true,
+        output_dir_from_src: CONSTANTS.LAYOUTS_DIR,
+        route_dir_from_src: path.posix.join(CONSTANTS.APP_DIR, dir_from_src),
+        root_attributes: dir_from_src == "",
+      };
+    } else {
+      const entry_point_html = path.join(this.src_dir, "index.html");
+      const is_entry_point =
+        path.normalize(entry_point_html) == path.normalize(filepath);
+      const name = is_entry_point
+        ? "App"
+        : path.basename(filepath, path.extname(filepath));
+      // Index and 404 pages are the page.jsx and not-found.jsx of their
+      // directory in the app directory of Next.js
+      const route_dir_from_src = path.posix.join(
+        CONSTANTS.APP_DIR,
+        dir_from_src,
+        is_entry_point ||
+          name == "index" ||
+          name == CONSTANTS.NOT_FOUND_PAGE_NAME
+          ? ""
+          : name
+      );
+      dest_filepath = path.join(
+        this.dest_dir,
+        "src",
+        dir_from_src,
+        name + extension
+      );
+      options = {
+        component_name: getComponentName(name),
+        filepath_from_src: dir_from_src,
+        params: getRouteParams(path.posix.join(dir_from_src, name)),
+        css_module:
+          this.style_scope == "module" ? name + ".module.css" : undefined,
+        markdown: path.extname(filepath) == ".md",
+        route_dir_from_src: route_dir_from_src,
+        root_attributes: is_entry_point,
+      };
     }
+    options.i18n = this.locales.length > 0;
+    options.target = this.target;
+    options.typescript = this.typescript;
+    options.scripts_module = this.typescript
+      ? path.basename(getScriptsModulePath(dest_filepath))
+      : undefined;
+    options.source_map = this.__getSourceMapSource(filepath, dest_filepath);
+    return { dest_filepath: dest_filepath, options: options };
   }
 
   /**
-   * Runs initial checks like ensuring the source
-     directories exist, and the source file is present.
-     After that, copies non html files and transpiles the source.
+   * Transpiles an HTML file in src and formats the code, along with its
+   * scripts module. The result prepared by a worker is used if there's one,
+   * with the files the worker found recorded as if checked here.
+   * @param {string} path_from_src Path to the HTML file from src directory
+   * @param {string} kind What the file is compiled to, "page", "partial" or "layout"
+   * @returns {object} Result of transpileString
+   */
+  __transpileSource(path_from_src, kind) {
+    const key = toCacheKey(path_from_src);
+    const prepared = this.prepared[key];
+    if (prepared != undefined && prepared.kind == kind) {
+      for (const [file, exists] of Object.entries(prepared.checks)) {
+        this.__addExistsDependency(file, exists);
+      }
+      return prepared.result;
+    }
+    const { dest_filepath, options } = this.__getSourceTarget(
+      path_from_src,
+      kind
+    );
+    const result = transpileString(
+      fs.readFileSync(path.join(this.src_dir, path_from_src), "utf8"),
+      Object.assign(
+        {
+          props_map: this.props_map,
+          exists: (p) => this.__existsInSrc(p),
+          plugins: this.plugins,
+          format: (code) => format_code(code, dest_filepath),
+        },
+        options
+      )
+    );
+    if (result.scripts != undefined) {
+      result.scripts = format_code(
+        result.scripts,
+        getScriptsModulePath(dest_filepath)
+      );
+    }
+    return result;
+  }
 
-   * @param {boolean} copy_static bool, optional
-            Will copy non .html files if True, only .html files will be
-            transpiled if False, default True
-   * @throws {RuntimeError} Error raised when source html file is missing. 
+  /**
+   * Transpiles the HTML files in src which aren't cached across a pool of
+   * worker threads, ahead of the project transpilation using their results
+   * in order. Diagnostics and files are only reported and written by the
+   * project transpilation, so they don't depend on the number of workers.
+   * Files a worker fails on are transpiled again on the main thread, which
+   * reports the failure.
+   * @param {string[]} filepaths Paths to the files in src
    */
-  transpile_project(copy_static = true) {
-    var entry_point_html = path.join(this.src_dir, "index.html");
-    var stats = fs.statSync(entry_point_html);
-    if (stats || !stats.isFile()) {
-      throw "Entry point file doesn't exist at " + String(entry_point_html);
+  async __prepareSources(filepaths) {
+    const tasks = [];
+    for (const filepath of filepaths) {
+      const path_from_src = path.relative(this.src_dir, filepath);
+      if (!isSourceFile(path_from_src)) {
+        continue;
+      }
+      const kind =
+        toCacheKey(path_from_src).split("/")[0] == CONSTANTS.PARTIALS_DIR
+          ? "partial"
+          : path.basename(filepath) == CONSTANTS.LAYOUT_FILE_NAME
+          ? "layout"
+          : "page";
+      const previous = this.cache.previous[toCacheKey(path_from_src)];
+      if (
+        previous == undefined ||
+        previous.kind != kind ||
+        !this.__isFresh(previous)
+      ) {
+        tasks.push({ path_from_src: path_from_src, kind: kind });
+      }
     }
-    if (this.verbose) {
-      console.log("Transpiling files...");
+    const size = Math.min(this.workers, tasks.length);
+    // Starting a worker takes longer than transpiling a single file
+    if (size == 0 || tasks.length < 2) {
+      return;
     }
-    var filepaths = glob.sync(path.join("src", "**/**"));
-    for (var i = 0; i < filepaths.length; i++) {
-      var file = filepaths[i];
-      if (fs.statSync(file).isFile()) {
-        var components = file.split(path.sep);
-        var file_name_with_extension = components.pop();
-        var file_name_split = file_name_with_extension.split(".");
-        var extension = file_name_split[1];
-        if (extension == "html" || copy_static) {
-          this.transpileFile(file);
-        }
+    const pool = new WorkerPool(
+      size,
+      path.join(__dirname, "TranspileWorker.js"),
+      {
+        src_dir: this.src_dir,
+        props_map: this.props_map,
+        project_dir: this.project_dir,
+        plugins: this.plugin_specs,
       }
+    );
+    try {
+      await Promise.all(
+        tasks.map((task) => {
+          const { dest_filepath, options } = this.__getSourceTarget(
+            task.path_from_src,
+            task.kind
+          );
+          return pool
+            .run({
+              filepath: path.join(this.src_dir, task.path_from_src),
+              dest_filepath: dest_filepath,
+              options: options,
+            })
+            .then(
+              (prepared) => {
+                if (prepared.error == undefined) {
+                  prepared.kind = task.kind;
+                  this.prepared[toCacheKey(task.path_from_src)] = prepared;
+                }
+              },
+              () => {}
+            );
+        })
+      );
+    } finally {
+      await pool.close();
     }
-    this.__rebuildIndexJs();
   }
-}
+
+  /**
+   * Builds a file of the src directory, unless the cache has an entry for
+   * it still matching the files it depends on. In that case the diagnostics
+   * of the last build are reported again and its result is returned as it
+   * was. Only the file itself is built, the partials it includes have
+   * their own entries.
+   * @param {string} path_from_src Path to the file from src directory
+   * @param {string} kind What the file is built to, "file" for files copied as they are
+   * @param {function} build Builds the file, returning JSON data needed
+   *    by the rest of the project transpilation
+   * @returns {object} Data returned by build
+   */
+  __withCache(path_from_src, kind, build) {
+    if (this.cache == undefined) {
+      return build();
+    }
+    const key = toCacheKey(path_from_src);
+    // Entries built earlier in this transpilation are used too, like for
+    // partials listed in src after a page including them
+    const previous = this.cache.files[key] || this.cache.previous[key];
+    if (
+      previous != undefined &&
+      previous.kind == kind &&
+      this.__isFresh(previous)
+    ) {
+      if (this.verbose) {
+        console.log("Unchanged " + key + ", skipping it");
+      }
+      for (const diagnostic of previous.diagnostics) {
+        this.__report(diagnostic.file, diagnostic);
+      }
+      this.cache.files[key] = previous;
+      return previous.data;
+    }
+    this.cache_entry = {
+      kind: kind,
+      dependencies: { [key]: this.__hashSource(key) },
+      outputs: [],
+      diagnostics: [],
+      data: undefined,
+    };
+    try {
+      this.cache_entry.data = build();
+      this.cache.files[key] = this.cache_entry;
+      return this.cache_entry.data;
+    } finally {
+      this.cache_entry = undefined;
+    }
+  }
+
+  /**
+   * Lists the paths of a route with parameters, one for every item in the
+   * data collection of the page, so they can be prerendered by a static
+   * build. The collection is evaluated against the data files at build time.
+   * @param {string} filepath Path to the source HTML file
+   * @param {string} route_path Path of the route, like /blog/:slug
+   * @param {string[]} params Names of the route parameters
+   * @param {object} source Item and collection set through data-source, undefined if not set
+   * @returns {string[]} Paths of the route with the parameters filled in
+   */
+  __listStaticPaths(filepath, route_path, params, source) {
+    const warn = (message) =>
+      this.__report(
+        filepath,
+        createDiagnostic(DIAGNOSTICS.UNLISTED_STATIC_PATHS, message)
+      );
+    if (source == undefined) {
+      warn(
+        "No data-source, the paths of " +
+          route_path +
+          " can't be listed for prerendering"
+      );
+      return [];
+    }
+    const names = findFreeIdentifiers(source.collection);
+    let items;
+    try {
+      if (names.some((name) => params.includes(name))) {
+        throw new Error("it depends on the route parameters");
+      }
+      const values = names.map((name) => {
+        const data_file = path.join(CONSTANTS.DATA_DIR, name + ".json");
+        this.__addSourceDependency(data_file);
+        return JSON.parse(
+          fs.readFileSync(path.join(this.src_dir, data_file), "utf8")
+        );
+      });
+      items = new Function(...names, "return (" + source.collection + "\n);")(
+        ...values
+      );
+    } catch (err) {
+      warn(
+        "Can't list the paths of " +
+          route_path +
+          " from " +
+          source.collection +
+          ", " +
+          err.message
+      );
+      return [];
+    }
+    if (!Array.isArray(items)) {
+      warn(
+        "Can't list the paths of " +
+          route_path +
+          " as " +
+          source.collection +
+          " isn't an array"
+      );
+      return [];
+    }
+    return items
+      .filter((item) => item && params.every((param) => item[param] != null))
+      .map((item) =>
+        route_path.replace(/:([a-zA-Z_$][a-zA-Z0-9_$]*)/g, (match, param) =>
+          encodeURIComponent(String(item[param]))
+        )
+      );
+  }
+
+  /**
+   * Writes the paths listed for the routes with parameters to the React
+   * codebase, for tools prerendering the static build. Routes of the
+   * locales after the first one are listed with their prefix.
+   * @throws {Error} Raised if the file can't be written
+   */
+  __writeStaticPaths() {
+    const dest_filepath = path.join(
+      this.dest_dir,
+      CONSTANTS.STATIC_PATHS_FILE_NAME
+    );
+    const static_paths = Object.assign({}, this.static_paths);
+    for (const locale of this.locales.slice(1)) {
+      for (const [route_path, paths] of Object.entries(this.static_paths)) {
+        static_paths["/" + locale + route_path] = (paths || []).map(
+          (static_path) => "/" + locale + static_path
+        );
+      }
+    }
+    try {
+      fs.writeFileSync(
+        dest_filepath,
+        JSON.stringify(static_paths, null, 2) + "\n"
+      );
+    } catch {
+      throw new Error("File can not be reached at " + dest_filepath);
+    }
+  }
+
+  /**
+   * Writes the module running the scripts of the pages to the React
+   * codebase.
+   * @throws {Error} Raised if the file can't be written
+   */
+  __writeScriptLoader() {
+    const dest_filepath = path.join(
+      this.dest_dir,
+      "src",
+      CONSTANTS.SCRIPT_LOADER_NAME + ".js"
+    );
+    try {
+      fs.writeFileSync(dest_filepath, SCRIPT_LOADER_MODULE);
+    } catch {
+      throw new Error("File can not be reached at " + dest_filepath);
+    }
+  }
+
+  /**
+   * Adds the extensions of the files imported by a component to those
+   * declared by the types file, with the typescript option. Outside of a
+   * project transpilation, like for a file changed while watching, the
+   * types file is written again if an extension is new to it.
+   * @param {string[]} extensions Extensions like .png or .module.css
+   */
+  __addImportedExtensions(extensions) {
+    if (!this.typescript) {
+      return;
+    }
+    const added = extensions.filter(
+      (extension) => !this.imported_extensions.includes(extension)
+    );
+    this.imported_extensions.push(...added);
+    if (this.cache == undefined && added.length > 0) {
+      // Declarations of the files imported by the other components are kept
+      const dest_filepath = path.join(
+        this.dest_dir,
+        "src",
+        CONSTANTS.TYPES_FILE_NAME
+      );
+      if (fs.existsSync(dest_filepath)) {
+        for (const match of fs
+          .readFileSync(dest_filepath, "utf8")
+          .matchAll(/^declare module "\*([^"]+)"/gm)) {
+          if (!this.imported_extensions.includes(match[1])) {
+            this.imported_extensions.push(match[1]);
+          }
+        }
+      }
+      this.__writeTypesFile();
+    }
+  }
+
+  /**
+   * Writes the types file to the React codebase, declaring the files
+   * imported by the components that the toolchain of the target doesn't
+   * declare, like images with Vite. Data files are declared as any, assets
+   * as their URL and CSS Modules as their class names.
+   * @throws {Error} Raised if the file can't be written
+   */
+  __writeTypesFile() {
+    const dest_filepath = path.join(
+      this.dest_dir,
+      "src",
+      CONSTANTS.TYPES_FILE_NAME
+    );
+    const declarations = this.imported_extensions
+      .filter((extension) => !TYPED_EXTENSIONS[this.target].includes(extension))
+      .sort()
+      .map((extension) => {
+        let declaration = "  const url: string;\n  export default url;\n";
+        if (extension == ".json") {
+          declaration = "  const value: any;\n  export default value;\n";
+        } else if (extension.startsWith(".module.")) {
+          declaration =
+            "  const classes: { readonly [key: string]: string };\n" +
+            "  export default classes;\n";
+        }
+        return 'declare module "*' + extension + '" {\n' + declaration + "}\n";
+      });
+    try {
+      fs.writeFileSync(
+        dest_filepath,
+        [TYPES_FILE_HEADER].concat(declarations).join("\n")
+      );
+    } catch {
+      throw new Error("File can not be reached at " + dest_filepath);
+    }
+  }
+
+  /**
+   * Reports a diagnostic of a source file. If it's an error, the project
+   * transpilation fails once all files are transpiled.
+   * @param {string} filepath Path to the source file
+   * @param {object} diagnostic Diagnostic as {severity, code, message, line, column}
+   */
+  __report(filepath, diagnostic) {
+    diagnostic = Object.assign({ file: filepath }, diagnostic);
+    this.diagnostics.push(diagnostic);
+    if (this.cache_entry != undefined) {
+      this.cache_entry.diagnostics.push(diagnostic);
+    }
+    if (diagnostic.severity == "error") {
+      this.error_count++;
+    }
+    if (this.print_diagnostics) {
+      if (diagnostic.severity == "error") {
+        console.error(formatDiagnostic(diagnostic));
+      } else {
+        console.warn(formatDiagnostic(diagnostic));
+      }
+    }
+  }
+
+  /**
+   * Checks that the local assets referenced through url() by a stylesheet
+   * exist, the bundler resolves them when the stylesheet is imported.
+   * @param {string} filepath Path to the stylesheet
+   * @param {string} filePathFromSrc Path to the folder of the stylesheet from src
+   */
+  __checkStylesheetAssets(filepath, filePathFromSrc) {
+    const css = fs.readFileSync(filepath, "utf8");
+    for (const url of findUrls(css)) {
+      if (!isLocalUrl(url.url)) {
+        continue;
+      }
+      const asset = path.join(filePathFromSrc, url.url.replace(/[?#].*$/, ""));
+      if (!this.__existsInSrc(asset)) {
+        const lines = css.substring(0, url.index).split("\n");
+        this.__report(
+          filepath,
+          createDiagnostic(
+            DIAGNOSTICS.MISSING_ASSET,
+            'Missing asset "' + url.url + '", no file at ' + asset + " in src",
+            lines.length,
+            lines[lines.length - 1].length + 1
+          )
+        );
+      }
+    }
+  }
+
+  /**
+   * Finds the path of a source file as referenced by the source map of the
+   * React file generated from it.
+   * @param {string} filepath Path to the source HTML file
+   * @param {string} dest_filepath Path to the React file generated from it
+   * @returns {string} Path to the source from the folder of the React file, undefined if source maps are disabled
+   */
+  __getSourceMapSource(filepath, dest_filepath) {
+    if (!this.source_maps) {
+      return undefined;
+    }
+    return path
+      .relative(path.dirname(dest_filepath), filepath)
+      .split(path.sep)
+      .join("/");
+  }
+
+  /**
+   * Writes the result of transpileString to the React codebase, reporting
+   * its diagnostics and formatting the written file, along with its source
+   * map and its scripts module if it has them. Local classic scripts of the
+   * page are copied to the public directory.
+   * @param {string} filepath Path to the source HTML file
+   * @param {string} dest_filepath Path to the React file to be written
+   * @param {object} result Result of transpileString for the source file
+   * @throws {Error} Raised if the React file can't be written
+   */
+  __writeReactFile(filepath, dest_filepath, result) {
+    for (const diagnostic of result.diagnostics) {
+      this.__report(filepath, diagnostic);
+    }
+    fs.mkdirSync(path.dirname(dest_filepath), { recursive: true });
+    try {
+      if (result.map != undefined) {
+        const map_filename = path.basename(dest_filepath) + ".map";
+        const map_filepath = path.join(
+          path.dirname(dest_filepath),
+          map_filename
+        );
+        result.map.file = path.basename(dest_filepath);
+        fs.writeFileSync(map_filepath, JSON.stringify(result.map));
+        this.__addOutput(map_filepath);
+        fs.writeFileSync(
+          dest_filepath,
+          result.code + "//# sourceMappingURL=" + map_filename + "\n"
+        );
+      } else {
+        fs.writeFileSync(dest_filepath, result.code);
+        // Left by a transpilation with source_maps
+        fs.rmSync(dest_filepath + ".map", { force: true });
+      }
+    } catch {
+      throw new Error("File can not be reached at " + dest_filepath);
+    }
+    this.__addOutput(dest_filepath);
+    this.__removeOtherModule(dest_filepath);
+    const scripts_filepath = getScriptsModulePath(dest_filepath);
+    if (result.scripts != undefined) {
+      fs.writeFileSync(scripts_filepath, result.scripts);
+      this.__addOutput(scripts_filepath);
+    } else {
+      fs.rmSync(scripts_filepath, { force: true });
+    }
+    // Classic scripts are served as they are, the bundler would turn them
+    // into modules
+    for (const script of result.public_scripts) {
+      const public_filepath = path.join(this.dest_dir, "public", script);
+      fs.mkdirSync(path.dirname(public_filepath), { recursive: true });
+      fse.copyFileSync(path.join(this.src_dir, script), public_filepath);
+      this.__addSourceDependency(script);
+      this.__addOutput(public_filepath);
+    }
+    for (const file of result.files) {
+      this.__addOutput(this.__writePluginFile(file.path, file.content));
+    }
+    this.__checkTranslations(filepath, result);
+  }
+
+  /**
+   * Removes the file a module was written to with or without the typescript
+   * option, like about.js for about.tsx, along with its source map, as the
+   * bundler could resolve the import of the module to it. A file copied
+   * from src with that name is kept.
+   * @param {string} dest_filepath Path to the written module, ending with .js or .tsx
+   */
+  __removeOtherModule(dest_filepath) {
+    const extension = path.extname(dest_filepath);
+    const other =
+      dest_filepath.slice(0, -extension.length) +
+      (extension == ".tsx" ? ".js" : ".tsx");
+    const path_from_src = path.relative(path.join(this.dest_dir, "src"), other);
+    if (fs.existsSync(path.join(this.src_dir, path_from_src))) {
+      return;
+    }
+    for (const file of [other, other + ".map"]) {
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  /**
+   * Loads the translation file of every locale from the locales directory
+   * in src.
+   * @throws {Error} Raised if a translation file is missing or isn't a JSON object
+   */
+  __loadTranslations() {
+    this.translations = {};
+    for (const locale of this.locales) {
+      const filepath = path.join(
+        this.src_dir,
+        CONSTANTS.LOCALES_DIR,
+        locale + ".json"
+      );
+      if (!fs.existsSync(filepath) || !fs.statSync(filepath).isFile()) {
+        throw new Error(
+          "Translation file of locale " +
+            locale +
+            " doesn't exist at " +
+            filepath
+        );
+      }
+      let messages;
+      try {
+        messages = JSON.parse(fs.readFileSync(filepath, "utf8"));
+      } catch (err) {
+        throw new Error(
+          "Invalid translation file " + filepath + ": " + err.message
+        );
+      }
+      if (
+        messages == null ||
+        typeof messages != "object" ||
+        Array.isArray(messages)
+      ) {
+        throw new Error(
+          "Invalid translation file " + filepath + ", expected a JSON object"
+        );
+      }
+      this.translations[locale] = messages;
+    }
+  }
+
+  /**
+   * Reports the keys translated by a source file which are missing from
+   * the translation file of a locale, once per locale. The translation
+   * files become dependencies of the file in the cache.
+   * @param {string} filepath Path to the source file
+   * @param {object} result Result of transpileString for the source file
+   */
+  __checkTranslations(filepath, result) {
+    if (result.translations.length == 0) {
+      return;
+    }
+    for (const locale of this.locales) {
+      const path_from_src = path.join(CONSTANTS.LOCALES_DIR, locale + ".json");
+      const messages = this.translations[locale];
+      if (messages == undefined) {
+        continue;
+      }
+      this.__addSourceDependency(path_from_src);
+      for (const { key, line, column } of result.translations) {
+        if (findTranslation(messages, key) === undefined) {
+          this.__report(
+            filepath,
+            createDiagnostic(
+              DIAGNOSTICS.MISSING_TRANSLATION,
+              'Missing translation of "' +
+                key +
+                '" in ' +
+                locale +
+                ", " +
+                toCacheKey(path_from_src) +
+                " has no such key",
+              line,
+              column
+            )
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Writes the module translating the pages to the React codebase, which
+   * imports the translation files copied from src.
+   * @throws {Error} Raised if the file can't be written
+   */
+  __writeI18nModule() {
+    const dest_filepath = path.join(
+      this.dest_dir,
+      "src",
+      CONSTANTS.I18N_MODULE_NAME + ".js"
+    );
+    const content =
+      'import React, { createContext, useContext } from "react";\n' +
+      'import { Helmet } from "react-helmet";\n' +
+      'import { Link as RouterLink, Outlet, useLocation } from "react-router-dom";\n' +
+      this.locales
+        .map(
+          (locale, index) =>
+            "import messages" +
+            index +
+            ' from "./' +
+            CONSTANTS.LOCALES_DIR +
+            "/" +
+            locale +
+            '.json";\n'
+        )
+        .join("") +
+      "\nconst LOCALES = " +
+      JSON.stringify(this.locales) +
+      ";\nconst MESSAGES = {\n" +
+      this.locales
+        .map(
+          (locale, index) =>
+            "  " + JSON.stringify(locale) + ": messages" + index + ",\n"
+        )
+        .join("") +
+      "};\nconst SITE_URL = " +
+      JSON.stringify(this.site_url) +
+      ";\n\n" +
+      I18N_MODULE;
+    try {
+      fs.writeFileSync(dest_filepath, content);
+    } catch {
+      throw new Error("File can not be reached at " + dest_filepath);
+    }
+    this.npm.prettify(dest_filepath);
+  }
+
+  /**
+   * Writes a file added by a plugin to the React codebase.
+   * @param {string} file Path to the file from the React codebase
+   * @param {string} content Content of the file
+   * @returns {string} Path to the written file
+   * @throws {Error} Raised if the file can't be written
+   */
+  __writePluginFile(file, content) {
+    const dest_filepath = path.join(this.dest_dir, checkEmittedFile(file));
+    try {
+      fs.mkdirSync(path.dirname(dest_filepath), { recursive: true });
+      fs.writeFileSync(dest_filepath, content);
+    } catch {
+      throw new Error("File can not be reached at " + dest_filepath);
+    }
+    return dest_filepath;
+  }
+
+  /**
+   * Compiles a partial to a React component in the components directory of
+   * the React codebase, along with the partials it includes in turn. Each
+   * partial is compiled once per project transpilation.
+   * @param {string} path_from_src Path to the partial from src directory
+   * @param {string[]} included_from Partials including this one, used to detect include cycles
+   */
+  __transpilePartial(path_from_src, included_from = []) {
+    path_from_src = path.normalize(path_from_src);
+    if (included_from.includes(path_from_src)) {
+      this.__report(
+        path.join(this.src_dir, included_from[included_from.length - 1]),
+        createDiagnostic(
+          DIAGNOSTICS.INCLUDE_CYCLE,
+          path_from_src +
+            " includes itself through " +
+            included_from.join(" -> ") +
+            ", skipping it"
+        )
+      );
+      return;
+    }
+    if (this.compiled_partials.includes(path_from_src)) {
+      return;
+    }
+    this.compiled_partials.push(path_from_src);
+
+    const filepath = path.join(this.src_dir, path_from_src);
+    const { dest_filepath } = this.__getSourceTarget(path_from_src, "partial");
+    const partial = this.__withCache(path_from_src, "partial", () => {
+      if (this.verbose) {
+        console.log(
+          "Compiling partial " +
+            String(filepath) +
+            " -> " +
+            String(dest_filepath)
+        );
+      }
+      const result = this.__transpileSource(path_from_src, "partial");
+      this.__writeReactFile(filepath, dest_filepath, result);
+      return {
+        includes: result.includes,
+        extensions: getImportedExtensions(result.imports),
+      };
+    });
+    this.__addImportedExtensions(partial.extensions);
+    for (const include of partial.includes) {
+      this.__transpilePartial(include, included_from.concat(path_from_src));
+    }
+  }
+
+  /**
+   * Compiles the layout of a directory to a React component in the layouts
+   * directory of the React codebase, and registers it to wrap the routes of
+   * the pages in that directory and below it.
+   * @param {string} dir_from_src Directory of the layout from src, "" for the root layout
+   */
+  __transpileLayout(dir_from_src) {
+    const filepath = path.join(
+      this.src_dir,
+      dir_from_src,
+      CONSTANTS.LAYOUT_FILE_NAME
+    );
+    const path_from_src = path.relative(this.src_dir, filepath);
+    const { dest_filepath, options } = this.__getSourceTarget(
+      path_from_src,
+      "layout"
+    );
+    const layout = this.__withCache(path_from_src, "layout", () => {
+      if (this.verbose) {
+        console.log(
+          "Compiling layout " +
+            String(filepath) +
+            " -> " +
+            String(dest_filepath)
+        );
+      }
+      const result = this.__transpileSource(path_from_src, "layout");
+      this.__writeReactFile(filepath, dest_filepath, result);
+      return {
+        includes: result.includes,
+        extensions: getImportedExtensions(result.imports),
+        metadata: result.metadata,
+        root_attributes: result.root_attributes,
+      };
+    });
+    for (const include of layout.includes) {
+      this.__transpilePartial(include);
+    }
+    this.__addImportedExtensions(layout.extensions);
+    this.layouts[dir_from_src] =
+      "./" + CONSTANTS.LAYOUTS_DIR + "/" + options.component_name;
+    this.layout_heads[dir_from_src] = {
+      metadata: layout.metadata,
+      root_attributes: layout.root_attributes,
+    };
+  }
+
+  /**
+   * Lists the paths of the pages routed by the last project transpilation,
+   * to be prerendered. A route with parameters gets the paths listed from
+   * its data-source, and every locale after the first one gets the paths
+   * of all the pages under its prefix. A 404 page is listed by its path,
+   * like /404 or /blog/404, which its catch-all route matches.
+   * @returns {string[]} Paths starting with /, like / and /about
+   */
+  list_route_paths() {
+    const paths = ["/"];
+    for (const route_key of Object.keys(this.index_routes)) {
+      const route_path = "/" + getRoutePath(route_key);
+      if (getRouteParams(route_key).length > 0) {
+        paths.push(...(this.static_paths[route_path] || []));
+      } else {
+        paths.push(
+          "/" +
+            route_key
+              .split("/")
+              .map((segment) => encodeURIComponent(segment))
+              .join("/")
+        );
+      }
+    }
+    return paths.concat(
+      ...this.locales
+        .slice(1)
+        .map((locale) =>
+          paths.map((route_path) =>
+            route_path == "/" ? "/" + locale : "/" + locale + route_path
+          )
+        )
+    );
+  }
+
+  /**
+   * Runs initial checks like ensuring the source
+     directories exist, and the source file is present.
+     After that, copies non html files and transpiles the source.
+
+   * Files unchanged since the last transpilation, along with the files
+     they depend on, are skipped using the cache manifest in the React
+     codebase. The other HTML files are transpiled across worker threads
+     first, as many as set by workers in config.
+
+   * @param {boolean} copy_static bool, optional
+            Will copy non .html files if True, only .html files will be
+            transpiled if False, default True
+   * @param {boolean} force bool, optional
+            Will transpile every file, ignoring the cache, if True,
+            default False
+   * @returns {Promise} Resolves once the project is transpiled
+   * @throws {RuntimeError} Error raised when source html file is missing or
+            source files have errors, like missing assets. 
+   */
+  async transpile_project(copy_static = true, force = false) {
+    const entry_point_html = path.join(this.src_dir, "index.html");
+    if (
+      !fs.existsSync(entry_point_html) ||
+      !fs.statSync(entry_point_html).isFile()
+    ) {
+      throw new Error(
+        "Entry point file doesn't exist at " + String(entry_point_html)
+      );
+    }
+    if (this.verbose) {
+      console.log("Transpiling files...");
+    }
+    this.compiled_partials = [];
+    this.layouts = {};
+    this.layout_heads = {};
+    this.imported_extensions = [];
+    this.static_paths = {};
+    this.error_count = 0;
+    this.diagnostics = [];
+    this.__loadTranslations();
+    this.__loadCache(force);
+    try {
+      const filepaths = list_files(this.src_dir).filter(
+        (file) => isSourceFile(path.relative(this.src_dir, file)) || copy_static
+      );
+      await this.__prepareSources(filepaths);
+      for (const file of filepaths) {
+        this.transpileFile(file);
+      }
+      if (this.target == "next") {
+        this.__rebuildAppDir();
+      } else {
+        this.__rebuildIndexJs();
+      }
+      this.__writeScriptLoader();
+      if (this.typescript) {
+        this.__writeTypesFile();
+      }
+      if (this.locales.length > 0) {
+        this.__writeI18nModule();
+      }
+      this.__writeStaticPaths();
+      this.__saveCache();
+    } finally {
+      // Files built on their own, like by the watcher, aren't cached
+      this.cache = undefined;
+      this.prepared = {};
+    }
+    if (this.error_count > 0) {
+      throw new Error(
+        "Transpilation failed with " + this.error_count + " error(s)"
+      );
+    }
+  }
+}
+
+/**
+ * Looks up the translation of a key in the translation file of a locale,
+ * as a key of its own, like "nav.home", or else as a path in nested
+ * objects. The i18n module of the React codebase looks keys up the same way.
+ * @param {object} messages Content of the translation file
+ * @param {string} key Key of the translation
+ * @returns {string} Translation, undefined if the file doesn't have it
+ */
+function findTranslation(messages, key) {
+  if (Object.prototype.hasOwnProperty.call(messages, key)) {
+    return messages[key];
+  }
+  let value = messages;
+  for (const part of key.split(".")) {
+    if (value == null || typeof value != "object") {
+      return undefined;
+    }
+    value = value[part];
+  }
+  return typeof value == "object" ? undefined : value;
+}
+
+/**
+ * Gives the path of the module the inline scripts of a component are moved
+ * to with the typescript option, next to it, like about.scripts.js for
+ * about.tsx.
+ * @param {string} dest_filepath Path to the component
+ * @returns {string} Path to the scripts module
+ */
+function getScriptsModulePath(dest_filepath) {
+  return (
+    dest_filepath.slice(0, -path.extname(dest_filepath).length) + ".scripts.js"
+  );
+}
+
+/**
+ * Lists the extensions of the files imported by the import statements of a
+ * component, like .png, or .module.css for CSS Modules. Components and the
+ * modules of the React codebase are imported without extension, JavaScript
+ * modules like the scripts module are typed through allowJs.
+ * @param {string[]} imports Import statements of the component
+ * @returns {string[]} Extensions of the imported files, without duplicates
+ */
+function getImportedExtensions(imports) {
+  const extensions = [];
+  for (const statement of imports) {
+    const match = statement.match(/ from "(\.[^"]*)";?$/);
+    const extension =
+      match &&
+      path.posix
+        .basename(match[1].replace(/[?#].*$/, ""))
+        .match(/(\.module\.(css|sass|scss)|\.[^.]+)$/);
+    if (
+      extension &&
+      extension[0] != ".js" &&
+      !extensions.includes(extension[0])
+    ) {
+      extensions.push(extension[0]);
+    }
+  }
+  return extensions;
+}
+
+/**
+ * Tells if a file in src is transpiled, to a page, a partial or a layout,
+ * rather than copied as it is. Markdown files are pages, except in the
+ * partials directory and for index.md in src itself, as the entry point of
+ * the app is index.html.
+ * @param {string} path_from_src Path to the file from src directory
+ * @returns {boolean} True for HTML files and Markdown pages
+ */
+function isSourceFile(path_from_src) {
+  const key = toCacheKey(path_from_src);
+  if (path.posix.extname(key) == ".md") {
+    return key.split("/")[0] != CONSTANTS.PARTIALS_DIR && key != "index.md";
+  }
+  return path.posix.extname(key) == ".html";
+}
+
+/**
+ * Adds an import statement to those of a file, skipping duplicates. Named
+ * imports of a module already imported from are added to its statement.
+ * @param {string[]} imports Import statements of the file, changed in place
+ * @param {string} statement Import statement to be added
+ */
+function addImportStatement(imports, statement) {
+  if (imports.includes(statement)) {
+    return;
+  }
+  const named = statement.match(NAMED_IMPORT_REGEX);
+  const index = named
+    ? imports.findIndex((other) => {
+        const match = other.match(NAMED_IMPORT_REGEX);
+        return match != null && match[2] == named[2];
+      })
+    : -1;
+  if (index == -1) {
+    imports.push(statement);
+    return;
+  }
+  const names = imports[index]
+    .match(NAMED_IMPORT_REGEX)[1]
+    .split(",")
+    .map((name) => name.trim());
+  for (const name of named[1].split(",").map((name) => name.trim())) {
+    if (!names.includes(name)) {
+      names.push(name);
+    }
+  }
+  imports[index] =
+    "import { " + names.join(", ") + ' } from "' + named[2] + '";';
+}
+
+/**
+ * Converts a presentational attribute React doesn't know, like align or
+ * bgcolor, to the CSS the browser styles the element with for it.
+ * @param {string} tag_name Name of the tag the attribute belongs to
+ * @param {string} name Name of the attribute, in lower case
+ * @param {string} value Value of the attribute
+ * @returns {string} CSS declarations, undefined if the attribute isn't
+ *    presentational or its value isn't valid
+ */
+function getPresentationalStyle(tag_name, name, value) {
+  value = value.trim().toLowerCase();
+  if (name == "bgcolor" && value) {
+    return "background-color: " + value;
+  }
+  if (
+    name == "valign" &&
+    ["top", "middle", "bottom", "baseline"].includes(value)
+  ) {
+    return "vertical-align: " + value;
+  }
+  if (name == "border") {
+    const width = parseInt(value, 10);
+    if (isNaN(width)) {
+      return undefined;
+    }
+    return width > 0 ? "border: " + width + "px solid" : "border: 0";
+  }
+  if (name != "align") {
+    return undefined;
+  }
+  // Replaced elements are floated or aligned with the text around them,
+  // tables and rules are placed in their container
+  if (["embed", "iframe", "img", "input", "object"].includes(tag_name)) {
+    if (["left", "right"].includes(value)) {
+      return "float: " + value;
+    }
+    if (["top", "middle", "center", "bottom", "baseline"].includes(value)) {
+      return "vertical-align: " + (value == "center" ? "middle" : value);
+    }
+    return undefined;
+  }
+  if (!["left", "right", "center", "justify"].includes(value)) {
+    return undefined;
+  }
+  if (["hr", "table"].includes(tag_name)) {
+    if (value == "center" || value == "justify") {
+      return "margin-left: auto; margin-right: auto";
+    }
+    return tag_name == "table"
+      ? "float: " + value
+      : "margin-" + (value == "left" ? "right" : "left") + ": auto";
+  }
+  return "text-align: " + value;
+}
+
+/**
+ * Normalizes a path to be used as a key of the cache manifest, so the
+ * manifest is the same on every platform.
+ * @param {string} filepath Relative path to a file
+ * @returns {string} Path with forward slashes
+ */
+function toCacheKey(filepath) {
+  return path.normalize(filepath).split(path.sep).join("/");
+}
+
+/**
+ * Transpiles HTML of a page to the code of a React component, without
+ * touching the file system or running any child process. It's the core of
+ * Transpiler.transpileFile and can be used on its own to embed the
+ * transpiler in other tools.
+ * @param {string} html HTML content of the page.
+ * @param {object} options Options for transpilation, all of them optional.
+ * @param {object} options.props_map Mapping of props for HTML to React, defaults to the built-in PropsMap
+ * @param {string} options.component_name Name of the generated React component, defaults to App
+ * @param {string} options.filepath_from_src Path to the folder of the page from src directory, used to resolve links, defaults to src itself
+ * @param {function} options.exists Tells if a file exists at the given path from src directory, defaults to treating every local file as existing
+ * @param {boolean} options.fragment Set to true if html is a fragment, like a partial, rather than a whole document
+ * @param {string} options.output_dir_from_src Folder of the generated file from src directory, defaults to filepath_from_src
+ * @param {boolean} options.layout Set to true if html is a layout, its slot element is replaced by the Outlet rendering the matched route
+ * @param {string} options.css_module File name of the CSS Module the styles of the page are moved to, next to the component, e.g. about.module.css. Styles are added to the head through Helmet if not set.
+ * @param {string} options.source_map Path to the HTML file from the generated file, e.g. ../../src/about.html. If set, a source map from the generated code back to the lines and columns of the HTML is returned as `map`.
+ * @param {function} options.format Formats the generated code, like format_code of Helpers.js, before the source map is made so that it maps the formatted code. The code is returned as it's generated if not set.
+ * @param {string[]} options.params Names of the route parameters of the page, like slug for blog/[slug].html, read with useParams
+ * @param {object[]} options.plugins Plugins as returned by loadPlugins of Plugins.js, their hooks and handlers are run in order
+ * @param {boolean} options.markdown Set to true if html is the Markdown of a page, with an optional front-matter, rather than HTML
+ * @param {boolean} options.i18n Set to true if the project has locales, t() in expressions and data-i18n on elements translate text through the i18n module of the React codebase
+ * @param {string} options.target Toolchain the React codebase is built with. For next, the component is a client component of the App Router, the title, meta and icons of the head are returned as `metadata` and layouts render their children
+ * @param {string} options.route_dir_from_src Folder of the page.jsx or layout.jsx of the route from src directory for the next target, the imports of the metadata are relative to it
+ * @param {boolean} options.root_attributes Set to true for the next target if the html and body attributes of the page are set by the root layout.jsx, they're dropped with a warning otherwise
+ * @param {boolean} options.typescript Set to true if the component is written as a .tsx file. Props React types as numbers get numbers, the metadata of the next target is typed, the events of handlers are typed and the names the JavaScript of the page reads from window are declared on Window
+ * @param {string} options.scripts_module File name of the JavaScript module the inline scripts of the page are moved to, next to the component, e.g. about.scripts.js, so that a .tsx component doesn't embed untyped code. Inline scripts are embedded in the component if not set.
+ * @returns {object} Object with `code` of the React component, `map`, its source map if options.source_map is set, `imports` statements collected for it, `includes`, paths from src of the partials it includes, `public_scripts`, paths from src of the local classic scripts to be served from the public directory, `css`, the content of the CSS Module if the page has styles and css_module is set, `scripts`, the content of the scripts module if the page has inline scripts and scripts_module is set, `front_matter`, the values of the front-matter of a Markdown page by key, `layout`, the directory from src of the layout a Markdown page picked, null for none, undefined to keep the layouts of its directory, `translations`, the {key, line, column} of the keys translated with options.i18n, `source`, the {item, collection} the route parameters are looked up in if the page sets data-source, `metadata`, the `imports` and `code` exporting the metadata of the head for the next target, `root_attributes`, the JSX attributes of html and body by tag name, like ' lang="en"', if options.root_attributes is set, `files`, an array of {path, content} of the files added by plugins to the React codebase, and `diagnostics`, an array of {severity, code, message, line, column} in the order they were found, see Diagnostics.js for the codes
+ */
+function transpileString(html, options = {}) {
+  const props_map = options.props_map || require("./PropsMap");
+  const component_name = options.component_name || "App";
+  const filepath_from_src = options.filepath_from_src || "";
+  const exists = options.exists || (() => true);
+  const params = options.params || [];
+  const plugins = options.plugins || [];
+  const reactCodeMapper = new ReactCodeMapper(
+    "",
+    "",
+    props_map,
+    [],
+    exists,
+    options.output_dir_from_src
+  );
+  reactCodeMapper.target = options.target;
+  reactCodeMapper.typescript = Boolean(options.typescript);
+  reactCodeMapper.scripts_module = options.scripts_module;
+  const next = options.target == "next";
+  const files = [];
+  const source_content = html;
+  let front_matter = {};
+  let layout = undefined;
+  if (options.markdown) {
+    const converted = markdownToHtml(html);
+    html = converted.html;
+    front_matter = converted.data;
+    for (const error of converted.errors) {
+      reactCodeMapper.diagnostics.push(
+        createDiagnostic(
+          DIAGNOSTICS.INVALID_FRONT_MATTER,
+          error.message,
+          error.line + 1
+        )
+      );
+    }
+    if (front_matter.layout != undefined && next) {
+      reactCodeMapper.diagnostics.push(
+        createDiagnostic(
+          DIAGNOSTICS.IGNORED_LAYOUT,
+          'Ignored layout "' +
+            front_matter.layout +
+            '", the next target wraps pages in the layouts of their directory',
+          converted.lines.layout + 1
+        )
+      );
+    } else if (front_matter.layout != undefined) {
+      layout = getFrontMatterLayout(front_matter.layout, exists);
+      if (layout === undefined) {
+        reactCodeMapper.diagnostics.push(
+          createDiagnostic(
+            DIAGNOSTICS.UNKNOWN_LAYOUT,
+            'Layout "' +
+              front_matter.layout +
+              '" has no ' +
+              CONSTANTS.LAYOUT_FILE_NAME +
+              " in src, keeping the layouts of the directory",
+            converted.lines.layout + 1
+          )
+        );
+      }
+    }
+  }
+  // Passed to the hooks and handlers of the plugins
+  const context = {
+    component_name: component_name,
+    filepath_from_src: filepath_from_src,
+    kind: options.layout ? "layout" : options.fragment ? "partial" : "page",
+    front_matter: front_matter,
+    $: undefined,
+    addImport: (statement) => reactCodeMapper.__addImport(statement),
+    expression: (code) => new JsxExpression(code),
+    warn: (message) =>
+      reactCodeMapper.addDiagnostic(DIAGNOSTICS.PLUGIN_WARNING, message),
+    error: (message) =>
+      reactCodeMapper.addDiagnostic(DIAGNOSTICS.PLUGIN_ERROR, message),
+    emitFile: (file, content) =>
+      files.push({ path: checkEmittedFile(file), content: String(content) }),
+  };
+
+  html = runHook(plugins, "beforeParse", html, context);
+  // Locations of the elements are kept to report diagnostics by position
+  const $ = cheerio.load(
+    html,
+    { sourceCodeLocationInfo: true },
+    !options.fragment
+  );
+  context.$ = $;
+  if (plugins.some((plugin) => plugin.transformNode != undefined)) {
+    for (const el of $("*").toArray()) {
+      reactCodeMapper.setPosition(el.sourceCodeLocation);
+      runHook(plugins, "transformNode", el, context);
+    }
+    reactCodeMapper.setPosition(undefined);
+  }
+  for (const plugin of plugins) {
+    for (const [tag_name, handler] of Object.entries(plugin.tags || {})) {
+      reactCodeMapper.registerTagHandler(tag_name, (element) =>
+        callPlugin(plugin, "<" + tag_name + ">", handler, [element, context])
+      );
+    }
+    for (const [name, mapper] of Object.entries(plugin.attributes || {})) {
+      reactCodeMapper.registerAttributeMapper(name, (value) =>
+        callPlugin(plugin, name, mapper, [value, context])
+      );
+    }
+  }
+
+  // Scripts are run by the script loader once the component mounts, except
+  // for nomodule fallbacks, and styles are moved to Helmet, or to the CSS
+  // Module of the page if it has one
+  let scripts = $("script")
+    .filter((i, el) => isExecutableScript(el.attribs))
+    .toArray();
+  for (const el of scripts) {
+    // Joins the text around the script, like the whitespace it's indented
+    // with, so that it collapses as if the script was never there
+    const previous = el.prev;
+    const next = el.next;
+    if (previous && next && previous.type == "text" && next.type == "text") {
+      previous.data += next.data;
+      $(next).remove();
+    }
+    $(el).remove();
+  }
+  scripts = scripts.filter((el) => el.attribs["nomodule"] == undefined);
+  const scriptContents = scripts
+    .filter((el) => el.attribs["src"] == undefined)
+    .map((el) => $(el).html());
+  const moduleStyles = options.css_module ? $("style").remove().toArray() : [];
+  const styles = options.fragment ? $("style").remove().toArray() : [];
+  $("head").append($("body style"));
+
+  const classicScripts = scripts
+    .filter(
+      (el) => el.attribs["src"] == undefined && !isModuleScript(el.attribs)
+    )
+    .map((el) => $(el).html())
+    .join("\n");
+  const scriptGlobals = findGlobalFunctions(classicScripts).concat(
+    findGlobalVariables(classicScripts).map(({ name }) => name)
+  );
+  reactCodeMapper.script_globals = scriptGlobals;
+  const jsxGenerator = new JsxGenerator(reactCodeMapper, filepath_from_src);
+  jsxGenerator.source_map = options.source_map != undefined;
+  reactCodeMapper.source_map = options.source_map != undefined;
+  reactCodeMapper.i18n = Boolean(options.i18n);
+  const scriptEntries = [];
+  for (const el of scripts) {
+    const location = el.sourceCodeLocation;
+    reactCodeMapper.setPosition(location);
+    const entry = reactCodeMapper.getScriptEntry(
+      el.attribs,
+      $(el).html(),
+      filepath_from_src,
+      location ? location.startTag.endLine : undefined,
+      location ? location.startTag.endCol - 1 : undefined
+    );
+    if (entry != undefined) {
+      scriptEntries.push(entry);
+    }
+  }
+  // Helmet and the root layout of Next.js set the attributes of html and
+  // body without running their handlers, so the onload of the body runs
+  // after the scripts of the page and the other handlers are dropped
+  for (const el of $("html, body").toArray()) {
+    reactCodeMapper.setPosition(el.sourceCodeLocation);
+    for (const [name, value] of Object.entries(el.attribs)) {
+      if (!/^on/i.test(name)) {
+        continue;
+      }
+      if (el.name == "body" && name.toLowerCase() == "onload") {
+        scriptEntries.push(
+          reactCodeMapper.getLoadHandlerEntry(value, filepath_from_src)
+        );
+      } else {
+        reactCodeMapper.addDiagnostic(
+          DIAGNOSTICS.UNSUPPORTED_EVENT,
+          "Dropped " +
+            name +
+            " of <" +
+            el.name +
+            ">, as its attributes are set without running handlers",
+          name
+        );
+      }
+      $(el).removeAttr(name);
+    }
+  }
+  reactCodeMapper.setPosition(undefined);
+  if (options.layout) {
+    jsxGenerator.slot = next ? "{children}" : "<Outlet />";
+    if ($("slot").length == 0) {
+      reactCodeMapper.addDiagnostic(
+        DIAGNOSTICS.MISSING_SLOT,
+        "Layout has no <slot> element, pages using it won't be rendered"
+      );
+    }
+  }
+
+  let css = undefined;
+  if (moduleStyles.length > 0) {
+    css = moduleStyles
+      .map((el) => {
+        const content = $(el).html();
+        const location = el.sourceCodeLocation;
+        reactCodeMapper.checkCssAssets(
+          content,
+          filepath_from_src,
+          location ? location.startTag.endLine : undefined
+        );
+        return content;
+      })
+      .join("\n");
+    // Classes used by scripts keep their names, as scripts can't know the
+    // names generated by the CSS Module
+    const handlers = $("*")
+      .toArray()
+      .flatMap((el) =>
+        Object.entries(el.attribs)
+          .filter(([name]) => /^on/i.test(name))
+          .map(([, value]) => value)
+      );
+    const scriptCode = scriptContents.concat(handlers).join("\n");
+    const classNames = findClassNames(css);
+    const globalClassNames = classNames.filter((name) =>
+      new RegExp("(^|[^\\w-])" + name + "($|[^\\w-])").test(scriptCode)
+    );
+    css = globalizeClassNames(css, globalClassNames);
+    jsxGenerator.module_classes = classNames.filter(
+      (name) => !globalClassNames.includes(name)
+    );
+    jsxGenerator.scope.push("styles");
+    for (const selector of findUnscopedSelectors(css)) {
+      reactCodeMapper.addDiagnostic(
+        DIAGNOSTICS.UNSCOPED_SELECTOR,
+        'Selector "' +
+          selector +
+          "\" has no class, the CSS Module doesn't scope it to the page"
+      );
+    }
+    // Elements keep their ids, which CSS Modules would rename
+    css = globalizeIds(css);
+  }
+
+  // Item of a data collection matching the route parameters, set through
+  // data-source="post in posts" on body or html
+  const source_el = ["body", "html"]
+    .map((name) => $(name).get(0))
+    .find((el) => el && el.attribs["data-source"] != undefined);
+  const source_attr = source_el ? source_el.attribs["data-source"] : undefined;
+  jsxGenerator.scope.push(...params);
+  let source = undefined;
+  if (source_attr != undefined) {
+    reactCodeMapper.setPosition(source_el.sourceCodeLocation);
+    const each = parseEachExpression(source_attr);
+    if (params.length == 0) {
+      reactCodeMapper.addDiagnostic(
+        DIAGNOSTICS.IGNORED_DATA_SOURCE,
+        "Ignored data-source as the page has no route parameters, like [slug].html",
+        "data-source"
+      );
+    } else if (each == undefined) {
+      reactCodeMapper.addDiagnostic(
+        DIAGNOSTICS.INVALID_DATA_ATTRIBUTE,
+        'Ignored data-source="' +
+          source_attr +
+          '", expected "item in collection"',
+        "data-source"
+      );
+    } else {
+      const collection = reactCodeMapper.getDataExpression(
+        each.collection,
+        params,
+        filepath_from_src
+      );
+      if (collection != undefined) {
+        source = { item: each.item, collection: collection };
+        jsxGenerator.scope.push(each.item);
+      }
+    }
+  }
+
+  $("html, body").removeAttr("data-source");
+
+  // html and body attributes, like lang, are set through Helmet, or by the
+  // root layout with Next.js. With locales, Locale sets the lang of the
+  // document, which the innermost Helmet of the page would override.
+  if (options.i18n) {
+    $("html").removeAttr("lang");
+  }
+  const rootAttrs = ["html", "body"]
+    .map((name) => $(name).get(0))
+    .filter((el) => el && Object.keys(el.attribs).length > 0)
+    .map((el) => ({ type: "tag", name: el.name, attribs: el.attribs }));
+  let metadata = undefined;
+  let root_attributes = undefined;
+  if (next && !options.fragment) {
+    metadata = extractMetadata(
+      $,
+      jsxGenerator,
+      params,
+      source,
+      options.route_dir_from_src || filepath_from_src,
+      options.typescript
+    );
+    if (options.root_attributes) {
+      // Attributes of the element without children, like <html lang="en" />
+      root_attributes = {};
+      for (const el of rootAttrs) {
+        root_attributes[el.name] = jsxGenerator
+          .generate([el])
+          .join("\n")
+          .replace(/^<\w+/, "")
+          .replace(/ \/>$/, "");
+      }
+    } else {
+      for (const el of rootAttrs) {
+        reactCodeMapper.setPosition($(el.name).get(0).sourceCodeLocation);
+        reactCodeMapper.addDiagnostic(
+          DIAGNOSTICS.UNSUPPORTED_HEAD,
+          "Dropped the attributes of <" +
+            el.name +
+            ">, the next target only sets those of index.html and the root layout"
+        );
+      }
+      reactCodeMapper.setPosition(undefined);
+    }
+  }
+  const headNodes = options.fragment
+    ? styles
+    : next
+    ? $("head").children().toArray()
+    : rootAttrs.concat($("head").contents().toArray());
+  const bodyNodes = options.fragment
+    ? $.root().contents().toArray()
+    : $("body").contents().toArray();
+  // Without Helmet, the styles left in the head are rendered with the body
+  const headLines = jsxGenerator.generate(headNodes, next ? 3 : 4);
+  const bodyLines = jsxGenerator.generate(bodyNodes, 3);
+
+  const imports = [];
+  const contentLines = [];
+  if (scriptEntries.length > 0) {
+    imports.push('import React, { useEffect } from "react";');
+  } else {
+    imports.push('import React from "react";');
+  }
+  if (headLines.length > 0 && next) {
+    contentLines.push(...headLines);
+  } else if (headLines.length > 0) {
+    imports.push('import { Helmet } from "react-helmet";');
+    contentLines.push("      <Helmet>", ...headLines, "      </Helmet>");
+  }
+  if (params.length > 0) {
+    imports.push(
+      next
+        ? 'import { useParams } from "next/navigation";'
+        : 'import { useParams } from "react-router-dom";'
+    );
+  }
+  if (options.layout && !next) {
+    addImportStatement(imports, 'import { Outlet } from "react-router-dom";');
+  }
+  if (css != undefined) {
+    imports.push('import styles from "./' + options.css_module + '";');
+  }
+  let scripts_code = undefined;
+  if (reactCodeMapper.module_scripts.length > 0) {
+    const names = reactCodeMapper.module_scripts.map(
+      (_, index) => "script" + (index + 1)
+    );
+    imports.push(
+      "import { " +
+        names.join(", ") +
+        ' } from "./' +
+        options.scripts_module +
+        '";'
+    );
+    // Lines of the scripts are only mapped in the component
+    scripts_code = extractMappings(
+      reactCodeMapper.module_scripts.join("\n")
+    ).code;
+  }
+  for (const statement of reactCodeMapper.add_to_import) {
+    addImportStatement(imports, statement);
+  }
+  contentLines.push(...bodyLines);
+
+  let routeParams = "";
+  let notFound = "";
+  if (reactCodeMapper.uses_locale) {
+    routeParams += "  const { t } = useLocale();\n";
+  }
+  if (params.length > 0) {
+    routeParams += "  const { " + params.join(", ") + " } = useParams();\n";
+  }
+  if (source != undefined) {
+    routeParams += getSourceLookup(source.item, source.collection, params);
+    notFound =
+      "  if (" + source.item + " === undefined) {\n    return null;\n  }\n\n";
+  }
+  if (routeParams) {
+    routeParams += "\n";
+  }
+
+  let useEffect = "";
+  if (scriptEntries.length > 0) {
+    useEffect =
+      "  useEffect(\n    () =>\n      runScripts([\n" +
+      scriptEntries.join(",\n") +
+      "\n      ]),\n    []\n  );\n\n";
+  }
+
+  // Functions and variables of the page are untyped on window
+  let declarations = "";
+  if (options.typescript && reactCodeMapper.window_names.length > 0) {
+    declarations =
+      "\n\ndeclare global {\n  interface Window {\n" +
+      reactCodeMapper.window_names
+        .map((name) => "    " + name + ": any;\n")
+        .join("") +
+      "  }\n}";
+  }
+
+  // Components are rendered on the client by the App Router of Next.js, as
+  // they use hooks and run scripts
+  let code =
+    (next ? '"use client";\n\n' : "") +
+    imports.join("\n") +
+    declarations +
+    "\n\nfunction " +
+    component_name +
+    (options.layout && next
+      ? options.typescript
+        ? "({ children }: { children: React.ReactNode })"
+        : "({ children })"
+      : "()") +
+    " {\n" +
+    routeParams +
+    useEffect +
+    notFound +
+    "  return (\n    <>\n" +
+    contentLines.join("\n") +
+    "\n    </>\n  );\n}\n\nexport default " +
+    component_name +
+    ";\n";
+
+  let extracted = undefined;
+  if (options.source_map != undefined) {
+    extracted = extractMappings(code);
+    code = extracted.code;
+  }
+  code = runHook(plugins, "afterGenerate", code, context);
+  if (options.format != undefined) {
+    code = options.format(code);
+  }
+  let map = undefined;
+  if (extracted != undefined) {
+    // The mapped code is found again once plugins and formatting moved it
+    map = generateSourceMap(
+      code == extracted.code
+        ? extracted.mappings
+        : remapMappings(extracted.code, extracted.mappings, code),
+      options.source_map,
+      source_content
+    );
+  }
+  // Columns are those of the HTML the Markdown was converted to, only the
+  // lines match the Markdown
+  if (options.markdown) {
+    for (const diagnostic of reactCodeMapper.diagnostics) {
+      diagnostic.column = undefined;
+    }
+  }
+
+  return {
+    code: code,
+    map: map,
+    imports: imports,
+    includes: reactCodeMapper.includes,
+    public_scripts: reactCodeMapper.public_scripts,
+    source: source,
+    metadata: metadata,
+    root_attributes: root_attributes,
+    css: css,
+    scripts: scripts_code,
+    front_matter: front_matter,
+    layout: layout,
+    translations: reactCodeMapper.translations,
+    files: files,
+    diagnostics: reactCodeMapper.diagnostics,
+  };
+}
+
+/**
+ * Checks if a script element is run by the browser rather than holding
+ * data, from its type.
+ * @param {object} attrs Attributes of the script tag.
+ * @returns {boolean} True for classic and module scripts.
+ */
+function isExecutableScript(attrs) {
+  const type = String(attrs["type"] || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  return type == "" || type == "module" || JS_MIME_TYPES.includes(type);
+}
+
+/**
+ * Checks if a script element is a module script.
+ * @param {object} attrs Attributes of the script tag.
+ * @returns {boolean} True if the script has type="module".
+ */
+function isModuleScript(attrs) {
+  return (
+    String(attrs["type"] || "")
+      .trim()
+      .toLowerCase() == "module"
+  );
+}
+
+/**
+ * Generates a valid name for a React component from a filename, like
+ * AboutUs for about-us.
+ * @param {string} filename Filename without extension.
+ * @returns {string} Valid JS identifier starting with an uppercase letter.
+ */
+function getComponentName(filename) {
+  let name = filename
+    .split(/[^a-zA-Z0-9]+/)
+    .filter((part) => part)
+    .map((part) => part.charAt(0).toUpperCase() + part.substring(1))
+    .join("");
+  if (!name.match(/^[A-Z]/)) {
+    name = "Page" + name;
+  }
+  return name;
+}
+
+/**
+ * Tells if a directory from src is in the partials directory.
+ * @param {string} dir_from_src Path to the directory from src directory.
+ * @returns {boolean} True for the partials directory and the ones below.
+ */
+function isPartialDir(dir_from_src) {
+  return (
+    path.normalize(dir_from_src).split(path.sep)[0] == CONSTANTS.PARTIALS_DIR
+  );
+}
+
+/**
+ * Generates the name of the React component a partial is compiled to, from
+ * its path with the partials directory left out, e.g. partials/blog/card.html
+ * becomes BlogCard.
+ * @param {string} path_from_src Path to the partial from src directory.
+ * @returns {string} Name of the React component.
+ */
+function getPartialComponentName(path_from_src) {
+  let components = path.normalize(path_from_src).split(path.sep);
+  if (components.length > 1 && components[0] == CONSTANTS.PARTIALS_DIR) {
+    components = components.slice(1);
+  }
+  const last = components.length - 1;
+  components[last] = components[last].replace(/\.html$/, "");
+  return getComponentName(components.join("-"));
+}
+
+/**
+ * Finds the route parameters of a page from the [name] segments of its
+ * path, e.g. category and slug for blog/[category]/[slug].
+ * @param {string} route_key Path of the page from src, without extension, using / as separator.
+ * @returns {string[]} Names of the route parameters.
+ */
+function getRouteParams(route_key) {
+  return route_key
+    .split("/")
+    .map((segment) => segment.match(ROUTE_PARAM_REGEX))
+    .filter((match) => match != null)
+    .map((match) => match[1]);
+}
+
+/**
+ * Generates the path a page is routed at, with [name] segments turned into
+ * React Router parameters, e.g. blog/:slug for blog/[slug].
+ * @param {string} route_key Path of the page from src, without extension, using / as separator.
+ * @returns {string} Path of the route, without the leading slash.
+ */
+function getRoutePath(route_key) {
+  return route_key
+    .split("/")
+    .map((segment) => segment.replace(ROUTE_PARAM_REGEX, ":$1"))
+    .join("/");
+}
+
+/**
+ * Finds the layout a Markdown page picks in its front-matter, as the
+ * directory from src whose layout, along with the layouts of the
+ * directories above it, wraps the page instead of those of its own
+ * directory, e.g. docs for src/docs/_layout.html, or none.
+ * @param {string} value Value of layout in the front-matter.
+ * @param {function} exists Tells if a file exists at the given path from src directory.
+ * @returns {string} Directory of the layout from src, "" for the root
+ *    layout, null for none and undefined if there's no such layout.
+ */
+function getFrontMatterLayout(value, exists) {
+  if (value == "none") {
+    return null;
+  }
+  const dir = path.posix
+    .normalize(value.replace(/^\/+/, "") || ".")
+    .replace(/\/$/, "")
+    .replace(/^\.$/, "");
+  if (
+    dir == ".." ||
+    dir.startsWith("../") ||
+    !exists(path.posix.join(dir, CONSTANTS.LAYOUT_FILE_NAME))
+  ) {
+    return undefined;
+  }
+  return dir;
+}
+
+/**
+ * Generates the name of the React component a layout is compiled to, from
+ * the directory it wraps, e.g. the layout in blog/news becomes
+ * BlogNewsLayout and the one in src itself RootLayout.
+ * @param {string} dir_from_src Directory of the layout from src, using / as separator.
+ * @returns {string} Name of the React component.
+ */
+function getLayoutComponentName(dir_from_src) {
+  const name = dir_from_src ? getComponentName(dir_from_src) : "Root";
+  return name + "Layout";
+}
+
+module.exports = {
+  Transpiler,
+  ReactCodeMapper,
+  transpileString,
+  getScriptsModulePath,
+};
@@ -0,0 +1,107 @@
+const { Worker } = require("worker_threads");
+
+class WorkerPool {
+  /**
+   * Pool of worker threads running the same script, each running one task
+   * at a time. Tasks are sent to the workers as messages and the message a
+   * worker posts back is the result of its task.
+   * @property {Worker[]} workers Workers of the pool still running.
+   * @property {Worker[]} idle Workers waiting for a task.
+   * @property {object[]} queue Tasks waiting for a worker, as {task, resolve, reject}.
+   * @property {Map} running Task each busy worker is running.
+   */
+
+  /**
+   * @param {number} size Number of worker threads to start.
+   * @param {string} filename Path to the script run by the workers.
+   * @param {object} worker_data Data passed to every worker as workerData.
+   */
+  constructor(size, filename, worker_data = undefined) {
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.running = new Map();
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(filename, { workerData: worker_data });
+      worker.on("message", (message) => this.__onMessage(worker, message));
+      worker.on("error", (err) => this.__onError(worker, err));
+      this.workers.push(worker);
+      this.idle.push(worker);
+    }
+  }
+
+  /**
+   * Runs a task on the first worker available.
+   * @param {object} task Message sent to the worker.
+   * @returns {Promise} Resolves to the message posted back by the worker,
+   *    rejects if the worker crashes or if there are no workers left.
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task: task, resolve: resolve, reject: reject });
+      this.__dispatch();
+    });
+  }
+
+  /**
+   * Stops every worker of the pool.
+   * @returns {Promise} Resolves once all the workers are stopped.
+   */
+  close() {
+    const workers = this.workers;
+    this.workers = [];
+    this.idle = [];
+    return Promise.all(workers.map((worker) => worker.terminate()));
+  }
+
+  /**
+   * Sends the tasks waiting in the queue to the idle workers.
+   */
+  __dispatch() {
+    if (this.workers.length == 0) {
+      for (const job of this.queue.splice(0)) {
+        job.reject(new Error("No worker left to run the task"));
+      }
+      return;
+    }
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.shift();
+      const job = this.queue.shift();
+      this.running.set(worker, job);
+      worker.postMessage(job.task);
+    }
+  }
+
+  /**
+   * Resolves the task of a worker with the message it posted.
+   * @param {Worker} worker Worker which posted the message.
+   * @param {object} message Result of the task.
+   */
+  __onMessage(worker, message) {
+    const job = this.running.get(worker);
+    this.running.delete(worker);
+    this.idle.push(worker);
+    if (job != undefined) {
+      job.resolve(message);
+    }
+    this.__dispatch();
+  }
+
+  /**
+   * Rejects the task of a crashed worker and removes it from the pool.
+   * @param {Worker} worker Worker which crashed.
+   * @param {Error} err Error the worker crashed with.
+   */
+  __onError(worker, err) {
+    const job = this.running.get(worker);
+    this.running.delete(worker);
+    this.workers = this.workers.filter((w) => w != worker);
+    this.idle = this.idle.filter((w) => w != worker);
+    if (job != undefined) {
+      job.reject(err);
+    }
+    this.__dispatch();
+  }
+}
+
+module.exports = WorkerPool;
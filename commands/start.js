@@ -1,10 +1,12 @@
 const CONSTANTS = require("./requirements/Constants");
 const Config = require("./requirements/Config");
-const { Worker } = require("worker_threads");
+const NodeWrapper = require("./requirements/NodeWrapper");
+const ReactoniteWatcher = require("./requirements/ReactoniteWatcher");
+const { Transpiler } = require("./requirements/Transpiler");
 
-function start() {
+async function start() {
   /*Command to start realtime development transpiler for Reactonite. It
-    starts react development server in a seperate thread as well and watches
+    starts react development server in a seperate process as well and watches
     for changes in project directory and transpiles codebase.
 
     Raises
@@ -12,34 +14,42 @@ function start() {
     FileNotFoundError
         If config.json file doesn't exist
     RuntimeError
-        If ReactJs development thread is not able to start
+        If ReactJs development server is not able to start
     */
-
-  config_file = CONSTANTS.CONFIG_FILE_NAME;
-  config_settings = Config(config_file, (load = true));
-  dest_dir = config_settings.get("dest_dir");
-
-  // Initial transpile
-  // transpiler = Transpiler(
-  //   config_settings.get_config(),
-  //   (props_map = CONSTANTS.PROPS_MAP),
-  //   (verbose = True)
-  // );
-  // transpiler.transpile_project();
-
-  npm = NodeWrapper();
-  watcher = ReactoniteWatcher(config_settings.get_config());
-
   try {
-    const thread = new Worker(npm.start, {
-      workerData: { path: path.join(".", dest_dir) },
+    const config_file = CONSTANTS.CONFIG_FILE_NAME;
+    const config_settings = new Config(config_file, true);
+    const dest_dir = config_settings.get("dest_dir");
+
+    // Initial transpile
+    const transpiler = new Transpiler(
+      config_settings.get_config(),
+      CONSTANTS.PROPS_MAP,
+      true
+    );
+    await transpiler.transpile_project();
+
+    const npm = new NodeWrapper();
+    const watcher = new ReactoniteWatcher(config_settings.get_config());
+    const server = npm.start(dest_dir);
+    server.on("error", (err) => {
+      console.error(
+        "Unable to start ReactJs development server: " + (err.message || err)
+      );
+      watcher.stop();
+      process.exitCode = 1;
+    });
+    server.on("exit", (code) => {
+      watcher.stop();
+      process.exitCode = code || 0;
     });
-  } catch {
-    throw new Error("Unable to start ReactJs development thread");
-  }
 
-  // Starting Watcher
-  watcher.start();
+    // Starting Watcher
+    watcher.start();
+  } catch (err) {
+    console.error(String(err.message || err));
+    process.exitCode = 1;
+  }
 }
 
 module.exports = start;
@@ -1,7 +1,8 @@
 const CONSTANTS = require("./requirements/Constants");
 const Config = require("./requirements/Config");
+const { Transpiler } = require("./requirements/Transpiler");
 
-function transpile_project(verbose) {
+async function transpile_project(options) {
   /*Command for transpiling a Reactonite project built using
     create-project commandline.
 
@@ -9,20 +10,64 @@ function transpile_project(verbose) {
     ----------
     verbose : bool, optional
         Verbosity of the command
+    format : str, optional
+        Format of the diagnostics, "text" to print them as they're found or
+        "json" to print them all at the end as JSON, for CI
+    force : bool, optional
+        Transpile every file, ignoring the cache of the files unchanged
+        since the last transpilation
 
     Raises
     ------
     FileNotFoundError
         If config.json file doesn't exist.
 */
-  config_file = CONSTANTS.CONFIG_FILE_NAME;
-  config_settings = new Config(config_file, (load = True));
+  const format = options.format || "text";
+  if (!["text", "json"].includes(format)) {
+    console.error("Unknown format " + format + ', expected "text" or "json"');
+    process.exitCode = 1;
+    return;
+  }
 
-  // transpiler = Transpiler(
-  //     config_settings.get_config(),
-  //     props_map=CONSTANTS.PROPS_MAP,
-  //     verbose=verbose
-  // )
-  // transpiler.transpile_project()
+  // Errors of the config or of the plugins are raised by the constructor and
+  // reported like the ones of the transpilation
+  let transpiler = undefined;
+  let failure = undefined;
+  try {
+    const config_settings = new Config(CONSTANTS.CONFIG_FILE_NAME, true);
+    // Logs would mix with the JSON printed to stdout
+    transpiler = new Transpiler(
+      config_settings.get_config(),
+      CONSTANTS.PROPS_MAP,
+      format == "text" && Boolean(options.verbose)
+    );
+    transpiler.print_diagnostics = format == "text";
+    await transpiler.transpile_project(true, Boolean(options.force));
+  } catch (err) {
+    failure = err;
+  }
+
+  if (format == "json") {
+    const diagnostics = transpiler ? transpiler.diagnostics : [];
+    const count = (severity) =>
+      diagnostics.filter((d) => d.severity == severity).length;
+    console.log(
+      JSON.stringify(
+        {
+          errors: count("error"),
+          warnings: count("warning"),
+          diagnostics: diagnostics,
+          failure: failure ? String(failure.message || failure) : undefined,
+        },
+        null,
+        2
+      )
+    );
+  } else if (failure) {
+    console.error(String(failure.message || failure));
+  }
+  if (failure) {
+    process.exitCode = 1;
+  }
 }
 module.exports = transpile_project;
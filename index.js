@@ -0,0 +1,5 @@
+const { transpileString } = require("./commands/requirements/Transpiler");
+
+module.exports = {
+  transpileString,
+};
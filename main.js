@@ -1,5 +1,5 @@
 #! /usr/bin/env node
-const { program } = require("commander");
+const { program, Option } = require("commander");
 const create_project = require("./commands/create-project");
 const transpile_project = require("./commands/transpile-project");
 const build_project = require("./commands/build");
@@ -16,25 +16,41 @@ program
 program
   .command("transpile-project")
   .description(
-    "Command for transpiling a Reactonite project built using \ncreate-project commandline.\n\nParameters\n----------\nverbose : bool, optional\n   Verbosity of the command\n\nRaises\n------\nFileNotFoundError\n   If config.json file doesn't exist."
+    "Command for transpiling a Reactonite project built using \ncreate-project commandline.\n\nParameters\n----------\nverbose : bool, optional\n   Verbosity of the command\nformat : str, optional\n   Format of the diagnostics, text or json\nforce : bool, optional\n   Transpile every file, ignoring the cache\n\nRaises\n------\nFileNotFoundError\n   If config.json file doesn't exist."
   )
   .option(
     "-v, --verbose",
     "Specifies the verbosity of the command. If not specified, it will be marked as false."
   )
+  .addOption(
+    new Option(
+      "-f, --format <format>",
+      'Format of the errors and warnings found, "text" or "json" to print them as JSON for CI.'
+    )
+      .choices(["text", "json"])
+      .default("text")
+  )
+  .option(
+    "--force",
+    "Transpiles every file, even the ones unchanged since the last transpilation."
+  )
   .action(transpile_project);
 
 program
   .command("build")
   .description(
-    "Command to get a static build of your app after transpilation.\n\nRaises\n------\nFileNotFoundError\n    If config.json file doesn't exist."
+    "Command to get a static build of your app after transpilation.\n\nEvery route is prerendered to its own HTML file in the build.\n\nParameters\n----------\nverbose : bool, optional\n   Verbosity of the command\n\nRaises\n------\nFileNotFoundError\n    If config.json file doesn't exist."
+  )
+  .option(
+    "-v, --verbose",
+    "Specifies the verbosity of the command. If not specified, it will be marked as false."
   )
   .action(build_project);
 
 program
   .command("start")
   .description(
-    "Command to start realtime development transpiler for Reactonite. It \nstarts react development server in a seperate thread as well and watches \nfor changes in project directory and transpiles codebase.\n\nRaises\n------\nFileNotFoundError\n    If config.json file doesn't exist\nRuntimeError\n   If ReactJs development thread is not able to start"
+    "Command to start realtime development transpiler for Reactonite. It \nstarts react development server in a seperate process as well and watches \nfor changes in project directory and transpiles codebase.\n\nRaises\n------\nFileNotFoundError\n    If config.json file doesn't exist\nRuntimeError\n   If ReactJs development server is not able to start"
   )
   .action(start_project);
 
@@ -45,4 +61,7 @@ program
   )
   .action(gui);
 
-program.parse();
+program.parseAsync().catch((err) => {
+  console.error(String(err.message || err));
+  process.exitCode = 1;
+});
@@ -0,0 +1,11 @@
+/** @type {import("next").NextConfig} */
+module.exports = {
+  // Every route is exported to HTML in the build folder, like about/index.html
+  output: "export",
+  distDir: "build",
+  trailingSlash: true,
+  env: {
+    // Classic scripts of the pages are served from the public folder
+    PUBLIC_URL: "",
+  },
+};
@@ -0,0 +1,8 @@
+// Replaced by the layouts of the pages when the project is transpiled
+export default function RootLayout({ children }) {
+  return (
+    <html>
+      <body>{children}</body>
+    </html>
+  );
+}
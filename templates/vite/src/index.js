@@ -0,0 +1 @@
+// Replaced by the routes of the pages when the project is transpiled
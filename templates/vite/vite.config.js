@@ -0,0 +1,26 @@
+import { defineConfig } from "vite";
+import react from "@vitejs/plugin-react";
+
+// The components transpiled by Reactonite are .js files with JSX, or .tsx
+// files with the typescript option, and the build is written to build like
+// react-scripts does
+export default defineConfig({
+  plugins: [react()],
+  esbuild: { loader: "tsx", include: /src\/.*\.(js|tsx)$/, exclude: [] },
+  optimizeDeps: { esbuildOptions: { loader: { ".js": "jsx" } } },
+  // Scripts served from public are loaded from the root of the site
+  define: { "process.env.PUBLIC_URL": JSON.stringify("") },
+  server: { port: 3000 },
+  build: {
+    outDir: "build",
+    rollupOptions: {
+      // Components import React for JSX, which the automatic runtime of the
+      // React plugin doesn't need
+      onwarn(warning, warn) {
+        if (warning.code != "UNUSED_EXTERNAL_IMPORT") {
+          warn(warning);
+        }
+      },
+    },
+  },
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  parseFrontMatter,
+  markdownToHtml,
+} = require("../commands/requirements/Markdown");
+
+test("parseFrontMatter reads plain and quoted values by line", () => {
+  const front_matter = parseFrontMatter(
+    "---\ntitle: Intro # shown in tabs\ndescription: \"Setup: first\"\n# a comment\nnote: 'it''s'\nbroken\n---\n# Intro\n"
+  );
+  assert.deepStrictEqual(front_matter.data, {
+    title: "Intro",
+    description: "Setup: first",
+    note: "it's",
+  });
+  assert.deepStrictEqual(front_matter.lines, {
+    title: 1,
+    description: 2,
+    note: 4,
+  });
+  assert.strictEqual(front_matter.length, 7);
+  assert.strictEqual(front_matter.body, "\n".repeat(7) + "# Intro\n");
+  assert.deepStrictEqual(front_matter.errors, [
+    { message: "Couldn't read broken, expected key: value", line: 5 },
+  ]);
+});
+
+test("parseFrontMatter leaves text without front-matter as it is", () => {
+  assert.deepStrictEqual(parseFrontMatter("# Intro\n---\n"), {
+    data: {},
+    lines: {},
+    length: 0,
+    body: "# Intro\n---\n",
+    errors: [],
+  });
+});
+
+test("markdownToHtml keeps every block on the line of its Markdown", () => {
+  const { html } = markdownToHtml(
+    "---\ntitle: A & B\n---\n# Title\n\nSome *text*.\n\n```js\nconst a = 1;\n```\n"
+  );
+  const lines = html.split("\n");
+  assert.strictEqual(lines[1], "<title>A &amp; B</title>");
+  assert.strictEqual(lines[3], "<h1>Title</h1>");
+  assert.strictEqual(lines[5], "<p>Some <em>text</em>.</p>");
+  assert.strictEqual(lines[7], '<pre><code class="language-js">const a = 1;');
+});
@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getStaticParams } = require("../commands/requirements/NextTarget");
+const { transpileString } = require("../commands/requirements/Transpiler");
+
+test("getStaticParams decodes the parameters of every path", () => {
+  assert.deepStrictEqual(
+    getStaticParams("blog/:category/:slug", [
+      "/blog/news/hello",
+      "/blog/news/second%20post",
+    ]),
+    [
+      { category: "news", slug: "hello" },
+      { category: "news", slug: "second post" },
+    ]
+  );
+});
+
+test("the head becomes the metadata of the route", () => {
+  const result = transpileString(
+    '<html><head><title>About</title><meta name="description" content="Team"><meta property="og:title" content="About us"><base href="/"></head><body><p>x</p></body></html>',
+    { target: "next" }
+  );
+  assert.strictEqual(
+    result.metadata.code,
+    'export const metadata = {\ntitle: "About",\ndescription: "Team",\nopenGraph: {\ntitle: "About us"\n}\n};\n'
+  );
+  assert.deepStrictEqual(
+    result.diagnostics.map((diagnostic) => diagnostic.code),
+    ["RT901"]
+  );
+});
@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const NodeWrapper = require("../commands/requirements/NodeWrapper");
+
+test("create_template_app copies the bundled template and installs it offline", (t) => {
+  const commands = [];
+  t.mock.method(NodeWrapper.prototype, "run", (cmd, cwd = ".") =>
+    commands.push([cmd, cwd])
+  );
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reactonite-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const dest_dir = path.join(dir, "dist");
+
+  const npm = new NodeWrapper();
+  commands.length = 0;
+  npm.create_template_app("vite", "my-site", dest_dir);
+
+  for (const file of ["index.html", "vite.config.js", "src/index.js"]) {
+    assert.ok(fs.existsSync(path.join(dest_dir, file)), file);
+  }
+  const package_json = JSON.parse(
+    fs.readFileSync(path.join(dest_dir, "package.json"), "utf8")
+  );
+  assert.strictEqual(package_json.name, "my-site");
+  assert.strictEqual(package_json.scripts.build, "vite build");
+  assert.deepStrictEqual(commands, [
+    [npm.npm + " install --prefer-offline", dest_dir],
+  ]);
+});
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadPlugins,
+  runHook,
+  checkEmittedFile,
+} = require("../commands/requirements/Plugins");
+
+/**
+ * Writes plugin modules in a directory removed once the tests of the file
+ * are done.
+ * @param {object} files Content of the modules by path.
+ * @returns {string} Path to the directory.
+ */
+function createPlugins(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reactonite-"));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+test("loadPlugins creates plugins from their options in order", () => {
+  const dir = createPlugins({
+    "tone.js":
+      "module.exports = (options) => ({ tags: { 'acme-card': () => options.tone } });",
+    "plain.js": "module.exports = { afterGenerate: (code) => code };",
+  });
+  const plugins = loadPlugins(
+    [["./tone.js", { tone: "dark" }], "./plain.js"],
+    dir
+  );
+  assert.deepStrictEqual(
+    plugins.map((plugin) => [plugin.name, plugin.filename]),
+    [
+      ["./tone.js", path.join(dir, "tone.js")],
+      ["./plain.js", path.join(dir, "plain.js")],
+    ]
+  );
+  assert.strictEqual(plugins[0].tags["acme-card"](), "dark");
+});
+
+test("loadPlugins rejects plugins which aren't valid", () => {
+  const dir = createPlugins({
+    "hook.js": "module.exports = { beforeParse: 'html' };",
+    "tag.js": "module.exports = { tags: { 'acme-card': {} } };",
+    "none.js": "module.exports = () => null;",
+  });
+  assert.throws(() => loadPlugins("./hook.js", dir), /expected an array/);
+  assert.throws(
+    () => loadPlugins(["./missing.js"], dir),
+    /Plugin \.\/missing\.js not found from /
+  );
+  assert.throws(
+    () => loadPlugins(["./hook.js"], dir),
+    /has a beforeParse which isn't a function/
+  );
+  assert.throws(
+    () => loadPlugins(["./tag.js"], dir),
+    /has a handler for acme-card which isn't a function/
+  );
+  assert.throws(
+    () => loadPlugins(["./none.js"], dir),
+    /doesn't export an object/
+  );
+});
+
+test("runHook passes the value along the plugins implementing the hook", () => {
+  const plugins = [
+    { name: "a", afterGenerate: (code) => code + "a" },
+    { name: "b" },
+    { name: "c", afterGenerate: () => undefined },
+    { name: "d", afterGenerate: (code, context) => code + context.suffix },
+  ];
+  assert.strictEqual(
+    runHook(plugins, "afterGenerate", "", { suffix: "d" }),
+    "ad"
+  );
+  assert.throws(
+    () =>
+      runHook(
+        [
+          {
+            name: "broken",
+            beforeParse: () => {
+              throw new Error("oops");
+            },
+          },
+        ],
+        "beforeParse",
+        ""
+      ),
+    /^Error: Plugin broken failed in beforeParse: oops$/
+  );
+});
+
+test("checkEmittedFile keeps files inside the React codebase", () => {
+  assert.strictEqual(checkEmittedFile("public/./acme.txt"), "public/acme.txt");
+  assert.throws(() => checkEmittedFile("../acme.txt"), /inside the React/);
+  assert.throws(() => checkEmittedFile("/acme.txt"), /inside the React/);
+});
@@ -0,0 +1,163 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Prerenderer = require("../commands/requirements/Prerenderer");
+
+// Stand-ins for the packages of a create-react-app codebase, rendering
+// elements to HTML with their head set through Helmet
+const PACKAGES = {
+  "react/index.js": `
+exports.createElement = (type, props, ...children) =>
+  ({ type: type, props: Object.assign({}, props, { children: children }) });
+`,
+  "react-dom/server.js": `
+const render = (element) =>
+  Array.isArray(element)
+    ? element.map(render).join("")
+    : typeof element != "object" || element == null
+    ? String(element == null ? "" : element)
+    : typeof element.type == "function"
+    ? render(element.type(element.props))
+    : "<" + element.type + ">" + render(element.props.children) + "</" + element.type + ">";
+exports.renderToString = render;
+`,
+  "react-router-dom/server.js": `
+exports.StaticRouter = (props) => {
+  exports.location = props.location;
+  return props.children;
+};
+`,
+  "react-helmet/index.js": `
+exports.head = {};
+exports.Helmet = {
+  renderStatic() {
+    const head = exports.head;
+    exports.head = {};
+    const tag = (value) => ({ toString: () => value || "" });
+    return {
+      title: tag(head.title && "<title>" + head.title + "</title>"),
+      meta: tag(head.description && '<meta name="description" content="' + head.description + '">'),
+      link: tag(), style: tag(), script: tag(), noscript: tag(), base: tag(),
+      htmlAttributes: tag(head.lang && 'lang="' + head.lang + '"'),
+      bodyAttributes: tag(),
+    };
+  },
+};
+`,
+  "@babel/core/index.js": `
+exports.transformSync = (code) => ({ code: code });
+`,
+  "babel-preset-react-app/index.js": "module.exports = {};\n",
+  "react-dev-utils/getCSSModuleLocalIdent.js":
+    "module.exports = (context, format, name) => name + '_scoped';\n",
+};
+
+// Routes module of the codebase, rendering a page by path with its head
+const ROUTES_MODULE = `
+const React = require("react");
+const router = require("react-router-dom/server");
+const helmet = require("react-helmet");
+const styles = require("./about.module.css");
+const preloaded = [];
+exports.preloaded = preloaded;
+exports.preloadRoute = (pathname) => {
+  preloaded.push(pathname);
+  return Promise.resolve();
+};
+exports.default = function AppRoutes() {
+  const pathname = router.location;
+  if (pathname == "/about") {
+    helmet.head = { title: "About", description: "Who we are", lang: "de" };
+    return React.createElement("p", null, "About " + styles.team);
+  }
+  if (pathname == "/404") {
+    return React.createElement("p", null, "Not found");
+  }
+  return React.createElement("h1", null, "Home");
+};
+`;
+
+const TEMPLATE =
+  '<!DOCTYPE html><html lang="en"><head>\n  <title>React App</title>\n</head><body><div id="root"></div></body></html>';
+
+/**
+ * Creates a built create-react-app codebase using the packages above, in a
+ * directory removed once the tests of the file are done.
+ * @returns {string} Path to the directory of the codebase and its build.
+ */
+function createCodebase() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reactonite-"));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const files = {
+    "dist/src/appRoutes.js": ROUTES_MODULE,
+    "dist/src/about.module.css": ".team { color: red; }",
+    "build/index.html": TEMPLATE,
+  };
+  for (const [file, content] of Object.entries(PACKAGES)) {
+    files[path.join("dist", "node_modules", file)] = content;
+  }
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+test("every path is rendered to its own file with its head", async () => {
+  const dir = createCodebase();
+  const build_dir = path.join(dir, "build");
+  const prerenderer = new Prerenderer(
+    path.join(dir, "dist"),
+    build_dir,
+    false,
+    "cra"
+  );
+  const written = await prerenderer.prerender(["/", "/about", "/404"]);
+  assert.deepStrictEqual(written, [
+    path.join(build_dir, "index.html"),
+    path.join(build_dir, "about", "index.html"),
+    path.join(build_dir, "404.html"),
+  ]);
+  assert.strictEqual(
+    fs.readFileSync(written[0], "utf8"),
+    '<!DOCTYPE html><html lang="en"><head>\n  <title>React App</title>\n</head><body><div id="root"><h1>Home</h1></div></body></html>'
+  );
+  assert.strictEqual(
+    fs.readFileSync(written[1], "utf8"),
+    '<!DOCTYPE html><html lang="de"><head>\n<title>About</title><meta name="description" content="Who we are"></head><body><div id="root"><p>About team_scoped</p></div></body></html>'
+  );
+  assert.match(fs.readFileSync(written[2], "utf8"), /<p>Not found<\/p>/);
+});
+
+test("the files of the codebase are forgotten once the pages are rendered", async () => {
+  const dir = createCodebase();
+  const prerenderer = new Prerenderer(
+    path.join(dir, "dist"),
+    path.join(dir, "build"),
+    false,
+    "cra"
+  );
+  await prerenderer.prerender(["/"]);
+  const routes_file = path.join(dir, "dist", "src", "appRoutes.js");
+  assert.strictEqual(require.cache[routes_file], undefined);
+  assert.strictEqual(require.extensions[".css"], undefined);
+});
+
+test("prerendering reports the packages missing from the codebase", async () => {
+  const dir = createCodebase();
+  fs.rmSync(path.join(dir, "dist", "node_modules", "react-helmet"), {
+    recursive: true,
+  });
+  const prerenderer = new Prerenderer(
+    path.join(dir, "dist"),
+    path.join(dir, "build"),
+    false,
+    "cra"
+  );
+  await assert.rejects(
+    prerenderer.prerender(["/"]),
+    /^Error: Prerendering needs react-helmet installed in .*, run npm install there$/
+  );
+});
@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  tokenize,
+  findGlobalFunctions,
+  findGlobalVariables,
+  rewriteHandlerCode,
+} = require("../commands/requirements/ScriptParser");
+
+const significant = (code) =>
+  tokenize(code)
+    .filter((token) => token.type != "space")
+    .map((token) => [token.type, token.value]);
+
+test("tokenize tells regular expressions from divisions", () => {
+  assert.deepStrictEqual(significant('a = /x\\/y/g.test("s") // c\nb / 2'), [
+    ["identifier", "a"],
+    ["punctuation", "="],
+    ["regex", "/x\\/y/g"],
+    ["punctuation", "."],
+    ["identifier", "test"],
+    ["punctuation", "("],
+    ["string", '"s"'],
+    ["punctuation", ")"],
+    ["comment", "// c"],
+    ["identifier", "b"],
+    ["punctuation", "/"],
+    ["number", "2"],
+  ]);
+});
+
+test("tokenize keeps strings and comments whole", () => {
+  assert.deepStrictEqual(significant("'it\\'s' /* a } */ `b ${c}`"), [
+    ["string", "'it\\'s'"],
+    ["comment", "/* a } */"],
+    ["string", "`b ${c}`"],
+  ]);
+});
+
+test("findGlobalFunctions only lists top-level functions", () => {
+  assert.deepStrictEqual(
+    findGlobalFunctions(
+      "function open() { function inner() {} }\nconst close = () => {};\nvar count = 0;"
+    ),
+    ["open", "close"]
+  );
+});
+
+test("findGlobalVariables lists top-level variables which aren't functions", () => {
+  assert.deepStrictEqual(
+    findGlobalVariables(
+      "var menu = { open() { var x; } }, n = 2;\nlet count\nconst f = () => 1, LIMIT = 3;\nconst { a } = b;"
+    ),
+    [
+      { name: "menu", kind: "var" },
+      { name: "n", kind: "var" },
+      { name: "count", kind: "let" },
+      { name: "LIMIT", kind: "const" },
+    ]
+  );
+});
+
+test("rewriteHandlerCode resolves free identifiers through window", () => {
+  assert.deepStrictEqual(
+    rewriteHandlerCode("menu.toggle(this, { open: true }); alert(1)", ["menu"]),
+    {
+      code: "window.menu.toggle(event.currentTarget, { open: true }); alert(1)",
+      unresolved: [],
+      globals: ["menu"],
+    }
+  );
+});
+
+test("rewriteHandlerCode reports calls the page scripts don't declare", () => {
+  assert.deepStrictEqual(rewriteHandlerCode("track('click')").unresolved, [
+    "track",
+  ]);
+});
+
+test("rewriteHandlerCode prevents the default action on return false", () => {
+  assert.strictEqual(
+    rewriteHandlerCode("return false").code,
+    "return event.preventDefault(), false"
+  );
+  assert.strictEqual(
+    rewriteHandlerCode("return validate(this)", ["validate"]).code,
+    "if ((window.validate(event.currentTarget)) === false) event.preventDefault();"
+  );
+  assert.strictEqual(
+    rewriteHandlerCode("if (busy) return confirm('Leave?'); go()").code,
+    "if (window.busy) { if ((confirm('Leave?')) === false) event.preventDefault(); return; }; window.go()"
+  );
+});
+
+test("rewriteHandlerCode leaves returns of nested functions alone", () => {
+  assert.strictEqual(
+    rewriteHandlerCode("items.some(function () { return false })").code,
+    "window.items.some(function () { return false })"
+  );
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  sourceMarker,
+  extractMappings,
+  remapMappings,
+  generateSourceMap,
+} = require("../commands/requirements/SourceMap");
+
+test("extractMappings strips markers and records their positions", () => {
+  assert.deepStrictEqual(
+    extractMappings("  " + sourceMarker(3, 4) + "foo\nbar"),
+    { code: "  foo\nbar", mappings: [[1, 2, 3, 4]] }
+  );
+});
+
+test("generateSourceMap encodes relative segments as Base64 VLQ", () => {
+  const map = generateSourceMap(
+    [
+      [1, 0, 1, 0],
+      [1, 4, 2, 2],
+      [2, 0, 18, 5],
+      [3, 2, 1, 0],
+    ],
+    "../src/about.html",
+    "<p></p>"
+  );
+  // Line deltas of 16 and -17 need a continuation digit
+  assert.strictEqual(map.mappings, "AAAA,IACE;AAgBG;EAjBL");
+  assert.deepStrictEqual(map.sources, ["../src/about.html"]);
+  assert.deepStrictEqual(map.sourcesContent, ["<p></p>"]);
+});
+
+test("generateSourceMap leaves lines without mappings empty", () => {
+  assert.strictEqual(
+    generateSourceMap([[3, 0, 1, 0]], "a.html", "").mappings,
+    ";;AAAA"
+  );
+});
+
+test("remapMappings finds the mapped code once formatted", () => {
+  const code = "<div><p>{'Hi'}</p>\n<b>x</b></div>";
+  const formatted = '<div>\n  <p>{"Hi"}</p>\n  <b>x</b>\n</div>;';
+  assert.deepStrictEqual(
+    remapMappings(
+      code,
+      [
+        [1, 0, 1, 0],
+        [1, 5, 2, 2],
+        [1, 8, 2, 5],
+        [2, 0, 3, 0],
+      ],
+      formatted
+    ),
+    [
+      [1, 0, 1, 0],
+      [2, 2, 2, 2],
+      [2, 5, 2, 5],
+      [3, 2, 3, 0],
+    ]
+  );
+});
+
+test("remapMappings drops mappings whose code is gone", () => {
+  assert.deepStrictEqual(
+    remapMappings(
+      "a();\nb();",
+      [
+        [1, 0, 1, 0],
+        [2, 0, 2, 0],
+      ],
+      "a();\n"
+    ),
+    [[1, 0, 1, 0]]
+  );
+});
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  parseDeclarations,
+  toReactStyleName,
+  globalizeClassNames,
+  globalizeIds,
+  findUnscopedSelectors,
+} = require("../commands/requirements/StyleParser");
+
+test("parseDeclarations splits declarations outside strings and url()", () => {
+  const { declarations, invalid } = parseDeclarations(
+    'background: url("a;b.png") no-repeat; content: "x:y"; color:red ;; bad'
+  );
+  assert.deepStrictEqual(declarations, [
+    {
+      property: "background",
+      value: 'url("a;b.png") no-repeat',
+      important: false,
+    },
+    { property: "content", value: '"x:y"', important: false },
+    { property: "color", value: "red", important: false },
+  ]);
+  assert.deepStrictEqual(invalid, ["bad"]);
+});
+
+test("parseDeclarations flags !important", () => {
+  assert.deepStrictEqual(
+    parseDeclarations("margin: 0 !IMPORTANT").declarations,
+    [{ property: "margin", value: "0", important: true }]
+  );
+});
+
+test("toReactStyleName camel-cases properties and keeps custom ones", () => {
+  assert.strictEqual(toReactStyleName("margin-top"), "marginTop");
+  assert.strictEqual(toReactStyleName("--main-color"), "--main-color");
+});
+
+test("globalizeClassNames only marks the given classes", () => {
+  assert.strictEqual(
+    globalizeClassNames(".menu.open, .card { color: red }", ["open"]),
+    ".menu:global(.open), .card { color: red }"
+  );
+});
+
+test("globalizeIds marks id selectors but not colors or attribute values", () => {
+  assert.strictEqual(
+    globalizeIds(
+      '#main { color: #fff } a[href="#top"], :global(#kept) {} @media print { .card #title {} }'
+    ),
+    ':global(#main) { color: #fff } a[href="#top"], :global(#kept) {} @media print { .card :global(#title) {} }'
+  );
+});
+
+test("findUnscopedSelectors lists selectors without a class", () => {
+  assert.deepStrictEqual(
+    findUnscopedSelectors(
+      "h1, .card h2 {} #main {} @keyframes fade { from {} }"
+    ),
+    ["h1", "#main"]
+  );
+});
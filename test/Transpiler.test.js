@@ -0,0 +1,343 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CONSTANTS = require("../commands/requirements/Constants");
+const NodeWrapper = require("../commands/requirements/NodeWrapper");
+const { Transpiler } = require("../commands/requirements/Transpiler");
+
+/**
+ * Creates a project with a React codebase in dist, in a directory of its
+ * own which is removed once the tests of the file are done.
+ * @param {object} files Content of the files of the project by path.
+ * @returns {string} Path to the project.
+ */
+function createProject(files) {
+  const project_dir = fs.mkdtempSync(path.join(os.tmpdir(), "reactonite-"));
+  test.after(() => fs.rmSync(project_dir, { recursive: true, force: true }));
+  files = Object.assign(
+    { "dist/src/index.js": 'import App from "./App";\n' },
+    files
+  );
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(project_dir, file)), {
+      recursive: true,
+    });
+    fs.writeFileSync(path.join(project_dir, file), content);
+  }
+  return project_dir;
+}
+
+/**
+ * Transpiles a project created by createProject, from its directory.
+ * @param {string} project_dir Path to the project.
+ * @param {object} config Settings of config.json to add.
+ * @param {boolean} force Set to true to ignore the cache.
+ * @returns {Promise<Transpiler>} Transpiler once it's done, or rejects with its error.
+ */
+async function transpileProject(project_dir, config = {}, force = false) {
+  const cwd = process.cwd();
+  process.chdir(project_dir);
+  try {
+    const transpiler = new Transpiler(
+      Object.assign(
+        { project_name: "site", src_dir: "src", dest_dir: "dist", workers: 0 },
+        config
+      ),
+      CONSTANTS.PROPS_MAP
+    );
+    transpiler.print_diagnostics = false;
+    await transpiler.transpile_project(true, force);
+    return transpiler;
+  } finally {
+    process.chdir(cwd);
+  }
+}
+
+/**
+ * Reads a file of a project.
+ * @param {string} project_dir Path to the project.
+ * @param {string} file Path to the file from the project.
+ * @returns {string} Content of the file.
+ */
+function read(project_dir, file) {
+  return fs.readFileSync(path.join(project_dir, file), "utf8");
+}
+
+test("a change to the Prettier config of dist discards the cache", async () => {
+  const project_dir = createProject({ "src/index.html": "<p>Hi</p>" });
+  await transpileProject(project_dir);
+  assert.match(read(project_dir, "dist/src/App.js"), /^export default App;$/m);
+  fs.writeFileSync(
+    path.join(project_dir, "dist", ".prettierrc"),
+    JSON.stringify({ semi: false })
+  );
+  await transpileProject(project_dir);
+  assert.match(read(project_dir, "dist/src/App.js"), /^export default App$/m);
+});
+
+test("pages named like [slug] are routed with a parameter and list their paths", async () => {
+  const project_dir = createProject({
+    "src/index.html": "<p>Home</p>",
+    "src/blog/[slug].html":
+      '<body data-source="post in posts"><h1>{{ post.title }}</h1></body>',
+    "src/data/posts.json": JSON.stringify([
+      { slug: "hello-world", title: "Hello" },
+      { slug: "second", title: "Second" },
+    ]),
+  });
+  await transpileProject(project_dir);
+  assert.match(
+    read(project_dir, "dist/src/appRoutes.js"),
+    /<Route path="blog">\s*<Route path=":slug" element=\{<REACTONITE__BLOG__SLUG_ \/>\} \/>/
+  );
+  const page = read(project_dir, "dist/src/blog/[slug].js");
+  assert.match(page, /^import posts from "\.\.\/data\/posts\.json";$/m);
+  assert.match(page, /const \{ slug \} = useParams\(\);/);
+  assert.match(
+    page,
+    /const post = posts\.find\(\(item\) => String\(item\.slug\) === slug\);/
+  );
+  assert.match(page, /<h1>\{post\.title\}<\/h1>/);
+  assert.deepStrictEqual(
+    JSON.parse(read(project_dir, "dist/static-paths.json")),
+    { "/blog/:slug": ["/blog/hello-world", "/blog/second"] }
+  );
+});
+
+test("routes nest following directories, with 404 pages and lazy pages", async () => {
+  const project_dir = createProject({
+    "src/index.html": "<p>Home</p>",
+    "src/404.html": "<p>Not found</p>",
+    "src/blog/index.html": "<p>Blog</p>",
+    "src/blog/post.html": "<p>Post</p>",
+    "src/blog/404.html": "<p>No such post</p>",
+  });
+  await transpileProject(project_dir);
+  const routes = read(project_dir, "dist/src/appRoutes.js");
+  assert.match(routes, /^import App from "\.\/App";$/m);
+  assert.deepStrictEqual(routes.match(/^const REACTONITE__\w+ = .*$/gm), [
+    'const REACTONITE__404 = page(() => import("./404"));',
+    'const REACTONITE__BLOG_404 = page(() => import("./blog/404"));',
+    'const REACTONITE__BLOG_INDEX = page(() => import("./blog/index"));',
+    'const REACTONITE__BLOG_POST = page(() => import("./blog/post"));',
+  ]);
+  assert.deepStrictEqual(
+    routes
+      .match(/createRoutesFromChildren\(\n([^]*?)\n\);/)[1]
+      .split("\n")
+      .map((line) => line.trim()),
+    [
+      "<>",
+      "<Route index element={<App />} />",
+      '<Route path="*" element={<REACTONITE__404 />} />',
+      '<Route path="blog">',
+      '<Route path="*" element={<REACTONITE__BLOG_404 />} />',
+      "<Route index element={<REACTONITE__BLOG_INDEX />} />",
+      '<Route path="post" element={<REACTONITE__BLOG_POST />} />',
+      "</Route>",
+      "</>",
+    ]
+  );
+  assert.match(routes, /<Suspense fallback=\{null\}>\{element\}<\/Suspense>/);
+  assert.match(
+    read(project_dir, "dist/src/index.js"),
+    /<Router>\s*<AppRoutes \/>\s*<\/Router>/
+  );
+});
+
+test("the routes scroll to the element of the hash after navigating", async () => {
+  const project_dir = createProject({
+    "src/index.html": '<a href="about.html#team">Team</a>',
+    "src/about.html": '<h2 id="team">Team</h2>',
+  });
+  await transpileProject(project_dir);
+  assert.match(
+    read(project_dir, "dist/src/App.js"),
+    /<Link to="\/about#team">Team<\/Link>/
+  );
+  const routes = read(project_dir, "dist/src/appRoutes.js");
+  assert.match(routes, /element\.scrollIntoView\(\{ behavior: "smooth" \}\);/);
+  assert.match(routes, /<ScrollToHash \/>/);
+});
+
+test("classic scripts are copied to public and the script loader is written", async () => {
+  const project_dir = createProject({
+    "src/index.html": '<body><script src="js/app.js" defer></script></body>',
+    "src/js/app.js": "console.log(1);\n",
+  });
+  await transpileProject(project_dir);
+  assert.strictEqual(
+    read(project_dir, "dist/public/js/app.js"),
+    "console.log(1);\n"
+  );
+  assert.match(
+    read(project_dir, "dist/src/scriptLoader.js"),
+    /^export function runScripts\(scripts\) \{$/m
+  );
+});
+
+test("transpiling across workers writes the same files and diagnostics", async () => {
+  const files = {
+    "src/index.html": '<p>Home</p><a href="missing.html">Missing</a>',
+    "src/about.html": '<p style="color: red">About</p>',
+    "src/blog/index.html": "<p>{{ }}</p>",
+    "src/blog/post.html": '<button onclick="like()">Like</button>',
+  };
+  const outputs = [];
+  for (const workers of [0, 2]) {
+    const project_dir = createProject(files);
+    const transpiler = await transpileProject(project_dir, {
+      workers: workers,
+    });
+    outputs.push({
+      files: ["App.js", "about.js", "blog/index.js", "blog/post.js"].map(
+        (file) => read(project_dir, path.join("dist", "src", file))
+      ),
+      diagnostics: transpiler.diagnostics,
+    });
+  }
+  assert.notDeepStrictEqual(outputs[0].diagnostics, []);
+  assert.deepStrictEqual(outputs[1], outputs[0]);
+});
+
+test("plugins listed in config add files and change index.js", async () => {
+  const project_dir = createProject({
+    "src/index.html": "<acme-card>Hi</acme-card>",
+    "plugins/acme.js": `module.exports = (options) => ({
+  tags: {
+    "acme-card": (element) => ({ tag: "div", attrs: { className: options.tone } }),
+  },
+  afterGenerate(code, context) {
+    context.emitFile("public/acme.txt", context.component_name);
+  },
+  onRebuildIndex(code) {
+    return "// acme\\n" + code;
+  },
+});
+`,
+  });
+  await transpileProject(project_dir, {
+    plugins: [["./plugins/acme.js", { tone: "dark" }]],
+  });
+  assert.match(
+    read(project_dir, "dist/src/App.js"),
+    /<div className="dark">Hi<\/div>/
+  );
+  assert.strictEqual(read(project_dir, "dist/public/acme.txt"), "App");
+  assert.match(read(project_dir, "dist/src/index.js"), /^\/\/ acme\n/);
+});
+
+test("markdown pages are routed like HTML pages", async () => {
+  const project_dir = createProject({
+    "src/index.html": '<a href="docs/intro.md">Intro</a>',
+    "src/docs/intro.md": "---\ntitle: Intro\n---\n# Intro\n",
+  });
+  await transpileProject(project_dir);
+  assert.match(
+    read(project_dir, "dist/src/App.js"),
+    /<Link to="\/docs\/intro">Intro<\/Link>/
+  );
+  assert.match(
+    read(project_dir, "dist/src/docs/intro.js"),
+    /<title>\{"Intro"\}<\/title>[^]*<h1>Intro<\/h1>/
+  );
+  assert.match(
+    read(project_dir, "dist/src/appRoutes.js"),
+    /<Route path="docs">\s*<Route path="intro" element=\{<REACTONITE__DOCS_INTRO \/>\} \/>/
+  );
+});
+
+test("the paths to prerender include every static path and locale", async () => {
+  const project_dir = createProject({
+    "src/index.html": "<p>Home</p>",
+    "src/404.html": "<p>Not found</p>",
+    "src/about us.html": "<p>About</p>",
+    "src/blog/[slug].html":
+      '<body data-source="post in posts"><h1>{{ post.slug }}</h1></body>',
+    "src/data/posts.json": JSON.stringify([{ slug: "hello" }]),
+    "src/locales/en.json": "{}",
+    "src/locales/de.json": "{}",
+  });
+  const transpiler = await transpileProject(project_dir, {
+    locales: ["en", "de"],
+  });
+  assert.deepStrictEqual(transpiler.list_route_paths(), [
+    "/",
+    "/404",
+    "/about%20us",
+    "/blog/hello",
+    "/de",
+    "/de/404",
+    "/de/about%20us",
+    "/de/blog/hello",
+  ]);
+});
+
+test("a missing React codebase is created from the template of its target", async (t) => {
+  const commands = [];
+  t.mock.method(NodeWrapper.prototype, "run", (cmd) => commands.push(cmd));
+  const project_dir = createProject({ "src/index.html": "<p>Home</p>" });
+  fs.rmSync(path.join(project_dir, "dist"), { recursive: true });
+  await transpileProject(project_dir);
+  assert.strictEqual(
+    JSON.parse(read(project_dir, "dist/package.json")).name,
+    "site"
+  );
+  assert.match(read(project_dir, "dist/vite.config.js"), /outDir: "build"/);
+  const index = read(project_dir, "dist/src/index.js");
+  assert.match(
+    index,
+    /^import \{ createRoot, hydrateRoot \} from "react-dom\/client";$/m
+  );
+  assert.doesNotMatch(index, /serviceWorkerRegistration/);
+  assert.ok(commands.some((cmd) => / install --prefer-offline$/.test(cmd)));
+  assert.ok(!commands.some((cmd) => cmd.includes("create-react-app")));
+});
+
+test("the cra target keeps the entry point of create-react-app", async () => {
+  const project_dir = createProject({ "src/index.html": "<p>Home</p>" });
+  await transpileProject(project_dir, { target: "cra" });
+  const index = read(project_dir, "dist/src/index.js");
+  assert.match(index, /^import ReactDOM from "react-dom";$/m);
+  assert.match(index, /serviceWorkerRegistration/);
+  assert.ok(!fs.existsSync(path.join(project_dir, "dist", "vite.config.js")));
+});
+
+test("only files changed or referencing added files are transpiled again", async () => {
+  const project_dir = createProject({
+    "src/index.html":
+      '<rt-include src="partials/header.html"></rt-include><a href="contact.html">Contact</a>',
+    "src/about.html": "<p>About</p>",
+    "src/partials/header.html": "<header>Site</header>",
+  });
+  await transpileProject(project_dir);
+  for (const file of ["App.js", "about.js", "components/Header.js"]) {
+    fs.writeFileSync(path.join(project_dir, "dist", "src", file), "// kept\n");
+  }
+  await transpileProject(project_dir);
+  assert.strictEqual(read(project_dir, "dist/src/App.js"), "// kept\n");
+
+  fs.writeFileSync(
+    path.join(project_dir, "src", "partials", "header.html"),
+    "<header>New site</header>"
+  );
+  fs.writeFileSync(
+    path.join(project_dir, "src", "contact.html"),
+    "<p>Contact</p>"
+  );
+  await transpileProject(project_dir);
+  assert.match(
+    read(project_dir, "dist/src/components/Header.js"),
+    /<header>New site<\/header>/
+  );
+  assert.match(
+    read(project_dir, "dist/src/App.js"),
+    /<Link to="\/contact">Contact<\/Link>/
+  );
+  assert.strictEqual(read(project_dir, "dist/src/about.js"), "// kept\n");
+
+  await transpileProject(project_dir, {}, true);
+  assert.match(read(project_dir, "dist/src/about.js"), /<p>About<\/p>/);
+});
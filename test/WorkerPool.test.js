@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const WorkerPool = require("../commands/requirements/WorkerPool");
+
+// Doubles the numbers it's sent, after a delay making later tasks finish
+// first, and crashes on anything else
+const WORKER_SCRIPT = `
+const { parentPort, workerData } = require("worker_threads");
+parentPort.on("message", (task) => {
+  if (typeof task != "number") {
+    throw new Error("Not a number");
+  }
+  setTimeout(() => parentPort.postMessage(task * workerData.factor), 50 - task * 10);
+});
+`;
+
+/**
+ * Writes the worker script above in a directory removed once the tests of
+ * the file are done.
+ * @returns {string} Path to the worker script.
+ */
+function createWorkerScript() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reactonite-"));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filename = path.join(dir, "worker.js");
+  fs.writeFileSync(filename, WORKER_SCRIPT);
+  return filename;
+}
+
+test("tasks resolve to the results of their own worker", async () => {
+  const pool = new WorkerPool(2, createWorkerScript(), { factor: 2 });
+  try {
+    assert.deepStrictEqual(
+      await Promise.all([1, 2, 3, 4].map((task) => pool.run(task))),
+      [2, 4, 6, 8]
+    );
+  } finally {
+    await pool.close();
+  }
+});
+
+test("a crashed worker rejects its task and leaves the pool", async () => {
+  const pool = new WorkerPool(1, createWorkerScript(), { factor: 2 });
+  try {
+    await assert.rejects(pool.run("one"), /Not a number/);
+    assert.strictEqual(pool.workers.length, 0);
+    await assert.rejects(pool.run(1), /No worker left to run the task/);
+  } finally {
+    await pool.close();
+  }
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const MAIN = path.join(__dirname, "..", "main.js");
+
+/**
+ * Runs transpile-project in a directory of its own.
+ * @param {string[]} args Arguments of the command.
+ * @param {object} files Content of the files of the directory by path.
+ * @returns {object} Result of spawnSync, with stdout and stderr as strings.
+ */
+function transpileProject(args, files = {}) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "reactonite-"));
+  try {
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(cwd, file)), { recursive: true });
+      fs.writeFileSync(path.join(cwd, file), content);
+    }
+    return spawnSync(
+      process.execPath,
+      [MAIN, "transpile-project"].concat(args),
+      { cwd: cwd, encoding: "utf8", timeout: 60000 }
+    );
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+}
+
+test("an unknown --format fails without running", () => {
+  const result = transpileProject(["--format", "xml"]);
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /Allowed choices are text, json/);
+  assert.doesNotMatch(result.stderr, /UnhandledPromiseRejection|\n\s+at /);
+});
+
+test("--format json reports a failure of the config as JSON", () => {
+  const result = transpileProject(["--format", "json"]);
+  assert.strictEqual(result.status, 1);
+  const report = JSON.parse(result.stdout);
+  assert.deepStrictEqual(
+    [report.errors, report.warnings, report.diagnostics],
+    [0, 0, []]
+  );
+  assert.match(report.failure, /config\.json file doesn't exist/);
+});
+
+test("--format json reports invalid settings of config as a failure", () => {
+  const result = transpileProject(["--format", "json"], {
+    "config.json": JSON.stringify({
+      project_name: "site",
+      src_dir: "src",
+      dest_dir: "dist",
+      style_scope: "page",
+    }),
+    "src/index.html": "<p>x</p>",
+  });
+  assert.strictEqual(result.status, 1);
+  assert.match(JSON.parse(result.stdout).failure, /style_scope/);
+});
@@ -0,0 +1,517 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { transpileString } = require("../commands/requirements/Transpiler");
+const { format_code } = require("../commands/requirements/Helpers");
+
+const FILES = [
+  "index.html",
+  "about.html",
+  "blog/index.html",
+  "data/user.json",
+  "data/price.json",
+  "data/qty.json",
+  "data/posts.json",
+  "img/logo.png",
+];
+
+/**
+ * Transpiles a fragment of HTML, with the files above in src.
+ * @param {string} html HTML fragment.
+ * @param {object} options Options of transpileString to add.
+ * @returns {object} Result of transpileString.
+ */
+function transpile(html, options = {}) {
+  return transpileString(
+    html,
+    Object.assign(
+      {
+        fragment: true,
+        exists: (path_from_src) =>
+          FILES.includes(path_from_src.split("\\").join("/")),
+      },
+      options
+    )
+  );
+}
+
+/**
+ * Finds the lines of the generated code matching a pattern.
+ * @param {object} result Result of transpileString.
+ * @param {RegExp} pattern Pattern the lines are matched against.
+ * @returns {string[]} Matching lines, trimmed.
+ */
+function linesMatching(result, pattern) {
+  return result.code
+    .split("\n")
+    .filter((line) => pattern.test(line))
+    .map((line) => line.trim());
+}
+
+test("data expressions become JSX expressions importing their data files", () => {
+  const result = transpile(
+    "<p>Hello {{ user.name }}, total {{ price * qty }}</p>"
+  );
+  assert.deepStrictEqual(linesMatching(result, /<p>/), [
+    "<p>Hello {user.name}, total {price * qty}</p>",
+  ]);
+  assert.deepStrictEqual(
+    result.imports.filter((line) => line.includes("./data/")),
+    [
+      'import user from "./data/user.json";',
+      'import price from "./data/price.json";',
+      'import qty from "./data/qty.json";',
+    ]
+  );
+  assert.deepStrictEqual(result.diagnostics, []);
+});
+
+test("data expressions in attributes become template literals", () => {
+  const result = transpile('<a href="/u/{{ user.id }}">x</a>');
+  assert.deepStrictEqual(linesMatching(result, /<a /), [
+    "<a href={`/u/${user.id}`}>x</a>",
+  ]);
+});
+
+test("data-each maps over a collection", () => {
+  const result = transpile(
+    '<ul><li data-each="post in posts">{{ post.title }}</li></ul>'
+  );
+  assert.deepStrictEqual(linesMatching(result, /posts\.map|<li/), [
+    "{posts.map((post, index) => (",
+    "<li key={index}>{post.title}</li>",
+  ]);
+});
+
+test("empty expressions are kept as text and reported", () => {
+  const result = transpile("<p>{{ }}</p>");
+  assert.deepStrictEqual(linesMatching(result, /<p>/), [
+    '<p>{"{"}{"{"} {"}"}{"}"}</p>',
+  ]);
+  assert.deepStrictEqual(
+    result.diagnostics.map((diagnostic) => diagnostic.code),
+    ["RT301"]
+  );
+});
+
+test("braces in text are escaped", () => {
+  const result = transpile("<p>{not} &lt;tag&gt;</p>");
+  assert.deepStrictEqual(linesMatching(result, /<p>/), [
+    '<p>{"{"}not{"}"} &lt;tag&gt;</p>',
+  ]);
+});
+
+test("whitespace of pre and textarea is kept in string literals", () => {
+  const result = transpile(
+    "<pre>  a {b}\n  <b>c</b>\n</pre><textarea>x {y}\n  z</textarea>"
+  );
+  assert.deepStrictEqual(linesMatching(result, /^\s*\{"|<textarea/), [
+    '{"  a {b}\\n  "}',
+    '{"c"}',
+    '{"\\n"}',
+    '<textarea defaultValue={"x {y}\\n  z"} />',
+  ]);
+});
+
+test("inline styles become style objects", () => {
+  const result = transpile(
+    '<div style="color: red; margin-top: 0 !important; --gap: 1px; bad">s</div>'
+  );
+  assert.deepStrictEqual(linesMatching(result, /<div/), [
+    '<div style={{ color: "red", marginTop: "0", "--gap": "1px" }}>s</div>',
+  ]);
+  assert.deepStrictEqual(
+    result.diagnostics.map((diagnostic) => diagnostic.code),
+    ["RT501", "RT502"]
+  );
+});
+
+test("links in partials resolve from src", () => {
+  const result = transpile(
+    '<a href="about.html#team">a</a><a href="/about.html">b</a><a href="../blog/">c</a><a href="team.html">d</a>',
+    { filepath_from_src: "partials" }
+  );
+  assert.deepStrictEqual(linesMatching(result, /<(a|Link) /), [
+    '<Link to="/about#team">a</Link>',
+    '<Link to="/about">b</Link>',
+    '<Link to="/blog/">c</Link>',
+    '<a href="team.html">d</a>',
+  ]);
+  assert.deepStrictEqual(
+    result.diagnostics.map((diagnostic) => diagnostic.code),
+    ["RT102"]
+  );
+});
+
+test("root-absolute links resolve from src in any directory", () => {
+  const result = transpile(
+    '<a href="/about.html">a</a><a href="/">b</a><a href="/feed.xml">c</a>',
+    { filepath_from_src: "blog" }
+  );
+  assert.deepStrictEqual(linesMatching(result, /<(a|Link) /), [
+    '<Link to="/about">a</Link>',
+    '<Link to="/">b</Link>',
+    '<a href="/feed.xml">c</a>',
+  ]);
+  assert.deepStrictEqual(result.diagnostics, []);
+});
+
+test("the onload of body runs after the scripts of the page", () => {
+  const result = transpile(
+    '<html><body onload="init(this)" onscroll="spy()"><script>function init() {}</script></body></html>',
+    { fragment: false }
+  );
+  assert.deepStrictEqual(linesMatching(result, /new Event/), [
+    '{ run: () => ((event) => { window.init(event.currentTarget) })(new Event("load")), defer: true }',
+  ]);
+  assert.deepStrictEqual(linesMatching(result, /<body/), []);
+  assert.deepStrictEqual(
+    result.diagnostics.map((diagnostic) => diagnostic.code),
+    ["RT402"]
+  );
+});
+
+test("the lang of the page is left to Locale with locales", () => {
+  const html = '<html lang="en"><body><p>x</p></body></html>';
+  assert.deepStrictEqual(
+    linesMatching(transpile(html, { fragment: false }), /<html/),
+    ['<html lang="en" />']
+  );
+  assert.deepStrictEqual(
+    linesMatching(transpile(html, { fragment: false, i18n: true }), /<html/),
+    []
+  );
+});
+
+test("assets are imported without their query string and hash", () => {
+  const result = transpile(
+    '<img src="img/logo.png?v=2"><img src="img/logo.png#top"><a href="#team">x</a>'
+  );
+  assert.deepStrictEqual(linesMatching(result, /<img /), [
+    '<img src={img_logo_png + "?v=2"} />',
+    '<img src={img_logo_png + "#top"} />',
+  ]);
+  assert.ok(
+    result.imports.includes('import img_logo_png from "./img/logo.png";')
+  );
+  assert.deepStrictEqual(result.diagnostics, []);
+});
+
+test("root-absolute assets are imported from src if they exist there", () => {
+  const result = transpile(
+    '<img src="/img/logo.png"><img src="/favicon.png"><img src="missing.png">',
+    { filepath_from_src: "blog" }
+  );
+  assert.deepStrictEqual(linesMatching(result, /<img /), [
+    "<img src={img_logo_png} />",
+    '<img src="/favicon.png" />',
+    '<img src="missing.png" />',
+  ]);
+  assert.ok(
+    result.imports.includes('import img_logo_png from "../img/logo.png";')
+  );
+  assert.deepStrictEqual(
+    result.diagnostics.map((diagnostic) => diagnostic.code),
+    ["RT101"]
+  );
+});
+
+test("assets are imported once per file under names of their own", () => {
+  const result = transpile(
+    '<img src="a-b.png"><img src="a_b.png"><img src="../blog/a-b.png"><img src="/blog/a-b.png">',
+    { filepath_from_src: "blog", exists: () => true }
+  );
+  assert.deepStrictEqual(linesMatching(result, /<img /), [
+    "<img src={blog_a_b_png} />",
+    "<img src={blog_a_b_png_2} />",
+    "<img src={blog_a_b_png} />",
+    "<img src={blog_a_b_png} />",
+  ]);
+  assert.deepStrictEqual(
+    result.imports.filter((line) => line.includes(".png")),
+    [
+      'import blog_a_b_png from "./a-b.png";',
+      'import blog_a_b_png_2 from "./a_b.png";',
+    ]
+  );
+});
+
+test("typescript types the events of handlers and the names on window", () => {
+  const result = transpile(
+    '<input oninput="this.value = clean(this.value)"><button onclick="count++">+</button><script>var count = 0; function clean(value) { return value.trim(); }</script>',
+    { typescript: true }
+  );
+  assert.deepStrictEqual(linesMatching(result, /<(input|button) /), [
+    "<input onInput={(event: React.SyntheticEvent<HTMLInputElement>) => { event.currentTarget.value = window.clean(event.currentTarget.value) }} />",
+    "<button onClick={(event: React.SyntheticEvent<HTMLButtonElement>) => { window.count++ }}>",
+  ]);
+  assert.match(
+    result.code,
+    /declare global {\n {2}interface Window {\n {4}clean: any;\n {4}count: any;\n {2}}\n}/
+  );
+  assert.doesNotMatch(result.code, /@ts-nocheck/);
+});
+
+test("inline scripts are moved to the scripts module if one is given", () => {
+  const result = transpile(
+    '<script>function hello() {}</script><script src="https://example.com/a.js"></script><script>var n = 1;</script>',
+    { typescript: true, scripts_module: "about.scripts.js" }
+  );
+  assert.deepStrictEqual(linesMatching(result, /script1|script2/), [
+    'import { script1, script2 } from "./about.scripts.js";',
+    '{ run: script1, globals: ["hello"] },',
+    '{ run: script2, globals: ["n"] }',
+  ]);
+  assert.match(
+    result.scripts,
+    /^export function script1\(\) {\nfunction hello\(\) {}\nwindow.hello = hello;\n}\n/
+  );
+  assert.match(result.scripts, /export function script2\(\) {\nvar n = 1;/);
+  assert.strictEqual(
+    transpile("<p>x</p>", { scripts_module: "a.js" }).scripts,
+    undefined
+  );
+});
+
+test("source maps point into the formatted code", () => {
+  const result = transpile("<div><p>Hi</p>\n<button>Go</button></div>", {
+    source_map: "../src/index.html",
+    format: (code) => format_code(code, "App.js"),
+  });
+  const lines = result.code.split("\n");
+  assert.strictEqual(
+    lines[lines.indexOf("      <div>") + 1],
+    "        <p>Hi</p>"
+  );
+  // The lines of the elements are mapped, in their order
+  const mapped = result.map.mappings
+    .split(";")
+    .map((segments, index) => (segments ? lines[index].trim() : undefined))
+    .filter((line) => line != undefined);
+  assert.deepStrictEqual(mapped, [
+    "<div>",
+    "<p>Hi</p>",
+    "<button>Go</button>",
+    "</div>",
+  ]);
+});
+
+test("props_map renames, keeps or drops attributes, with patterns", () => {
+  const props_map = Object.assign(
+    {},
+    require("../commands/requirements/PropsMap"),
+    {
+      "hx-*": true,
+      "hx-ignore": false,
+      tooltip: "title",
+    }
+  );
+  const result = transpile(
+    '<button hx-get="/x" hx-ignore="1" tooltip="Hi" ng-click="go()">x</button><my-widget ng-click="go()"></my-widget>',
+    { props_map: props_map }
+  );
+  assert.deepStrictEqual(linesMatching(result, /<(button|my-widget)/), [
+    '<button hx-get="/x" title="Hi">x</button>',
+    '<my-widget ng-click="go()" />',
+  ]);
+  assert.deepStrictEqual(
+    result.diagnostics.map((diagnostic) => diagnostic.message),
+    [
+      "Dropped ng-click as React doesn't know it, add it to props_map in config to keep it",
+    ]
+  );
+});
+
+test("presentational attributes become styles the style attribute overrides", () => {
+  const result = transpile(
+    '<table border="1" bgcolor="#EEE" align="center"><tr valign="top"><td align="right" style="text-align: left; color: red">x</td></tr></table><img src="logo.png" align="left" border="0"><p align="diagonal">y</p>',
+    { exists: () => true }
+  );
+  assert.deepStrictEqual(linesMatching(result, /<(table|tr|td|img|p)\b/), [
+    '<table style={{ border: "1px solid", backgroundColor: "#eee", marginLeft: "auto", marginRight: "auto" }}>',
+    '<tr style={{ verticalAlign: "top" }}>',
+    '<td style={{ textAlign: "left", color: "red" }}>x</td>',
+    '<img src={logo_png} style={{ float: "left", border: "0" }} />',
+    "<p>y</p>",
+  ]);
+  assert.deepStrictEqual(
+    result.diagnostics.map((diagnostic) => diagnostic.code),
+    ["RT405"]
+  );
+});
+
+test("names imported from the same module share one import", () => {
+  assert.deepStrictEqual(
+    transpile('<p>{{ t("hi") }}</p><a href="about.html">About</a>', {
+      i18n: true,
+    }).imports,
+    ['import React from "react";', 'import { useLocale, Link } from "./i18n";']
+  );
+  assert.deepStrictEqual(
+    transpile('<a href="about.html">About</a>', {
+      params: ["slug"],
+      layout: true,
+    }).imports,
+    [
+      'import React from "react";',
+      'import { useParams, Outlet, Link } from "react-router-dom";',
+    ]
+  );
+});
+
+test("data-source finds the item matching every route parameter", () => {
+  const html =
+    '<body data-source="post in posts"><h1>{{ post.title }}</h1></body>';
+  const result = transpile(html, { fragment: false, params: ["year", "slug"] });
+  assert.deepStrictEqual(
+    linesMatching(result, /useParams\(\)|posts\.find|<h1>/),
+    [
+      "const { year, slug } = useParams();",
+      "const post = posts.find((item) => String(item.year) === year && String(item.slug) === slug);",
+      "<h1>{post.title}</h1>",
+    ]
+  );
+  assert.deepStrictEqual(result.diagnostics, []);
+  assert.deepStrictEqual(
+    transpile(html, { fragment: false }).diagnostics.map(
+      (diagnostic) => diagnostic.code
+    ),
+    ["RT304", "RT302"]
+  );
+});
+
+test("internal links keep their query string, hash and trailing slash", () => {
+  const result = transpile(
+    '<a href="about.html#team">a</a><a href="about.html?plan=pro#team">b</a><a href="blog/">c</a><a href="#section">d</a><a href="https://example.com/about.html">e</a><a href="missing.html#x">f</a>'
+  );
+  assert.deepStrictEqual(linesMatching(result, /<(a|Link) /), [
+    '<Link to="/about#team">a</Link>',
+    '<Link to="/about?plan=pro#team">b</Link>',
+    '<Link to="/blog/">c</Link>',
+    '<a href="#section">d</a>',
+    '<a href="https://example.com/about.html">e</a>',
+    '<a href="missing.html#x">f</a>',
+  ]);
+  assert.deepStrictEqual(
+    result.diagnostics.map((diagnostic) => diagnostic.message),
+    ['Link to "missing.html#x" doesn\'t match any page in src']
+  );
+});
+
+test("scripts are loaded once, in document order, by runScripts", () => {
+  const result = transpile(
+    '<html><body><script src="https://cdn.example.com/lib.js"></script><script src="js/app.js" defer></script><script type="module" src="js/menu.js"></script><script async src="https://cdn.example.com/stats.js"></script><script>var count = 1;</script></body></html>',
+    {
+      fragment: false,
+      exists: (path_from_src) =>
+        ["js/app.js", "js/menu.js"].includes(
+          path_from_src.split("\\").join("/")
+        ),
+    }
+  );
+  assert.deepStrictEqual(result.imports, [
+    'import React, { useEffect } from "react";',
+    'import { runScripts } from "./scriptLoader";',
+  ]);
+  assert.deepStrictEqual(linesMatching(result, /^\{ /), [
+    '{ src: "https://cdn.example.com/lib.js" },',
+    '{ src: process.env.PUBLIC_URL + "/js/app.js", defer: true },',
+    '{ module: () => import("./js/menu.js"), defer: true },',
+    '{ src: "https://cdn.example.com/stats.js", async: true },',
+    "{ run: () => {",
+  ]);
+  assert.deepStrictEqual(linesMatching(result, /globals:/), [
+    '}, globals: ["count"] }',
+  ]);
+});
+
+test("plugins map tags and attributes and run their hooks", () => {
+  const plugin = {
+    name: "acme",
+    tags: {
+      "acme-card": (element, context) => {
+        context.addImport('import AcmeCard from "@acme/ui/Card";');
+        return { tag: "AcmeCard", attrs: { tone: "dark", ...element.attrs } };
+      },
+      "acme-ad": () => undefined,
+    },
+    attributes: {
+      "data-tooltip": (value, context) => ({
+        tooltip: value,
+        onHover: context.expression("() => null"),
+      }),
+    },
+    beforeParse: (html) => html.replace("Draft", "Card"),
+    transformNode: (el, context) => {
+      if (el.name == "blink") {
+        context.warn("blink isn't supported");
+        context.$(el).replaceWith("<span>" + context.$(el).text() + "</span>");
+      }
+    },
+    afterGenerate: (code, context) => {
+      context.emitFile("acme/" + context.component_name + ".txt", "acme");
+      context.error("Unlicensed widget");
+      return "// acme\n" + code;
+    },
+  };
+  const result = transpile(
+    '<acme-card title="A">Draft</acme-card><acme-ad></acme-ad><p data-tooltip="Tip">p</p><blink>b</blink>',
+    { plugins: [plugin] }
+  );
+  assert.strictEqual(result.code.split("\n")[0], "// acme");
+  assert.deepStrictEqual(result.imports, [
+    'import React from "react";',
+    'import AcmeCard from "@acme/ui/Card";',
+  ]);
+  assert.deepStrictEqual(linesMatching(result, /<(AcmeCard|acme|p|span)\b/), [
+    '<AcmeCard tone="dark" title="A">Card</AcmeCard>',
+    '<p tooltip="Tip" onHover={() => null}>p</p>',
+    "<span>b</span>",
+  ]);
+  assert.deepStrictEqual(result.files, [
+    { path: "acme/App.txt", content: "acme" },
+  ]);
+  assert.deepStrictEqual(
+    result.diagnostics.map((diagnostic) => [
+      diagnostic.code,
+      diagnostic.message,
+    ]),
+    [
+      ["RT701", "blink isn't supported"],
+      ["RT702", "Unlicensed widget"],
+    ]
+  );
+});
+
+test("markdown pages get their head from the front-matter and resolve links", () => {
+  const result = transpile(
+    '---\ntitle: Getting started\ndescription: "Setup: first"\nlayout: docs\n---\n# Getting started\n\nRead [about](about.html#team) and [the blog](blog/index.md).\n\n```js\nconst a = 1;\n```\n',
+    {
+      fragment: false,
+      markdown: true,
+      exists: (path_from_src) =>
+        ["about.html", "blog/index.md"].includes(
+          path_from_src.split("\\").join("/")
+        ),
+    }
+  );
+  assert.deepStrictEqual(result.front_matter, {
+    title: "Getting started",
+    description: "Setup: first",
+    layout: "docs",
+  });
+  assert.deepStrictEqual(
+    linesMatching(result, /<(title|meta|h1|Link|code)\b/),
+    [
+      '<title>{"Getting started"}</title>',
+      '<meta name="description" content="Setup: first" />',
+      "<h1>Getting started</h1>",
+      '<Link to="/about#team">about</Link>',
+      '<Link to="/blog">the blog</Link>',
+      '<code className="language-js">',
+    ]
+  );
+  assert.deepStrictEqual(
+    result.diagnostics.map((diagnostic) => [diagnostic.code, diagnostic.line]),
+    [["RT802", 4]]
+  );
+});